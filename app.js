@@ -4,8 +4,14 @@ const telegramService = require('./services/telegramService');
 const tradeMonitor = require('./services/tradeMonitor');
 const technicalAnalysis = require('./services/technicalAnalysis');
 const fundingRateService = require('./services/fundingRateService');
+const sentimentService = require('./services/sentimentService');
+const basisService = require('./services/basisService');
+const requestScheduler = require('./services/requestScheduler');
+const universeService = require('./services/universeService');
+const liquidationService = require('./services/liquidationService');
 const config = require('./config/config');
 const logger = require('./utils/logger');
+const cassette = require('./utils/cassette');
 
 class FuturesTradingBot {
   constructor() {
@@ -30,8 +36,11 @@ class FuturesTradingBot {
       logger.info('📡 Connecting to exchange...');
       await exchangeService.initialize();
       
-      // Initialize trade monitoring if enabled
-      if (config.features.tradeMonitoring) {
+      // Aggregate liquidations from the force order stream
+      await liquidationService.start();
+      
+      // Initialize trade monitoring if enabled (cassette runs check trades once, not on a timer)
+      if (config.features.tradeMonitoring && config.cassette.mode === 'live') {
         logger.info('📊 Starting trade monitoring...');
         tradeMonitor.startMonitoring();
       }
@@ -59,7 +68,7 @@ class FuturesTradingBot {
     ];
     
     for (const key of required) {
-      if (!process.env[key]) {
+      if (!process.env[key] && !cassette.isReplaying()) {
         throw new Error(`Missing required environment variable: ${key}`);
       }
     }
@@ -102,12 +111,30 @@ class FuturesTradingBot {
     }
   }
 
+  // Runs a single scan cycle and trade monitor pass while recording or replaying a cassette
+  async runCassetteCycle() {
+    logger.info(`📼 Running one scan cycle in ${config.cassette.mode} mode...`);
+    
+    await scannerService.scanMarkets();
+    await tradeMonitor.monitorTrades();
+    
+    const stats = cassette.getStatistics();
+    if (cassette.isReplaying()) {
+      logger.info(`📼 Replay finished: ${stats.served} responses served, ${stats.remaining} unused`);
+    } else {
+      logger.info(`📼 Recording finished: ${stats.recorded} responses captured`);
+    }
+    logger.info(`📼 Telegram output written to ${cassette.outputPath}`);
+  }
+
   scheduleMaintenanceTasks() {
     // Clear caches every hour
     setInterval(() => {
       try {
         technicalAnalysis.clearCache();
         fundingRateService.clearCache();
+        sentimentService.clearCache();
+        basisService.clearCache();
         logger.info('🧹 Caches cleared');
       } catch (error) {
         logger.error(`Cache clearing error: ${error.message}`);
@@ -169,6 +196,12 @@ class FuturesTradingBot {
 • *Avg PnL:* $${monitorStats.recentAvgPnL}
 • *Unrealized PnL:* $${monitorStats.totalUnrealizedPnL.toFixed(2)}
 
+🧭 *Strategies:*
+${this.formatStrategyStatistics(scannerStats.strategies, monitorStats.strategies)}
+
+🌡️ *Market Regimes:*
+${this.formatRegimeStatistics(scannerStats.regimes, monitorStats.regimes)}
+
 🎯 *Configuration:*
 • *Min Confidence:* ${config.signal.minConfidence}%
 • *Risk per Trade:* ${config.riskManagement.defaultRiskPercentage}%
@@ -191,6 +224,37 @@ Keep trading smart! 🚀
     }
   }
 
+  // One line per enabled strategy, plus any that still have trades from before a config change
+  formatStrategyStatistics(signalStats, tradeStats) {
+    const names = new Set([...config.strategies.enabled, ...Object.keys(signalStats), ...Object.keys(tradeStats)]);
+    
+    return Array.from(names).map(name => {
+      const signals = signalStats[name] || { daily: 0 };
+      const trades = tradeStats[name];
+      const performance = trades
+        ? `${trades.activeTrades} active, ${trades.completedTrades} closed, ${trades.winRate}% win, avg $${trades.avgPnL}`
+        : 'no trades';
+      
+      return `• *${name}:* ${signals.daily} signals today, ${performance}`;
+    }).join('\n');
+  }
+
+  // One line per regime that produced a signal or trade
+  formatRegimeStatistics(signalStats, tradeStats) {
+    const names = new Set([...Object.keys(signalStats), ...Object.keys(tradeStats)]);
+    if (names.size === 0) return '• No signals yet';
+    
+    return Array.from(names).map(name => {
+      const signals = signalStats[name] || { daily: 0, total: 0 };
+      const trades = tradeStats[name];
+      const performance = trades
+        ? `${trades.completedTrades} closed, ${trades.winRate}% win, avg $${trades.avgPnL}`
+        : 'no trades';
+      
+      return `• *${name.replace('_', ' ')}:* ${signals.daily} today (${signals.total} total), ${performance}`;
+    }).join('\n');
+  }
+
   formatUptime(uptime) {
     const hours = Math.floor(uptime / (1000 * 60 * 60));
     const minutes = Math.floor((uptime % (1000 * 60 * 60)) / (1000 * 60));
@@ -208,6 +272,9 @@ Keep trading smart! 🚀
         tradeMonitor.stopMonitoring();
       }
       
+      // Persist liquidation buckets for the next start
+      await liquidationService.stop();
+      
       // Clean up services
       scannerService.cleanup();
       tradeMonitor.cleanup();
@@ -252,6 +319,9 @@ See you next time! 👋
       uptime: this.formatUptime(this.stats.uptime),
       scanner: scannerStats,
       monitor: monitorStats,
+      rateLimit: requestScheduler.getStatistics(),
+      universe: universeService.getUniverseReport(),
+      liquidations: liquidationService.getStatistics(),
       config: {
         exchange: config.exchange.name,
         scanInterval: config.scanning.intervalMinutes,
@@ -312,6 +382,12 @@ async function main() {
     // Initialize the bot
     await bot.initialize();
     
+    // Record or replay a single deterministic cycle
+    if (config.cassette.mode !== 'live') {
+      await bot.runCassetteCycle();
+      process.exit(0);
+    }
+    
     // Start trading
     await bot.startTrading();
     
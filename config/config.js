@@ -1,5 +1,33 @@
 require('dotenv').config();
 
+const parseList = value => (value || '')
+  .split(',')
+  .map(item => item.trim().toUpperCase())
+  .filter(Boolean);
+
+// Case-sensitive names such as strategy identifiers
+const parseNames = (value, fallback) => {
+  const names = (value || '').split(',').map(item => item.trim()).filter(Boolean);
+  return names.length > 0 ? names : fallback;
+};
+
+// "4h:0.6,1d:0.4" -> [{ timeframe: '4h', weight: 0.6 }, { timeframe: '1d', weight: 0.4 }]
+const parseTimeframes = (value, fallback) => {
+  if (!value) return fallback;
+  
+  return value.split(',')
+    .map(item => item.trim().split(':'))
+    .filter(([timeframe]) => timeframe)
+    .map(([timeframe, weight]) => ({ timeframe, weight: parseFloat(weight) || 1 }));
+};
+
+// "--cassette=replay" -> 'replay'; command-line options work the same on every shell
+const parseArg = (name) => {
+  const prefix = `--${name}=`;
+  const arg = process.argv.find(item => item.startsWith(prefix));
+  return arg ? arg.slice(prefix.length) : undefined;
+};
+
 const config = {
   telegram: {
     token: process.env.TELEGRAM_BOT_TOKEN,
@@ -10,9 +38,45 @@ const config = {
     name: process.env.EXCHANGE_NAME || 'binance',
     sandbox: process.env.EXCHANGE_SANDBOX === 'true',
     options: {
-      enableRateLimit: true,
-      timeout: 30000,
-      rateLimit: 1200
+      enableRateLimit: false // Throttling is handled by the request scheduler
+    }
+  },
+  
+  resilience: {
+    timeoutMs: 15000,
+    maxRetries: 3, // Idempotent calls only
+    retryBaseMs: 500,
+    retryMaxMs: 10000,
+    breakerThreshold: 5, // Consecutive failures before an endpoint's circuit opens
+    breakerResetMs: 60000,
+    outageRatio: 0.5 // Share of tokens without data that counts as an outage
+  },
+  
+  rateLimit: {
+    weightPerMinute: parseInt(process.env.RATE_LIMIT_WEIGHT_PER_MINUTE) || 2400,
+    budgetRatio: 0.8, // Leave headroom for other clients on the same IP
+    maxConcurrent: 5,
+    backoffMs: 5000,
+    maxBackoffMs: 120000,
+    maxRequeues: 2,
+    usedWeightHeader: 'x-mbx-used-weight-1m',
+    defaultWeight: 1,
+    endpointWeights: {
+      loadMarkets: 1,
+      fetchTickers: 40,
+      fetchTicker: 1,
+      fetchOHLCV: 5,
+      fetchOrderBook: 5, // Depth limit 100
+      premiumIndex: 1,
+      premiumIndexKlines: 1,
+      price: 2, // Spot ticker price
+      openInterest: 1,
+      openInterestHist: 1,
+      globalLongShortAccountRatio: 1,
+      topLongShortPositionRatio: 1,
+      takerlongshortRatio: 1,
+      forceOrders: 20,
+      fundingRate: 1
     }
   },
   
@@ -21,10 +85,71 @@ const config = {
     minVolumeUSDT: parseInt(process.env.MIN_VOLUME_USDT) || 500000,
     maxTokensPerScan: parseInt(process.env.MAX_TOKENS_PER_SCAN) || 30,
     timeframe: '1h',
-    candleLimit: 100
+    candleLimit: 100,
+    maxBatchSize: 10,
+    estimatedWeightPerToken: 30 // Initial guess until measured from a scan batch
+  },
+  
+  multiTimeframe: {
+    // Higher timeframes set the trend bias, lower ones time the entry
+    trend: parseTimeframes(process.env.MTF_TREND_TIMEFRAMES, [{ timeframe: '4h', weight: 0.6 }, { timeframe: '1d', weight: 0.4 }]),
+    entry: parseTimeframes(process.env.MTF_ENTRY_TIMEFRAMES, [{ timeframe: '15m', weight: 1 }]),
+    candleLimit: 100,
+    biasThreshold: 0.25, // Verdict score beyond which a timeframe is bullish/bearish
+    rejectThreshold: 0.5, // Weighted trend score against the signal that rejects it
+    downgradePenalty: 15 // Strength points removed when a timeframe disagrees
+  },
+  
+  universe: {
+    preset: process.env.UNIVERSE_PRESET || 'default',
+    whitelist: parseList(process.env.UNIVERSE_WHITELIST), // Base assets or symbols, empty = all
+    blacklist: parseList(process.env.UNIVERSE_BLACKLIST),
+    minListingAgeDays: 7,
+    maxSpreadPercent: 0.15,
+    minOpenInterestUSDT: 0, // 0 disables the open interest check
+    delistingWindowDays: 30,
+    // Regexes on the base asset, e.g. '^(BTC|ETH)(UP|DOWN)$'. Leveraged tokens are spot-only, and a
+    // suffix pattern would also catch real assets such as SYRUP, so none are excluded by default
+    excludePatterns: [],
+    presets: {
+      default: {},
+      majors: {
+        whitelist: ['BTC', 'ETH', 'BNB', 'SOL', 'XRP', 'DOGE', 'ADA', 'AVAX', 'LINK', 'DOT'],
+        minVolumeUSDT: 10000000
+      },
+      liquid: {
+        minVolumeUSDT: 20000000,
+        maxSpreadPercent: 0.05,
+        minOpenInterestUSDT: 10000000,
+        minListingAgeDays: 30
+      },
+      emerging: {
+        minVolumeUSDT: 1000000,
+        maxSpreadPercent: 0.3,
+        minListingAgeDays: 1
+      }
+    }
+  },
+  
+  candleStore: {
+    enabled: process.env.ENABLE_CANDLE_STORE === 'true',
+    directory: process.env.CANDLE_STORE_DIR || 'data/candles',
+    maxCandles: 1000, // Per symbol/timeframe kept in memory and after compaction
+    fetchLimit: 500 // Candles per exchange request when syncing
+  },
+  
+  streamingIndicators: {
+    // EMAs, Supertrend, Parabolic SAR, oscillators and ATR updated per new candle instead of
+    // recomputed over every scan's candles
+    enabled: process.env.ENABLE_STREAMING_INDICATORS === 'true',
+    maxCandles: 500, // History kept per symbol/timeframe
+    maxSeries: 300 // Symbol/timeframe pairs kept warm, least recently scanned dropped first
   },
   
   indicators: {
+    // Candles the EMAs (seeded with an SMA), Supertrend, Parabolic SAR and OBV start over on, so their
+    // values do not depend on how much history is loaded
+    recursiveLookback: 100,
     ema: {
       fast: 8,
       medium: 21,
@@ -55,38 +180,267 @@ const config = {
       weight: 7
     },
     vwap: {
-      period: 100,
+      period: 100, // Rolling VWAP candles
+      // Anchored VWAPs (each with ±1σ/±2σ bands) start at UTC day, week and session opens,
+      // the latest swing high/low and the latest volume spike
+      sessions: [
+        { name: 'ASIA', startHour: 0 },
+        { name: 'LONDON', startHour: 7 },
+        { name: 'NEW_YORK', startHour: 13.5 }
+      ],
+      pivotLeft: 3,
+      pivotRight: 3,
+      volumeEventMultiplier: 3, // Candle volume vs average that anchors the volume-event VWAP
+      // rolling, daily, weekly, session, swingHigh, swingLow or volumeEvent; unset keeps the plain
+      // distance from the rolling VWAP for scoring and entries
+      scoreAnchor: process.env.VWAP_SCORE_ANCHOR || null, // Score by band position on this VWAP
+      entryAnchor: process.env.VWAP_ENTRY_ANCHOR || null, // Snap entries to this VWAP's bands
+      entrySnapATR: 0.5, // Largest entry move onto a band level, in ATRs
       weight: 20
     },
+    volumeProfile: {
+      lookbacks: [100, 24], // Candles per profile; the first one is scored
+      rows: 40, // Price rows per profile
+      valueAreaPercent: 0.7,
+      hvnThreshold: 1.5, // Node volume vs the average row
+      lvnThreshold: 0.5,
+      nodeBufferATR: 0.25, // Stops and targets this close to a node move to its far/near side
+      weight: 10
+    },
     marketStructure: {
       lookback: 20,
+      minStrength: 0.6, // Structure strength needed before it scores
       weight: 10
     },
     ichimoku: {
       tenkan: 9,
       kijun: 26,
       senkou: 52,
+      displacement: 26, // Candles the spans are plotted ahead and Chikou behind
+      crossLookback: 3, // Candles a Tenkan/Kijun cross counts as fresh
+      thinCloud: 0.005, // Cloud thinner than this fraction of price is easily broken
       weight: 10
     },
     parabolicSAR: {
       step: 0.02,
       maxStep: 0.2,
+      flipLookback: 3, // Candles a SAR flip counts as early reversal evidence
+      trailAfter: process.env.SAR_TRAIL_AFTER || 'tp2', // tp1, tp2 or none: when monitored stops start trailing the SAR
       weight: 5
+    },
+    divergence: {
+      oscillators: ['mfi', 'cci', 'williamsR', 'obv'],
+      lookback: 60, // Candles searched for swing pivots
+      pivotLeft: 3,
+      pivotRight: 2, // Candles after a pivot that confirm it
+      minSpan: 5, // Candles between the two compared pivots
+      maxSpan: 40,
+      pivotTolerance: 2, // Candles an oscillator pivot may sit from the price pivot
+      maxAge: 10, // Candles since the newer pivot before a divergence is stale
+      fullStrength: 1, // Price plus oscillator move, as fractions of their ranges, that scores fully
+      hiddenFactor: 0.6, // Hidden divergences count less than regular ones
+      weight: 10
     }
   },
   
   futures: {
     fundingRate: {
-      weight: 15,
-      extremeThreshold: 0.01
+      weight: 10,
+      extremeThreshold: 0.01,
+      intervalHours: 8, // Used when the settlement history does not reveal the interval
+      historyLimit: 10,
+      expectedHoldingHours: parseFloat(process.env.EXPECTED_HOLDING_HOURS) || 24,
+      blackoutMinutes: parseInt(process.env.FUNDING_BLACKOUT_MINUTES) || 0 // 0 disables the blackout
     },
     openInterest: {
       enabled: true,
-      significantChange: 0.1
+      significantChange: 0.1, // Fractional OI change over the primary window
+      period: '15m', // History granularity
+      historyLimit: 100,
+      windowsMinutes: [60, 240, 1440],
+      primaryWindowMinutes: 240,
+      weight: 10
+    },
+    sentiment: {
+      period: '15m',
+      historyLimit: 96, // 24h of 15m points for the z-score baseline
+      zScoreThreshold: 2,
+      weight: 10
     },
     liquidations: {
       enabled: true,
-      lookbackMinutes: 60
+      lookbackMinutes: 60,
+      streamEnabled: process.env.ENABLE_LIQUIDATION_STREAM === 'true',
+      streamUrl: process.env.LIQUIDATION_STREAM_URL, // Overrides the exchange stream (e.g. local stand-in)
+      bucketSeconds: 60,
+      retentionMinutes: 1440,
+      storeFile: process.env.LIQUIDATION_STORE_FILE || 'data/liquidations.json',
+      persistIntervalMs: 60000,
+      weight: 5
+    }
+  },
+  
+  basis: {
+    interval: '15m',
+    historyLimit: 96, // 24h of 15m premium points for the baseline
+    maxSamples: 288, // Own premium/spot samples kept per symbol
+    blowoutStdDev: 2,
+    alertStdDev: parseFloat(process.env.BASIS_ALERT_STD_DEV) || 3,
+    alertCooldownMinutes: 60,
+    dislocationThreshold: 0.002, // Spot basis vs index premium, as a fraction
+    weight: 10
+  },
+  
+  liquidity: {
+    enabled: true,
+    orderBookLimit: 100,
+    maxSlippagePercent: 0.15, // Reject signals whose position would slip more than this
+    maxSpreadPercent: 0.05,
+    minDepthUSDT: 50000, // Resting size within ±1% on each side
+    imbalanceThreshold: 0.2,
+    weight: 10
+  },
+  
+  candlestickPatterns: {
+    lookback: 3, // Last closed candles searched for completed patterns
+    dojiBodyRatio: 0.1, // Body at most this share of the range
+    pinWickRatio: 2, // Rejection wick at least this multiple of the body...
+    pinMinWickShare: 0.6, // ...and this share of the range
+    pinMaxOppositeWick: 0.15, // Opposite wick at most this share of the range
+    engulfingTolerance: 0.0005, // Fraction of price an engulfing body may fall short by
+    starBodyRatio: 0.3, // Star body at most this share of the first body
+    starRetracement: 0.5, // Share of the first body the third candle closes back into
+    soldiersBodyRatio: 0.6, // Soldier/crow bodies at least this share of their range
+    vetoEnabled: true, // Reject signals printed against a reliable pattern on the last closed candle
+    vetoReliability: 0.8,
+    weight: 10
+  },
+  
+  chartPatterns: {
+    lookback: 60, // Closed candles a pattern may span
+    pivotLeft: 3,
+    pivotRight: 3,
+    levelTolerance: 0.004, // Fraction of price within which tops, bottoms and flat lines count as equal
+    shoulderTolerance: 0.02, // Head-and-shoulders shoulders may differ by this fraction
+    minHeightATR: 1.5, // Smallest pattern height worth trading, in ATRs
+    minSeparation: 5, // Candles between double tops/bottoms
+    rangeLength: 20,
+    rangeMaxHeightATR: 5,
+    rangeMinTouches: 2, // Separate tests of both the top and the bottom of a range
+    poleLength: 6,
+    poleMinATR: 3, // Flag pole move, in ATRs
+    flagLength: 8,
+    flagMaxRetrace: 0.5, // Flag consolidation as a share of the pole
+    confirmATR: 0.1, // Close beyond the breakout level that confirms it, in ATRs
+    targetSnapATR: 1.5 // TP2/TP3 move to a measured-move target this close to them
+  },
+
+  regime: {
+    adxPeriod: 14,
+    trendADX: 25, // ADX from which the DI lines and market structure define a trend
+    atrPeriod: 14,
+    atrPercentileLookback: 100, // ATR values the current one is ranked against
+    highVolatilityPercentile: 0.9, // ATR rank that, with Bollinger outside Keltner, is a volatility spike
+    bandPeriod: 20,
+    bandStdDev: 2,
+    keltnerMultiplier: 1.5,
+    // Applied with ENABLE_REGIME_PROFILES. `weights` multiply scoring component weights by component
+    // name or category; unset thresholds and multipliers fall back to signal and riskManagement,
+    // and strategy risk overrides still win
+    profiles: {
+      TRENDING_UP: {
+        weights: { trend: 1.4, momentum: 0.7 },
+        minConfidence: 62,
+        highConfidence: 78,
+        takeProfitMultipliers: { high: [2.5, 4.5, 7.0], medium: [2.0, 3.5, 5.5] },
+        stopLossMultipliers: { high: 1.4, medium: 2.0 }
+      },
+      TRENDING_DOWN: {
+        weights: { trend: 1.4, momentum: 0.7 },
+        minConfidence: 62,
+        highConfidence: 78,
+        takeProfitMultipliers: { high: [2.5, 4.5, 7.0], medium: [2.0, 3.5, 5.5] },
+        stopLossMultipliers: { high: 1.4, medium: 2.0 }
+      },
+      RANGING: {
+        weights: { trend: 0.6, momentum: 1.4, volume: 1.2 },
+        minConfidence: 70,
+        highConfidence: 85,
+        takeProfitMultipliers: { high: [1.8, 2.8, 4.0], medium: [1.4, 2.2, 3.2] },
+        stopLossMultipliers: { high: 0.9, medium: 1.2 }
+      },
+      HIGH_VOLATILITY: {
+        weights: { futures: 1.3, liquidity: 1.5 },
+        minConfidence: 75,
+        highConfidence: 88,
+        takeProfitMultipliers: { high: [3.0, 5.0, 8.0], medium: [2.5, 4.2, 6.5] },
+        stopLossMultipliers: { high: 1.8, medium: 2.4 }
+      }
+    }
+  },
+
+  scoring: {
+    // Each component is scored by the registered scorer of its `type` (defaults to `name`) using the
+    // config section at `source`, whose weight it takes (times `share`) unless it sets its own `weight`.
+    // Optional components drop out of the total when their data is missing, the rest score zero.
+    // Set `enabled: false` to remove a component; weight 0 keeps it in the message without scoring.
+    components: [
+      { name: 'ema', category: 'trend', source: 'indicators.ema' },
+      { name: 'supertrend', category: 'trend', source: 'indicators.supertrend' },
+      { name: 'marketStructure', category: 'trend', source: 'indicators.marketStructure' },
+      { name: 'ichimoku', category: 'trend', source: 'indicators.ichimoku', optional: true },
+      { name: 'parabolicSAR', category: 'trend', source: 'indicators.parabolicSAR' },
+      { name: 'mfi', category: 'momentum', source: 'indicators.mfi' },
+      { name: 'williamsR', category: 'momentum', source: 'indicators.williamsR' },
+      { name: 'cci', category: 'momentum', source: 'indicators.cci' },
+      { name: 'divergence', category: 'momentum', source: 'indicators.divergence', optional: true },
+      { name: 'vwap', category: 'volume', source: 'indicators.vwap' },
+      { name: 'volumeProfile', category: 'volume', source: 'indicators.volumeProfile', optional: true },
+      { name: 'obv', category: 'volume', weight: 0 },
+      { name: 'fundingRate', category: 'futures', source: 'futures.fundingRate' },
+      { name: 'liquidations', category: 'futures', source: 'futures.liquidations' },
+      { name: 'openInterest', category: 'futures', source: 'futures.openInterest', optional: true },
+      { name: 'basis', category: 'futures', source: 'basis', optional: true },
+      // Crowded retail positioning is faded, top traders and taker flow are followed
+      { name: 'globalRatio', type: 'sentimentRatio', category: 'sentiment', source: 'futures.sentiment', share: 0.4, optional: true, params: { metric: 'globalRatio', contrarian: true } },
+      { name: 'topTraderRatio', type: 'sentimentRatio', category: 'sentiment', source: 'futures.sentiment', share: 0.3, optional: true, params: { metric: 'topTraderRatio', contrarian: false } },
+      { name: 'takerRatio', type: 'sentimentRatio', category: 'sentiment', source: 'futures.sentiment', share: 0.3, optional: true, params: { metric: 'takerRatio', contrarian: false } },
+      { name: 'imbalance', type: 'bookImbalance', category: 'liquidity', source: 'liquidity', share: 0.6, optional: true },
+      { name: 'quality', type: 'bookQuality', category: 'liquidity', source: 'liquidity', share: 0.4, optional: true },
+      { name: 'candlestick', category: 'priceAction', source: 'candlestickPatterns', optional: true }
+    ]
+  },
+  
+  strategies: {
+    // Run on every scanned symbol, e.g. STRATEGIES=trendConfluence,breakout
+    enabled: parseNames(process.env.STRATEGIES, ['trendConfluence']),
+    // Each strategy may override riskManagement.takeProfitMultipliers/stopLossMultipliers
+    trendConfluence: {
+      confirmTimeframes: true
+    },
+    breakout: {
+      lookback: 20, // Candles forming the range
+      volumeMultiplier: 1.5, // Breakout candle volume vs range average
+      minBreakATR: 0.1, // Close beyond the range, in ATRs
+      confirmTimeframes: true
+    },
+    meanReversion: {
+      bandPeriod: 20,
+      bandStdDev: 2,
+      maxTrendStrength: 0.8, // Market structure strength that is too strong to fade
+      confirmTimeframes: false,
+      stopLossMultipliers: {
+        high: 1.0,
+        medium: 1.4
+      }
+    },
+    fundingContrarian: {
+      maxFundingMultiple: 2, // Funding at this multiple of the extreme threshold scores fully
+      confirmTimeframes: false
+    },
+    chartPattern: {
+      volumeMultiplier: 1.2, // Breakout candle volume vs pattern average
+      confirmTimeframes: true
     }
   },
   
@@ -108,6 +462,15 @@ const config = {
     }
   },
   
+  streaming: {
+    enabled: process.env.ENABLE_PRICE_STREAM === 'true',
+    url: process.env.PRICE_STREAM_URL, // Overrides the exchange stream (e.g. local stand-in)
+    reconnectDelayMs: 1000,
+    maxReconnectDelayMs: 60000,
+    pingIntervalMs: 20000,
+    staleAfterMs: 30000
+  },
+  
   signal: {
     minConfidence: parseInt(process.env.MIN_CONFIDENCE) || 65,
     highConfidence: parseInt(process.env.HIGH_CONFIDENCE) || 80,
@@ -117,9 +480,19 @@ const config = {
   features: {
     fundingAnalysis: process.env.ENABLE_FUNDING_ANALYSIS === 'true',
     liquidationAnalysis: process.env.ENABLE_LIQUIDATION_ANALYSIS === 'true',
+    sentimentAnalysis: process.env.ENABLE_SENTIMENT_ANALYSIS === 'true',
+    basisAnalysis: process.env.ENABLE_BASIS_ANALYSIS === 'true',
+    multiTimeframe: process.env.ENABLE_MULTI_TIMEFRAME === 'true',
+    regimeProfiles: process.env.ENABLE_REGIME_PROFILES === 'true',
     tradeMonitoring: process.env.ENABLE_TRADE_MONITORING === 'true'
   },
   
+  cassette: {
+    mode: parseArg('cassette') || process.env.CASSETTE_MODE || 'live', // live | record | replay
+    file: process.env.CASSETTE_FILE || 'data/cassettes/session.jsonl',
+    telegramOutput: process.env.CASSETTE_TELEGRAM_OUTPUT || 'data/cassettes/telegram-output.txt'
+  },
+  
   logging: {
     level: process.env.LOG_LEVEL || 'info',
     toFile: process.env.LOG_TO_FILE === 'true',
@@ -0,0 +1,168 @@
+const exchangeService = require('./exchangeService');
+const fundingRateService = require('./fundingRateService');
+const logger = require('../utils/logger');
+const config = require('../config/config');
+const clock = require('../utils/clock');
+const { classifyError, Unsupported } = require('../utils/errors');
+
+// Perp premium over index and basis over spot, judged against their own history
+class BasisService {
+  constructor() {
+    this.cache = new Map();
+    this.cacheExpiry = 5 * 60 * 1000; // 5 minutes
+    this.samples = new Map(); // symbol -> [{ timestamp, premium, spotBasis }]
+    this.lastAlerts = new Map(); // symbol -> timestamp
+    this.pendingAlerts = [];
+  }
+
+  isValidCacheEntry(entry) {
+    return entry && (clock.now() - entry.timestamp) < this.cacheExpiry;
+  }
+
+  async getBasis(symbol) {
+    try {
+      if (!config.features.basisAnalysis) return null;
+
+      const cached = this.cache.get(symbol);
+      if (this.isValidCacheEntry(cached)) {
+        return cached.data;
+      }
+
+      const provider = fundingRateService.getProvider();
+      const market = exchangeService.getMarket(symbol);
+
+      const [funding, premiumHistory, spotPrice] = await Promise.all([
+        fundingRateService.fetchFundingRate(symbol), // Mark and index prices, whether or not funding analysis is on
+        this.fetchOptional(provider.fetchPremiumHistory(market, config.basis.interval, config.basis.historyLimit), []),
+        this.fetchOptional(provider.fetchSpotPrice(market), 0)
+      ]);
+
+      if (!funding || !funding.markPrice || !funding.indexPrice) return null;
+
+      const premium = (funding.markPrice - funding.indexPrice) / funding.indexPrice;
+      const spotBasis = spotPrice > 0 ? (funding.markPrice - spotPrice) / spotPrice : null;
+      const samples = this.recordSample(symbol, premium, spotBasis);
+
+      // Exchange premium history gives a baseline from the first scan, our own samples are the fallback
+      const premiumBaseline = premiumHistory.length >= 10
+        ? premiumHistory.map(point => point.premium)
+        : samples.slice(0, -1).map(sample => sample.premium);
+      const spotBaseline = samples.slice(0, -1)
+        .map(sample => sample.spotBasis)
+        .filter(value => value !== null);
+
+      const premiumStats = this.getZScore(premium, premiumBaseline);
+      const spotStats = spotBasis !== null ? this.getZScore(spotBasis, spotBaseline) : null;
+
+      // Perps converge to index every funding interval, so that is the annualisation period
+      const periodsPerYear = (24 / config.futures.fundingRate.intervalHours) * 365;
+
+      const data = {
+        symbol,
+        markPrice: funding.markPrice,
+        indexPrice: funding.indexPrice,
+        spotPrice: spotPrice || null,
+        premium,
+        premiumAnnualized: premium * periodsPerYear,
+        premiumZScore: premiumStats ? premiumStats.zScore : null,
+        spotBasis,
+        spotBasisAnnualized: spotBasis !== null ? spotBasis * periodsPerYear : null,
+        spotBasisZScore: spotStats ? spotStats.zScore : null,
+        dislocation: spotBasis !== null ? spotBasis - premium : null,
+        status: 'NORMAL',
+        timestamp: clock.now()
+      };
+
+      data.status = this.classify(data);
+      this.queueAlert(data);
+
+      this.cache.set(symbol, { data, timestamp: clock.now() });
+      return data;
+
+    } catch (error) {
+      if (!(error instanceof Unsupported)) {
+        logger.error(`Error calculating basis for ${symbol}: ${error.message}`);
+      }
+      throw classifyError(error, 'getBasis');
+    }
+  }
+
+  // Exchanges without premium history or a spot market fall back to our own samples and no spot
+  // basis; other failures (already retried by the provider's resilient client) fail the basis
+  async fetchOptional(request, fallback) {
+    try {
+      return await request;
+    } catch (error) {
+      if (error instanceof Unsupported) return fallback;
+      throw error;
+    }
+  }
+
+  recordSample(symbol, premium, spotBasis) {
+    const samples = this.samples.get(symbol) || [];
+
+    samples.push({ timestamp: clock.now(), premium, spotBasis });
+    if (samples.length > config.basis.maxSamples) {
+      samples.shift();
+    }
+
+    this.samples.set(symbol, samples);
+    return samples;
+  }
+
+  getZScore(value, baseline) {
+    if (baseline.length < 10) return null;
+
+    const mean = baseline.reduce((sum, item) => sum + item, 0) / baseline.length;
+    const variance = baseline.reduce((sum, item) => sum + Math.pow(item - mean, 2), 0) / baseline.length;
+    const stdDev = Math.sqrt(variance);
+
+    return {
+      mean,
+      stdDev,
+      zScore: stdDev > 0 ? (value - mean) / stdDev : 0
+    };
+  }
+
+  classify(basis) {
+    const { blowoutStdDev, dislocationThreshold } = config.basis;
+
+    if (basis.premiumZScore !== null && basis.premiumZScore >= blowoutStdDev) {
+      return 'PREMIUM_BLOWOUT';
+    }
+
+    if (basis.premiumZScore !== null && basis.premiumZScore <= -blowoutStdDev) {
+      return 'DISCOUNT_BLOWOUT';
+    }
+
+    // The local spot market has drifted away from the index the perp tracks
+    if (basis.dislocation !== null && Math.abs(basis.dislocation) >= dislocationThreshold) {
+      return 'DISLOCATION';
+    }
+
+    return 'NORMAL';
+  }
+
+  queueAlert(basis) {
+    if (basis.premiumZScore === null || Math.abs(basis.premiumZScore) < config.basis.alertStdDev) return;
+
+    const lastAlert = this.lastAlerts.get(basis.symbol);
+    if (lastAlert && clock.now() - lastAlert < config.basis.alertCooldownMinutes * 60 * 1000) return;
+
+    this.lastAlerts.set(basis.symbol, clock.now());
+    this.pendingAlerts.push(basis);
+  }
+
+  // Alerts raised since the last call, for the scanner to send
+  drainAlerts() {
+    const alerts = this.pendingAlerts;
+    this.pendingAlerts = [];
+    return alerts;
+  }
+
+  clearCache() {
+    this.cache.clear();
+  }
+}
+
+module.exports = new BasisService();
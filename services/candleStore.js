@@ -0,0 +1,151 @@
+const path = require('path');
+const fs = require('fs-extra');
+const config = require('../config/config');
+const logger = require('../utils/logger');
+const clock = require('../utils/clock');
+const cassette = require('../utils/cassette');
+
+class CandleStore {
+  constructor() {
+    this.directory = cassette.isRecording() || cassette.isReplaying()
+      ? cassette.candleDirectory
+      : path.resolve(__dirname, '..', config.candleStore.directory);
+    this.series = new Map(); // key -> { candles, persistedLines }
+    this.locks = new Map();
+  }
+
+  getKey(symbol, timeframe) {
+    return `${symbol}_${timeframe}`;
+  }
+
+  getFilePath(symbol, timeframe) {
+    const safeSymbol = symbol.replace(/[^A-Za-z0-9]/g, '-');
+    return path.join(this.directory, `${safeSymbol}_${timeframe}.jsonl`);
+  }
+
+  // Serialises work per symbol/timeframe so concurrent syncs do not interleave
+  async withLock(symbol, timeframe, task) {
+    const key = this.getKey(symbol, timeframe);
+    const previous = this.locks.get(key) || Promise.resolve();
+    const current = previous.catch(() => {}).then(task);
+    
+    this.locks.set(key, current);
+    
+    try {
+      return await current;
+    } finally {
+      if (this.locks.get(key) === current) {
+        this.locks.delete(key);
+      }
+    }
+  }
+
+  async load(symbol, timeframe) {
+    const key = this.getKey(symbol, timeframe);
+    
+    if (this.series.has(key)) {
+      return this.series.get(key);
+    }
+
+    const filePath = this.getFilePath(symbol, timeframe);
+    let candles = [];
+    let persistedLines = 0;
+
+    try {
+      if (await fs.pathExists(filePath)) {
+        const lines = (await fs.readFile(filePath, 'utf8')).split('\n').filter(Boolean);
+        persistedLines = lines.length;
+        candles = this.merge([], lines.map(line => JSON.parse(line)));
+      }
+    } catch (error) {
+      logger.error(`Failed to load candle store for ${symbol} ${timeframe}: ${error.message}`);
+      candles = [];
+    }
+
+    const entry = { candles, persistedLines };
+    this.series.set(key, entry);
+    return entry;
+  }
+
+  // Merges by timestamp, newer data wins, result sorted ascending
+  merge(existing, incoming) {
+    const byTimestamp = new Map();
+    
+    for (const candle of existing) byTimestamp.set(candle.timestamp, candle);
+    for (const candle of incoming) byTimestamp.set(candle.timestamp, candle);
+    
+    return Array.from(byTimestamp.values()).sort((a, b) => a.timestamp - b.timestamp);
+  }
+
+  async getCandles(symbol, timeframe) {
+    const entry = await this.load(symbol, timeframe);
+    return entry.candles;
+  }
+
+  async addCandles(symbol, timeframe, candles, timeframeMs) {
+    if (!candles || candles.length === 0) return;
+
+    const entry = await this.load(symbol, timeframe);
+    entry.candles = this.merge(entry.candles, candles);
+
+    if (entry.candles.length > config.candleStore.maxCandles) {
+      entry.candles = entry.candles.slice(-config.candleStore.maxCandles);
+    }
+
+    // Only closed candles are persisted; the forming candle lives in memory
+    const now = clock.now();
+    const closed = candles.filter(candle => candle.timestamp + timeframeMs <= now);
+    if (closed.length === 0) return;
+
+    try {
+      const filePath = this.getFilePath(symbol, timeframe);
+      await fs.ensureDir(this.directory);
+      await fs.appendFile(filePath, closed.map(candle => JSON.stringify(candle)).join('\n') + '\n');
+      entry.persistedLines += closed.length;
+
+      if (entry.persistedLines > config.candleStore.maxCandles * 2) {
+        await this.compact(symbol, timeframe, timeframeMs);
+      }
+    } catch (error) {
+      logger.error(`Failed to persist candles for ${symbol} ${timeframe}: ${error.message}`);
+    }
+  }
+
+  async compact(symbol, timeframe, timeframeMs) {
+    const entry = await this.load(symbol, timeframe);
+    const now = clock.now();
+    const closed = entry.candles.filter(candle => candle.timestamp + timeframeMs <= now);
+    const filePath = this.getFilePath(symbol, timeframe);
+    const tempPath = `${filePath}.tmp`;
+
+    await fs.writeFile(tempPath, closed.map(candle => JSON.stringify(candle)).join('\n') + '\n');
+    await fs.move(tempPath, filePath, { overwrite: true });
+    entry.persistedLines = closed.length;
+
+    logger.debug(`Compacted candle store for ${symbol} ${timeframe} (${closed.length} candles)`);
+  }
+
+  findGaps(candles, timeframeMs) {
+    const gaps = [];
+    
+    for (let i = 1; i < candles.length; i++) {
+      const expected = candles[i - 1].timestamp + timeframeMs;
+      if (candles[i].timestamp > expected) {
+        gaps.push({
+          from: expected,
+          to: candles[i].timestamp - timeframeMs,
+          missing: (candles[i].timestamp - expected) / timeframeMs
+        });
+      }
+    }
+    
+    return gaps;
+  }
+
+  clear() {
+    this.series.clear();
+    logger.info('Candle store memory cleared');
+  }
+}
+
+module.exports = new CandleStore();
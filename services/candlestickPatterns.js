@@ -0,0 +1,184 @@
+const config = require('../config/config');
+const logger = require('../utils/logger');
+const clock = require('../utils/clock');
+
+// How much a completed pattern says about the next move, 0 for indecision patterns
+const RELIABILITY = {
+  MORNING_STAR: 0.9,
+  EVENING_STAR: 0.9,
+  BULLISH_ENGULFING: 0.8,
+  BEARISH_ENGULFING: 0.8,
+  THREE_WHITE_SOLDIERS: 0.8,
+  THREE_BLACK_CROWS: 0.8,
+  HAMMER: 0.6,
+  SHOOTING_STAR: 0.6,
+  OUTSIDE_BAR: 0.5,
+  DOJI: 0,
+  INSIDE_BAR: 0
+};
+
+class CandlestickPatterns {
+  // Patterns completed on the last `lookback` closed candles, newest first
+  detectPatterns(ohlcv, options = config.candlestickPatterns) {
+    try {
+      const candles = this.getClosedCandles(ohlcv);
+      if (candles.length < 4) return [];
+
+      const patterns = [];
+      const first = Math.max(3, candles.length - options.lookback);
+
+      for (let i = candles.length - 1; i >= first; i--) {
+        const candlesAgo = candles.length - 1 - i;
+
+        for (const { name, direction } of this.matchCandle(candles, i, options)) {
+          patterns.push({
+            name,
+            direction,
+            reliability: RELIABILITY[name],
+            candlesAgo,
+            timestamp: candles[i].timestamp
+          });
+        }
+      }
+
+      return patterns;
+    } catch (error) {
+      logger.error(`Candlestick pattern detection error: ${error.message}`);
+      return [];
+    }
+  }
+
+  // The exchange returns the forming candle last; it only counts once its interval has passed
+  getClosedCandles(ohlcv) {
+    if (ohlcv.length < 2) return ohlcv;
+
+    const last = ohlcv[ohlcv.length - 1];
+    const interval = last.timestamp - ohlcv[ohlcv.length - 2].timestamp;
+
+    return last.timestamp + interval <= clock.now() ? ohlcv : ohlcv.slice(0, -1);
+  }
+
+  matchCandle(candles, i, options) {
+    const current = this.describe(candles[i]);
+    const previous = this.describe(candles[i - 1]);
+    const matches = [];
+
+    // Multi-candle reversals first; a candle that completes one is not read again on its own
+    const star = this.matchStar(candles.slice(i - 2, i + 1).map(candle => this.describe(candle)), options);
+    if (star) matches.push(star);
+
+    const soldiers = this.matchThreeSoldiers(candles.slice(i - 2, i + 1).map(candle => this.describe(candle)), options);
+    if (soldiers) matches.push(soldiers);
+
+    const engulfing = this.matchEngulfing(previous, current, options);
+    if (engulfing) matches.push(engulfing);
+
+    if (current.range === 0) return matches;
+
+    if (current.body <= current.range * options.dojiBodyRatio) {
+      matches.push({ name: 'DOJI', direction: 'NEUTRAL' });
+    } else if (matches.length === 0) {
+      const pin = this.matchPinBar(current, options);
+      if (pin) matches.push(pin);
+    }
+
+    if (current.high < previous.high && current.low > previous.low) {
+      matches.push({ name: 'INSIDE_BAR', direction: 'NEUTRAL' });
+    } else if (!engulfing && current.high > previous.high && current.low < previous.low && current.body > 0) {
+      matches.push({ name: 'OUTSIDE_BAR', direction: current.bullish ? 'BULLISH' : 'BEARISH' });
+    }
+
+    return matches;
+  }
+
+  describe(candle) {
+    return {
+      ...candle,
+      body: Math.abs(candle.close - candle.open),
+      range: candle.high - candle.low,
+      upperWick: candle.high - Math.max(candle.open, candle.close),
+      lowerWick: Math.min(candle.open, candle.close) - candle.low,
+      bullish: candle.close > candle.open,
+      bearish: candle.close < candle.open
+    };
+  }
+
+  // The current body covers the previous opposite body, within a tolerance for gapless markets
+  matchEngulfing(previous, current, options) {
+    const tolerance = current.close * options.engulfingTolerance;
+    if (current.body <= previous.body) return null;
+
+    if (previous.bearish && current.bullish &&
+        current.open <= previous.close + tolerance && current.close >= previous.open - tolerance) {
+      return { name: 'BULLISH_ENGULFING', direction: 'BULLISH' };
+    }
+    if (previous.bullish && current.bearish &&
+        current.open >= previous.close - tolerance && current.close <= previous.open + tolerance) {
+      return { name: 'BEARISH_ENGULFING', direction: 'BEARISH' };
+    }
+    return null;
+  }
+
+  // A long rejection wick with a small body at the other end of the range
+  matchPinBar(candle, options) {
+    const minWick = Math.max(candle.body * options.pinWickRatio, candle.range * options.pinMinWickShare);
+    const maxOppositeWick = candle.range * options.pinMaxOppositeWick;
+
+    if (candle.lowerWick >= minWick && candle.upperWick <= maxOppositeWick) {
+      return { name: 'HAMMER', direction: 'BULLISH' };
+    }
+    if (candle.upperWick >= minWick && candle.lowerWick <= maxOppositeWick) {
+      return { name: 'SHOOTING_STAR', direction: 'BEARISH' };
+    }
+    return null;
+  }
+
+  // A decisive candle, a small-bodied star, then a candle closing deep into the first body
+  matchStar([first, star, last], options) {
+    if (first.body === 0 || star.body > first.body * options.starBodyRatio) return null;
+
+    const retracement = first.body * options.starRetracement;
+
+    if (first.bearish && last.bullish && Math.max(star.open, star.close) <= first.open &&
+        last.close >= first.close + retracement) {
+      return { name: 'MORNING_STAR', direction: 'BULLISH' };
+    }
+    if (first.bullish && last.bearish && Math.min(star.open, star.close) >= first.open &&
+        last.close <= first.close - retracement) {
+      return { name: 'EVENING_STAR', direction: 'BEARISH' };
+    }
+    return null;
+  }
+
+  // Three full-bodied candles in one direction, each opening inside the previous body
+  matchThreeSoldiers(candles, options) {
+    const fullBodied = candles.every(candle => candle.range > 0 && candle.body >= candle.range * options.soldiersBodyRatio);
+    if (!fullBodied) return null;
+
+    const opensInside = (candle, previous) =>
+      candle.open >= Math.min(previous.open, previous.close) && candle.open <= Math.max(previous.open, previous.close);
+    const steps = [[candles[1], candles[0]], [candles[2], candles[1]]];
+
+    if (candles.every(candle => candle.bullish) &&
+        steps.every(([candle, previous]) => candle.close > previous.close && opensInside(candle, previous))) {
+      return { name: 'THREE_WHITE_SOLDIERS', direction: 'BULLISH' };
+    }
+    if (candles.every(candle => candle.bearish) &&
+        steps.every(([candle, previous]) => candle.close < previous.close && opensInside(candle, previous))) {
+      return { name: 'THREE_BLACK_CROWS', direction: 'BEARISH' };
+    }
+    return null;
+  }
+
+  // A reliable pattern against the signal on the latest closed candle
+  findVeto(patterns, direction, options = config.candlestickPatterns) {
+    if (!options.vetoEnabled || !patterns) return null;
+
+    const opposite = direction === 'LONG' ? 'BEARISH' : 'BULLISH';
+    return patterns.find(pattern =>
+      pattern.candlesAgo === 0 && pattern.direction === opposite && pattern.reliability >= options.vetoReliability
+    ) || null;
+  }
+}
+
+module.exports = new CandlestickPatterns();
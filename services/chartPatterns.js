@@ -0,0 +1,307 @@
+const futuresIndicators = require('./futuresIndicators');
+const candlestickPatterns = require('./candlestickPatterns');
+const config = require('../config/config');
+const logger = require('../utils/logger');
+
+// How dependable a breakout from each pattern tends to be
+const RELIABILITY = {
+  HEAD_AND_SHOULDERS: 0.85,
+  INVERSE_HEAD_AND_SHOULDERS: 0.85,
+  DOUBLE_TOP: 0.75,
+  DOUBLE_BOTTOM: 0.75,
+  ASCENDING_TRIANGLE: 0.75,
+  DESCENDING_TRIANGLE: 0.75,
+  SYMMETRICAL_TRIANGLE: 0.65,
+  BULL_FLAG: 0.7,
+  BEAR_FLAG: 0.7,
+  BULL_PENNANT: 0.7,
+  BEAR_PENNANT: 0.7,
+  RANGE: 0.6
+};
+
+class ChartPatterns {
+  // Patterns formed on the closed candles before the latest one, each with the levels that break it
+  // and their measured-move targets. A close beyond a level on the latest closed candle confirms it.
+  detectPatterns(ohlcv, atr, options = config.chartPatterns) {
+    try {
+      const candles = candlestickPatterns.getClosedCandles(ohlcv);
+      if (!atr || candles.length < options.lookback + 1) return [];
+
+      const formation = candles.slice(-options.lookback - 1, -1);
+      const context = {
+        formation,
+        atr,
+        options,
+        pivots: {
+          highs: futuresIndicators.findSwingPivots(formation.map(c => c.high), options.pivotLeft, options.pivotRight).highs,
+          lows: futuresIndicators.findSwingPivots(formation.map(c => c.low), options.pivotLeft, options.pivotRight).lows
+        }
+      };
+
+      const patterns = [
+        this.findDoubleTop(context, 'highs'),
+        this.findDoubleTop(context, 'lows'),
+        this.findHeadAndShoulders(context, 'highs'),
+        this.findHeadAndShoulders(context, 'lows'),
+        this.findTriangle(context),
+        this.findFlag(context),
+        this.findRange(context)
+      ].filter(Boolean);
+
+      const breakoutCandle = candles[candles.length - 1];
+      const avgVolume = formation.reduce((sum, candle) => sum + candle.volume, 0) / formation.length;
+
+      return patterns.map(pattern => ({
+        ...pattern,
+        reliability: RELIABILITY[pattern.name],
+        end: formation[formation.length - 1].timestamp,
+        breakout: this.findBreakout(pattern, breakoutCandle, formation[formation.length - 1], atr * options.confirmATR, avgVolume)
+      }));
+    } catch (error) {
+      logger.error(`Chart pattern detection error: ${error.message}`);
+      return [];
+    }
+  }
+
+  // A fresh close beyond one of the pattern's levels
+  findBreakout(pattern, candle, previous, margin, avgVolume) {
+    const breakout = pattern.breakouts.find(({ direction, level }) => direction === 'LONG'
+      ? candle.close > level + margin && previous.close <= level
+      : candle.close < level - margin && previous.close >= level);
+
+    if (!breakout) return null;
+
+    return {
+      ...breakout,
+      timestamp: candle.timestamp,
+      volumeRatio: avgVolume > 0 ? candle.volume / avgVolume : 0
+    };
+  }
+
+  // Least squares line through { x, y } points; an envelope shifts it so every point lies below/above it
+  fitLine(points, envelope = null) {
+    const n = points.length;
+    const meanX = points.reduce((sum, p) => sum + p.x, 0) / n;
+    const meanY = points.reduce((sum, p) => sum + p.y, 0) / n;
+    const covariance = points.reduce((sum, p) => sum + (p.x - meanX) * (p.y - meanY), 0);
+    const variance = points.reduce((sum, p) => sum + Math.pow(p.x - meanX, 2), 0);
+    const slope = variance > 0 ? covariance / variance : 0;
+    let intercept = meanY - slope * meanX;
+
+    if (envelope === 'upper') {
+      intercept += Math.max(...points.map(p => p.y - (slope * p.x + intercept)));
+    } else if (envelope === 'lower') {
+      intercept += Math.min(...points.map(p => p.y - (slope * p.x + intercept)));
+    }
+
+    return { slope, at: x => slope * x + intercept };
+  }
+
+  // Two matching tops (or bottoms) with the trough between them as the neckline
+  findDoubleTop({ formation, pivots, atr, options }, side) {
+    const tops = side === 'highs';
+    const indexes = pivots[side];
+    if (indexes.length < 2) return null;
+
+    const [first, second] = indexes.slice(-2);
+    const price = index => (tops ? formation[index].high : formation[index].low);
+    const extreme = tops ? Math.max(price(first), price(second)) : Math.min(price(first), price(second));
+
+    if (second - first < options.minSeparation) return null;
+    if (Math.abs(price(first) - price(second)) > extreme * options.levelTolerance) return null;
+
+    const between = formation.slice(first + 1, second);
+    const neckline = tops ? Math.min(...between.map(c => c.low)) : Math.max(...between.map(c => c.high));
+    const height = Math.abs(extreme - neckline);
+    if (height < atr * options.minHeightATR) return null;
+
+    // Still intact: no new extreme and no close through the neckline since the second top
+    const after = formation.slice(second + 1);
+    const intact = tops
+      ? after.every(c => c.high <= extreme * (1 + options.levelTolerance) && c.close >= neckline)
+      : after.every(c => c.low >= extreme * (1 - options.levelTolerance) && c.close <= neckline);
+    if (!intact) return null;
+
+    return {
+      name: tops ? 'DOUBLE_TOP' : 'DOUBLE_BOTTOM',
+      bias: tops ? 'BEARISH' : 'BULLISH',
+      start: formation[first].timestamp,
+      height,
+      breakouts: [tops
+        ? { direction: 'SHORT', level: neckline, target: neckline - height }
+        : { direction: 'LONG', level: neckline, target: neckline + height }]
+    };
+  }
+
+  // Head beyond two similar shoulders, broken through the neckline joining the troughs between them
+  findHeadAndShoulders({ formation, pivots, atr, options }, side) {
+    const tops = side === 'highs';
+    const indexes = pivots[side];
+    if (indexes.length < 3) return null;
+
+    const [left, head, right] = indexes.slice(-3);
+    const price = index => (tops ? formation[index].high : formation[index].low);
+    const beyond = (a, b) => (tops ? a > b : a < b);
+    const headMargin = price(head) * options.levelTolerance;
+
+    if (!beyond(price(head), price(left) + (tops ? headMargin : -headMargin)) ||
+        !beyond(price(head), price(right) + (tops ? headMargin : -headMargin))) return null;
+    if (Math.abs(price(left) - price(right)) > price(head) * options.shoulderTolerance) return null;
+
+    const trough = (from, to) => {
+      const candles = formation.slice(from + 1, to).map((c, i) => ({ x: from + 1 + i, y: tops ? c.low : c.high }));
+      return candles.reduce((best, point) => (beyond(best.y, point.y) ? point : best));
+    };
+    const neckline = this.fitLine([trough(left, head), trough(head, right)]);
+    const height = Math.abs(price(head) - neckline.at(head));
+    if (height < atr * options.minHeightATR) return null;
+
+    // The right shoulder must hold and no close may have crossed the neckline yet
+    const intact = formation.slice(right + 1).every((c, i) => {
+      const x = right + 1 + i;
+      return tops
+        ? c.high <= price(head) && c.close >= neckline.at(x)
+        : c.low >= price(head) && c.close <= neckline.at(x);
+    });
+    if (!intact) return null;
+
+    const level = neckline.at(formation.length);
+
+    return {
+      name: tops ? 'HEAD_AND_SHOULDERS' : 'INVERSE_HEAD_AND_SHOULDERS',
+      bias: tops ? 'BEARISH' : 'BULLISH',
+      start: formation[left].timestamp,
+      height,
+      breakouts: [tops
+        ? { direction: 'SHORT', level, target: level - height }
+        : { direction: 'LONG', level, target: level + height }]
+    };
+  }
+
+  // Converging trend lines through the latest swing highs and lows
+  findTriangle({ formation, pivots, atr, options }) {
+    const highs = pivots.highs.slice(-3);
+    const lows = pivots.lows.slice(-3);
+    if (highs.length < 2 || lows.length < 2) return null;
+
+    const start = Math.min(highs[0], lows[0]);
+    const end = formation.length;
+    const highPoints = highs.map(x => ({ x, y: formation[x].high }));
+    const lowPoints = lows.map(x => ({ x, y: formation[x].low }));
+    const upper = this.fitLine(highPoints, 'upper');
+    const lower = this.fitLine(lowPoints, 'lower');
+    const price = formation[formation.length - 1].close;
+
+    // Every swing must touch its line, otherwise the swings only average out to one
+    const touches = (line, points) => points.every(p => Math.abs(line.at(p.x) - p.y) <= price * options.levelTolerance);
+    if (!touches(upper, highPoints) || !touches(lower, lowPoints)) return null;
+
+    // Drift of each line across the pattern, as a fraction of price
+    const drift = line => (line.at(end) - line.at(start)) / price;
+    const shape = line => {
+      if (Math.abs(drift(line)) <= options.levelTolerance) return 'FLAT';
+      return drift(line) > 0 ? 'RISING' : 'FALLING';
+    };
+    const upperShape = shape(upper);
+    const lowerShape = shape(lower);
+
+    let name = null;
+    if (upperShape === 'FLAT' && lowerShape === 'RISING') name = 'ASCENDING_TRIANGLE';
+    else if (upperShape === 'FALLING' && lowerShape === 'FLAT') name = 'DESCENDING_TRIANGLE';
+    else if (upperShape === 'FALLING' && lowerShape === 'RISING') name = 'SYMMETRICAL_TRIANGLE';
+    if (!name) return null;
+
+    const height = upper.at(start) - lower.at(start);
+    const upperLevel = upper.at(end);
+    const lowerLevel = lower.at(end);
+    if (height < atr * options.minHeightATR || upperLevel <= lowerLevel) return null;
+    if (price > upper.at(end - 1) || price < lower.at(end - 1)) return null;
+
+    const breakouts = [];
+    if (name !== 'DESCENDING_TRIANGLE') {
+      breakouts.push({ direction: 'LONG', level: upperLevel, target: upperLevel + height });
+    }
+    if (name !== 'ASCENDING_TRIANGLE') {
+      breakouts.push({ direction: 'SHORT', level: lowerLevel, target: lowerLevel - height });
+    }
+
+    return {
+      name,
+      bias: { ASCENDING_TRIANGLE: 'BULLISH', DESCENDING_TRIANGLE: 'BEARISH', SYMMETRICAL_TRIANGLE: 'NEUTRAL' }[name],
+      start: formation[start].timestamp,
+      height,
+      breakouts
+    };
+  }
+
+  // A sharp pole followed by a shallow consolidation; converging consolidations are pennants
+  findFlag({ formation, atr, options }) {
+    const { poleLength, flagLength } = options;
+    if (formation.length < poleLength + flagLength + 1) return null;
+
+    const poleEnd = formation.length - flagLength - 1;
+    const poleStart = poleEnd - poleLength;
+    const poleMove = formation[poleEnd].close - formation[poleStart].close;
+    if (Math.abs(poleMove) < atr * options.poleMinATR) return null;
+
+    const bullish = poleMove > 0;
+    const pole = formation.slice(poleStart, poleEnd + 1);
+    const flag = formation.slice(poleEnd + 1);
+    const flagHigh = Math.max(...flag.map(c => c.high));
+    const flagLow = Math.min(...flag.map(c => c.low));
+    const poleHeight = Math.abs(poleMove);
+
+    if (flagHigh - flagLow > poleHeight * options.flagMaxRetrace) return null;
+
+    // The consolidation may not extend the pole or give back more than the allowed retrace
+    if (bullish && (flagHigh > Math.max(...pole.map(c => c.high)) || flagLow < formation[poleEnd].close - poleHeight * options.flagMaxRetrace)) return null;
+    if (!bullish && (flagLow < Math.min(...pole.map(c => c.low)) || flagHigh > formation[poleEnd].close + poleHeight * options.flagMaxRetrace)) return null;
+
+    const upper = this.fitLine(flag.map((c, i) => ({ x: poleEnd + 1 + i, y: c.high })), 'upper');
+    const lower = this.fitLine(flag.map((c, i) => ({ x: poleEnd + 1 + i, y: c.low })), 'lower');
+    const pennant = upper.slope < 0 && lower.slope > 0;
+    const end = formation.length;
+
+    const breakout = bullish
+      ? { direction: 'LONG', level: upper.at(end), target: upper.at(end) + poleHeight }
+      : { direction: 'SHORT', level: lower.at(end), target: lower.at(end) - poleHeight };
+
+    return {
+      name: `${bullish ? 'BULL' : 'BEAR'}_${pennant ? 'PENNANT' : 'FLAG'}`,
+      bias: bullish ? 'BULLISH' : 'BEARISH',
+      start: formation[poleStart].timestamp,
+      height: poleHeight,
+      breakouts: [breakout]
+    };
+  }
+
+  // A sideways box whose top and bottom were each tested more than once
+  findRange({ formation, atr, options }) {
+    const box = formation.slice(-options.rangeLength);
+    const top = Math.max(...box.map(c => c.high));
+    const bottom = Math.min(...box.map(c => c.low));
+    const height = top - bottom;
+
+    if (height < atr * options.minHeightATR || height > atr * options.rangeMaxHeightATR) return null;
+
+    // Consecutive candles at a boundary count as a single test
+    const tests = touches => touches.filter((touch, i) => touch && !touches[i - 1]).length;
+    const topTests = tests(box.map(c => c.high >= top * (1 - options.levelTolerance)));
+    const bottomTests = tests(box.map(c => c.low <= bottom * (1 + options.levelTolerance)));
+
+    if (topTests < options.rangeMinTouches || bottomTests < options.rangeMinTouches) return null;
+
+    return {
+      name: 'RANGE',
+      bias: 'NEUTRAL',
+      start: box[0].timestamp,
+      height,
+      breakouts: [
+        { direction: 'LONG', level: top, target: top + height },
+        { direction: 'SHORT', level: bottom, target: bottom - height }
+      ]
+    };
+  }
+}
+
+module.exports = new ChartPatterns();
@@ -1,14 +1,20 @@
 const ccxt = require('ccxt');
+const candleStore = require('./candleStore');
+const requestScheduler = require('./requestScheduler');
+const resilience = require('./resilience');
 const config = require('../config/config');
 const logger = require('../utils/logger');
+const cassette = require('../utils/cassette');
+const clock = require('../utils/clock');
+const { classifyError } = require('../utils/errors');
 
 class ExchangeService {
   constructor() {
     this.exchange = null;
     this.markets = null;
     this.lastMarketUpdate = null;
-    this.rateLimitQueue = [];
-    this.isProcessingQueue = false;
+    this.attemptedGaps = new Set();
+    this.historyStart = new Map(); // Earliest candle the exchange has per symbol/timeframe
   }
 
   async initialize() {
@@ -16,12 +22,12 @@ class ExchangeService {
       const ExchangeClass = ccxt[config.exchange.name];
       this.exchange = new ExchangeClass({
         ...config.exchange.options,
+        timeout: config.resilience.timeoutMs,
         sandbox: config.exchange.sandbox
       });
 
-      await this.exchange.loadMarkets();
-      this.markets = this.exchange.markets;
-      this.lastMarketUpdate = Date.now();
+      await this.loadMarkets();
+      this.lastMarketUpdate = clock.now();
       
       logger.info(`Exchange ${config.exchange.name} initialized with ${Object.keys(this.markets).length} markets`);
     } catch (error) {
@@ -30,12 +36,34 @@ class ExchangeService {
     }
   }
 
+  // Every ccxt request goes through here so it can be retried, recorded, replayed and rate limited
+  async call(method, args = [], options = {}) {
+    return resilience.execute(method, () =>
+      cassette.call('ccxt', method, args, () =>
+        requestScheduler.schedule(method, () => this.exchange[method](...args), {
+          priority: options.priority,
+          getHeaders: () => this.exchange.last_response_headers
+        })
+      ),
+      { symbol: typeof args[0] === 'string' ? args[0] : undefined }
+    );
+  }
+
+  async loadMarkets(reload = false) {
+    const markets = await this.call('loadMarkets', [reload]);
+    
+    if (cassette.isReplaying()) {
+      this.exchange.setMarkets(markets);
+    }
+    
+    this.markets = this.exchange.markets;
+  }
+
   async refreshMarkets() {
     try {
-      if (Date.now() - this.lastMarketUpdate > 3600000) { // 1 hour
-        await this.exchange.loadMarkets(true);
-        this.markets = this.exchange.markets;
-        this.lastMarketUpdate = Date.now();
+      if (clock.now() - this.lastMarketUpdate > 3600000) { // 1 hour
+        await this.loadMarkets(true);
+        this.lastMarketUpdate = clock.now();
         logger.info('Markets refreshed');
       }
     } catch (error) {
@@ -43,87 +71,170 @@ class ExchangeService {
     }
   }
 
+  getMarket(symbol) {
+    if (!this.exchange) {
+      throw new Error('Exchange not initialized');
+    }
+    
+    return this.exchange.market(symbol);
+  }
+
+  // Resolves a raw exchange id (e.g. from a stream) to its linear swap market
+  getMarketById(marketId) {
+    if (!this.exchange || !this.exchange.markets_by_id) return null;
+    
+    const markets = this.exchange.markets_by_id[marketId] || [];
+    return markets.find(market => market.swap && market.linear) || null;
+  }
+
   async getAllUSDTFutures() {
     try {
       await this.refreshMarkets();
 
+      // Leveraged-token and quality filtering lives in the universe service
       const futuresTokens = Object.keys(this.markets)
         .filter(symbol => {
           const market = this.markets[symbol];
           return market.quote === 'USDT' && 
                  market.type === 'swap' && // Perpetual futures
-                 market.active &&
-                 !symbol.includes('DOWN') &&
-                 !symbol.includes('UP') &&
-                 !symbol.includes('BEAR') &&
-                 !symbol.includes('BULL');
+                 market.active;
         });
 
       logger.info(`Found ${futuresTokens.length} USDT perpetual futures`);
       return futuresTokens;
     } catch (error) {
       logger.error(`Error fetching USDT futures: ${error.message}`);
-      return [];
+      throw classifyError(error, 'getAllUSDTFutures');
     }
   }
 
-  async getTopVolumeFutures(limit = 30) {
+  async getTickers() {
     try {
-      const tokens = await this.getAllUSDTFutures();
-      const tickers = await this.exchange.fetchTickers();
-      
-      const volumeData = tokens
-        .map(symbol => ({
-          symbol,
-          volume: tickers[symbol]?.quoteVolume || 0,
-          price: tickers[symbol]?.last || 0,
-          change: tickers[symbol]?.percentage || 0
-        }))
-        .filter(token => token.volume >= config.scanning.minVolumeUSDT)
-        .sort((a, b) => b.volume - a.volume)
-        .slice(0, limit);
-
-      logger.info(`Selected ${volumeData.length} futures with minimum volume ${config.scanning.minVolumeUSDT} USDT`);
-      return volumeData.map(token => token.symbol);
+      return await this.call('fetchTickers');
     } catch (error) {
-      logger.error(`Error getting top volume futures: ${error.message}`);
-      return [];
+      logger.error(`Error fetching tickers: ${error.message}`);
+      throw classifyError(error, 'fetchTickers');
     }
   }
 
   async getOHLCV(symbol, timeframe = '1h', limit = 100) {
     try {
-      const ohlcv = await this.exchange.fetchOHLCV(symbol, timeframe, undefined, limit);
-      return ohlcv.map(candle => ({
-        timestamp: candle[0],
-        open: candle[1],
-        high: candle[2],
-        low: candle[3],
-        close: candle[4],
-        volume: candle[5]
-      }));
+      if (config.candleStore.enabled) {
+        return await this.getStoredOHLCV(symbol, timeframe, limit);
+      }
+      
+      return await this.fetchOHLCV(symbol, timeframe, undefined, limit);
     } catch (error) {
       logger.error(`Error fetching OHLCV for ${symbol}: ${error.message}`);
-      return null;
+      throw classifyError(error, 'fetchOHLCV');
+    }
+  }
+
+  async fetchOHLCV(symbol, timeframe, since, limit) {
+    const ohlcv = await this.call('fetchOHLCV', [symbol, timeframe, since, limit]);
+    return ohlcv.map(candle => ({
+      timestamp: candle[0],
+      open: candle[1],
+      high: candle[2],
+      low: candle[3],
+      close: candle[4],
+      volume: candle[5]
+    }));
+  }
+
+  // Fetches [from, to] in pages, stopping when the exchange has nothing newer
+  async fetchOHLCVRange(symbol, timeframe, from, to) {
+    const timeframeMs = this.exchange.parseTimeframe(timeframe) * 1000;
+    const pageLimit = config.candleStore.fetchLimit;
+    const candles = [];
+    let since = from;
+
+    while (since <= to) {
+      const page = await this.fetchOHLCV(symbol, timeframe, since, pageLimit);
+      if (page.length === 0) break;
+
+      candles.push(...page.filter(candle => candle.timestamp <= to));
+
+      const lastTimestamp = page[page.length - 1].timestamp;
+      if (lastTimestamp < since || page.length < pageLimit) break;
+      since = lastTimestamp + timeframeMs;
+    }
+
+    return candles;
+  }
+
+  async getStoredOHLCV(symbol, timeframe, limit) {
+    return candleStore.withLock(symbol, timeframe, async () => {
+      const timeframeMs = this.exchange.parseTimeframe(timeframe) * 1000;
+      const now = clock.now();
+      const currentOpen = Math.floor(now / timeframeMs) * timeframeMs;
+      const windowStart = currentOpen - (limit - 1) * timeframeMs;
+      let stored = await candleStore.getCandles(symbol, timeframe);
+
+      // Backfill history older than what we have locally
+      const storeKey = candleStore.getKey(symbol, timeframe);
+      const knownStart = this.historyStart.get(storeKey);
+      if (stored.length === 0 || (stored[0].timestamp > windowStart && stored[0].timestamp !== knownStart)) {
+        const backfillEnd = stored.length > 0 ? stored[0].timestamp - timeframeMs : now;
+        const history = await this.fetchOHLCVRange(symbol, timeframe, windowStart, backfillEnd);
+        await candleStore.addCandles(symbol, timeframe, history, timeframeMs);
+        stored = await candleStore.getCandles(symbol, timeframe);
+        
+        if (stored.length > 0 && stored[0].timestamp > windowStart) {
+          this.historyStart.set(storeKey, stored[0].timestamp);
+        }
+      }
+
+      // Fill holes left by downtime or failed syncs, once per gap per process
+      const gaps = candleStore.findGaps(stored, timeframeMs)
+        .filter(gap => gap.to >= windowStart)
+        .filter(gap => !this.attemptedGaps.has(`${symbol}_${timeframe}_${gap.from}`));
+
+      for (const gap of gaps) {
+        this.attemptedGaps.add(`${symbol}_${timeframe}_${gap.from}`);
+        logger.debug(`Backfilling ${gap.missing} missing ${timeframe} candles for ${symbol}`);
+        const missing = await this.fetchOHLCVRange(symbol, timeframe, gap.from, gap.to);
+        await candleStore.addCandles(symbol, timeframe, missing, timeframeMs);
+      }
+
+      // Incremental sync: refetch from the last stored candle, which may still be forming
+      stored = await candleStore.getCandles(symbol, timeframe);
+      if (stored.length > 0) {
+        const lastTimestamp = stored[stored.length - 1].timestamp;
+        const latest = await this.fetchOHLCVRange(symbol, timeframe, lastTimestamp, now);
+        await candleStore.addCandles(symbol, timeframe, latest, timeframeMs);
+        stored = await candleStore.getCandles(symbol, timeframe);
+      }
+
+      return stored.slice(-limit);
+    });
+  }
+
+  async getOrderBook(symbol, limit = config.liquidity.orderBookLimit) {
+    try {
+      return await this.call('fetchOrderBook', [symbol, limit]);
+    } catch (error) {
+      logger.error(`Error fetching order book for ${symbol}: ${error.message}`);
+      throw classifyError(error, 'fetchOrderBook');
     }
   }
 
-  async getCurrentPrice(symbol) {
+  async getCurrentPrice(symbol, options = {}) {
     try {
-      const ticker = await this.exchange.fetchTicker(symbol);
+      const ticker = await this.call('fetchTicker', [symbol], options);
       return ticker.last;
     } catch (error) {
       logger.error(`Error fetching price for ${symbol}: ${error.message}`);
-      return null;
+      throw classifyError(error, 'fetchTicker');
     }
   }
 
   async getTicker(symbol) {
     try {
-      return await this.exchange.fetchTicker(symbol);
+      return await this.call('fetchTicker', [symbol]);
     } catch (error) {
       logger.error(`Error fetching ticker for ${symbol}: ${error.message}`);
-      return null;
+      throw classifyError(error, 'fetchTicker');
     }
   }
 }
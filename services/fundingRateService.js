@@ -1,12 +1,36 @@
 const axios = require('axios');
+const exchangeService = require('./exchangeService');
+const requestScheduler = require('./requestScheduler');
+const resilience = require('./resilience');
+const liquidationService = require('./liquidationService');
+const { createFuturesProvider } = require('./futuresProviders');
 const logger = require('../utils/logger');
 const config = require('../config/config');
+const cassette = require('../utils/cassette');
+const clock = require('../utils/clock');
+const { classifyError, Unsupported } = require('../utils/errors');
 
 class FundingRateService {
   constructor() {
-    this.baseURL = 'https://fapi.binance.com';
+    this.provider = null;
     this.cache = new Map();
     this.cacheExpiry = 5 * 60 * 1000; // 5 minutes
+    this.oiSnapshots = new Map();
+  }
+
+  getProvider() {
+    if (!this.provider) {
+      this.provider = createFuturesProvider(config.exchange.name, {
+        http: resilience.wrapHttp(cassette.wrapHttp(requestScheduler.wrapHttp(axios))),
+        timeout: config.resilience.timeoutMs
+      });
+      if (this.provider.available) {
+        logger.info(`Futures data provider: ${this.provider.name}`);
+      } else {
+        logger.warn(`No futures data provider for ${config.exchange.name}, futures data will be reported unavailable`);
+      }
+    }
+    return this.provider;
   }
 
   getCacheKey(symbol, endpoint) {
@@ -14,13 +38,18 @@ class FundingRateService {
   }
 
   isValidCacheEntry(entry) {
-    return entry && (Date.now() - entry.timestamp) < this.cacheExpiry;
+    return entry && (clock.now() - entry.timestamp) < this.cacheExpiry;
   }
 
   async getFundingRate(symbol) {
+    if (!config.features.fundingAnalysis) return null;
+    
+    return this.fetchFundingRate(symbol);
+  }
+
+  // Ungated, since the funding projection (blackout, R/R cost) does not depend on funding analysis
+  async fetchFundingRate(symbol) {
     try {
-      if (!config.features.fundingAnalysis) return null;
-      
       const cacheKey = this.getCacheKey(symbol, 'funding');
       const cached = this.cache.get(cacheKey);
       
@@ -28,28 +57,22 @@ class FundingRateService {
         return cached.data;
       }
 
-      const futuresSymbol = symbol.replace('/', '');
-      
-      const response = await axios.get(`${this.baseURL}/fapi/v1/premiumIndex`, {
-        params: { symbol: futuresSymbol },
-        timeout: 10000
-      });
+      const market = exchangeService.getMarket(symbol);
+      const funding = await this.getProvider().fetchFundingRate(market);
       
       const data = {
         symbol: symbol,
-        fundingRate: parseFloat(response.data.lastFundingRate),
-        markPrice: parseFloat(response.data.markPrice),
-        indexPrice: parseFloat(response.data.indexPrice),
-        nextFundingTime: parseInt(response.data.nextFundingTime),
-        estimatedSettlePrice: parseFloat(response.data.estimatedSettlePrice || 0)
+        ...funding
       };
 
-      this.cache.set(cacheKey, { data, timestamp: Date.now() });
+      this.cache.set(cacheKey, { data, timestamp: clock.now() });
       return data;
       
     } catch (error) {
-      logger.error(`Error fetching funding rate for ${symbol}: ${error.message}`);
-      return null;
+      if (!(error instanceof Unsupported)) {
+        logger.error(`Error fetching funding rate for ${symbol}: ${error.message}`);
+      }
+      throw classifyError(error, 'getFundingRate');
     }
   }
 
@@ -62,114 +85,252 @@ class FundingRateService {
         return cached.data;
       }
 
-      const futuresSymbol = symbol.replace('/', '');
-      
-      const response = await axios.get(`${this.baseURL}/fapi/v1/openInterest`, {
-        params: { symbol: futuresSymbol },
-        timeout: 10000
-      });
+      const market = exchangeService.getMarket(symbol);
+      const openInterest = await this.getProvider().fetchOpenInterest(market);
       
       const data = {
         symbol: symbol,
-        openInterest: parseFloat(response.data.openInterest),
-        openInterestValue: parseFloat(response.data.openInterestValue || 0)
+        ...openInterest
       };
 
-      this.cache.set(cacheKey, { data, timestamp: Date.now() });
+      this.cache.set(cacheKey, { data, timestamp: clock.now() });
+      this.recordOpenInterestSnapshot(symbol, data);
       return data;
       
     } catch (error) {
-      logger.error(`Error fetching open interest for ${symbol}: ${error.message}`);
-      return null;
+      if (!(error instanceof Unsupported)) {
+        logger.error(`Error fetching open interest for ${symbol}: ${error.message}`);
+      }
+      throw classifyError(error, 'getOpenInterest');
     }
   }
 
-  async getLiquidationData(symbol) {
+  async getOpenInterestHistory(symbol) {
     try {
-      if (!config.features.liquidationAnalysis) return null;
+      if (!config.futures.openInterest.enabled) return null;
       
-      const cacheKey = this.getCacheKey(symbol, 'liquidations');
+      const cacheKey = this.getCacheKey(symbol, 'oiHistory');
       const cached = this.cache.get(cacheKey);
       
       if (this.isValidCacheEntry(cached)) {
         return cached.data;
       }
 
-      const futuresSymbol = symbol.replace('/', '');
+      const { period, historyLimit } = config.futures.openInterest;
+      const market = exchangeService.getMarket(symbol);
+      let history;
       
-      const response = await axios.get(`${this.baseURL}/fapi/v1/forceOrders`, {
-        params: { 
-          symbol: futuresSymbol,
-          limit: 50
-        },
-        timeout: 10000
-      });
+      try {
+        history = await this.getProvider().fetchOpenInterestHistory(market, period, historyLimit);
+      } catch (error) {
+        // Fall back to the snapshots collected on previous scans
+        const snapshots = this.oiSnapshots.get(symbol) || [];
+        if (snapshots.length < 2) throw error;
+        
+        logger.debug(`Using ${snapshots.length} OI snapshots for ${symbol}: ${error.message}`);
+        history = snapshots.slice();
+      }
+
+      this.cache.set(cacheKey, { data: history, timestamp: clock.now() });
+      return history;
       
-      const liquidations = response.data;
-      let longLiquidations = 0;
-      let shortLiquidations = 0;
-      let totalLiquidated = 0;
-      let totalValue = 0;
+    } catch (error) {
+      if (!(error instanceof Unsupported)) {
+        logger.error(`Error fetching open interest history for ${symbol}: ${error.message}`);
+      }
+      throw classifyError(error, 'getOpenInterestHistory');
+    }
+  }
+
+  recordOpenInterestSnapshot(symbol, data) {
+    const snapshots = this.oiSnapshots.get(symbol) || [];
+    const maxWindow = Math.max(...config.futures.openInterest.windowsMinutes) * 60 * 1000;
+    
+    snapshots.push({
+      timestamp: data.timestamp || clock.now(),
+      openInterest: data.openInterest || 0,
+      openInterestValue: data.openInterestValue || 0
+    });
+    
+    // Keep a little more than the longest window so it can still be measured
+    const cutoff = clock.now() - maxWindow * 1.1;
+    while (snapshots.length > 0 && snapshots[0].timestamp < cutoff) {
+      snapshots.shift();
+    }
+    
+    this.oiSnapshots.set(symbol, snapshots);
+  }
+
+  async getLiquidationData(symbol) {
+    try {
+      if (!config.features.liquidationAnalysis) return null;
       
-      const oneHourAgo = Date.now() - (60 * 60 * 1000);
+      const lookbackMinutes = config.futures.liquidations.lookbackMinutes;
+      const provider = this.getProvider();
+      
+      // Prefer the stream aggregate, with any coverage gaps (restarts, reconnects) filled over REST
+      if (liquidationService.isRunning) {
+        const streamed = liquidationService.getLiquidations(symbol, lookbackMinutes);
+        if (streamed.complete || !provider.supportsLiquidations) {
+          return streamed;
+        }
+        
+        return liquidationService.fillGaps(streamed, await this.getLiquidationOrders(symbol));
+      }
+      
+      if (!provider.supportsLiquidations) return null;
+      
+      const liquidations = await this.getLiquidationOrders(symbol);
+      
+      let longValue = 0;
+      let shortValue = 0;
+      let count = 0;
+      
+      const since = clock.now() - lookbackMinutes * 60 * 1000;
       
       liquidations.forEach(liq => {
-        if (parseInt(liq.time) > oneHourAgo) {
-          const quantity = parseFloat(liq.origQty);
-          const value = parseFloat(liq.price) * quantity;
+        if (liq.timestamp > since) {
+          const value = liq.price * liq.quantity;
+          count++;
           
-          totalLiquidated += quantity;
-          totalValue += value;
-          
-          if (liq.side === 'SELL') {
-            longLiquidations += quantity;
+          if (liq.side === 'LONG') {
+            longValue += value;
           } else {
-            shortLiquidations += quantity;
+            shortValue += value;
           }
         }
       });
       
-      const data = {
+      const totalValue = longValue + shortValue;
+      return {
         symbol: symbol,
-        longLiquidations,
-        shortLiquidations,
-        totalLiquidated,
+        windowMinutes: lookbackMinutes,
+        longValue,
+        shortValue,
         totalValue,
-        liquidationRatio: totalLiquidated > 0 ? longLiquidations / totalLiquidated : 0.5,
-        timestamp: Date.now()
+        count,
+        liquidationRatio: totalValue > 0 ? longValue / totalValue : 0.5,
+        // The endpoint only returns the latest orders, which may not span the lookback
+        complete: liquidations.length === 0 || liquidations.some(liq => liq.timestamp <= since),
+        source: 'rest',
+        timestamp: clock.now()
       };
-
-      this.cache.set(cacheKey, { data, timestamp: Date.now() });
-      return data;
       
     } catch (error) {
-      logger.error(`Error fetching liquidation data for ${symbol}: ${error.message}`);
-      return null;
+      if (!(error instanceof Unsupported)) {
+        logger.error(`Error fetching liquidation data for ${symbol}: ${error.message}`);
+      }
+      throw classifyError(error, 'getLiquidationData');
     }
   }
 
+  // Latest force orders from REST, shared by the REST aggregate and the stream's gap filling
+  async getLiquidationOrders(symbol) {
+    const cacheKey = this.getCacheKey(symbol, 'liquidationOrders');
+    const cached = this.cache.get(cacheKey);
+    
+    if (this.isValidCacheEntry(cached)) {
+      return cached.data;
+    }
+    
+    const market = exchangeService.getMarket(symbol);
+    const liquidations = await this.getProvider().fetchLiquidations(market);
+    
+    this.cache.set(cacheKey, { data: liquidations, timestamp: clock.now() });
+    return liquidations;
+  }
+
   async getFundingHistory(symbol, limit = 10) {
     try {
-      const futuresSymbol = symbol.replace('/', '');
-      
-      const response = await axios.get(`${this.baseURL}/fapi/v1/fundingRate`, {
-        params: { 
-          symbol: futuresSymbol,
-          limit: limit
-        },
-        timeout: 10000
-      });
-      
-      return response.data.map(rate => ({
-        fundingTime: parseInt(rate.fundingTime),
-        fundingRate: parseFloat(rate.fundingRate),
-        markPrice: parseFloat(rate.markPrice)
-      }));
+      const market = exchangeService.getMarket(symbol);
+      return await this.getProvider().fetchFundingHistory(market, limit);
       
     } catch (error) {
-      logger.error(`Error fetching funding history for ${symbol}: ${error.message}`);
-      return [];
+      if (!(error instanceof Unsupported)) {
+        logger.error(`Error fetching funding history for ${symbol}: ${error.message}`);
+      }
+      throw classifyError(error, 'getFundingHistory');
+    }
+  }
+
+  // Projects the funding a position pays (positive) or receives (negative) over its holding time,
+  // as a fraction of notional
+  async getFundingProjection(symbol, direction, holdingHours = config.futures.fundingRate.expectedHoldingHours) {
+    const funding = await this.fetchFundingRate(symbol);
+    if (!funding || !funding.nextFundingTime) return null;
+    
+    let history = [];
+    try {
+      history = await this.getFundingHistory(symbol, config.futures.fundingRate.historyLimit);
+    } catch (error) {
+      // Without history the current rate is held flat
+    }
+    
+    const intervalMs = this.getFundingInterval(history);
+    const rates = history.map(entry => entry.fundingRate);
+    const currentRate = funding.fundingRate;
+    
+    // Linear trend per settlement, bounded by the rates actually seen
+    const slope = rates.length >= 2 ? (rates[rates.length - 1] - rates[0]) / (rates.length - 1) : 0;
+    const minRate = Math.min(currentRate, ...rates);
+    const maxRate = Math.max(currentRate, ...rates);
+    
+    const now = clock.now();
+    const horizon = now + holdingHours * 60 * 60 * 1000;
+    const settlements = [];
+    
+    for (let time = funding.nextFundingTime, k = 0; time <= horizon; time += intervalMs, k++) {
+      const rate = Math.min(maxRate, Math.max(minRate, currentRate + slope * k));
+      settlements.push({ time, rate });
     }
+    
+    // Longs pay positive funding, shorts receive it
+    const sign = direction === 'LONG' ? 1 : -1;
+    const projectedCost = settlements.reduce((sum, settlement) => sum + settlement.rate * sign, 0);
+    
+    let trend = 'FLAT';
+    if (Math.abs(slope) > Math.abs(currentRate) * 0.1 && slope !== 0) {
+      trend = slope > 0 ? 'RISING' : 'FALLING';
+    }
+    
+    return {
+      direction,
+      currentRate,
+      nextFundingTime: funding.nextFundingTime,
+      previousFundingTime: funding.nextFundingTime - intervalMs,
+      minutesToFunding: Math.max(0, Math.round((funding.nextFundingTime - now) / 60000)),
+      intervalHours: intervalMs / (60 * 60 * 1000),
+      holdingHours,
+      settlements: settlements.length,
+      projectedCost,
+      trend
+    };
+  }
+
+  getFundingInterval(history) {
+    const gaps = [];
+    for (let i = 1; i < history.length; i++) {
+      const gap = history[i].fundingTime - history[i - 1].fundingTime;
+      if (gap > 0) gaps.push(gap);
+    }
+    
+    if (gaps.length === 0) {
+      return config.futures.fundingRate.intervalHours * 60 * 60 * 1000;
+    }
+    
+    // Median tolerates a missed or irregular settlement
+    gaps.sort((a, b) => a - b);
+    return gaps[Math.floor(gaps.length / 2)];
+  }
+
+  // True when now is within the blackout window of the previous or next settlement
+  isInFundingBlackout(projection) {
+    const blackoutMs = config.futures.fundingRate.blackoutMinutes * 60 * 1000;
+    if (!projection || blackoutMs <= 0) return false;
+    
+    const now = clock.now();
+    return Math.abs(projection.nextFundingTime - now) <= blackoutMs ||
+      Math.abs(now - projection.previousFundingTime) <= blackoutMs;
   }
 
   clearCache() {
@@ -2,33 +2,30 @@ const config = require('../config/config');
 const logger = require('../utils/logger');
 
 class FuturesIndicators {
-  calculateEMA(values, period) {
+  // Seeded with the SMA of the first `period` of the last `lookback` values, so the EMA does not
+  // depend on how much history is passed in
+  calculateEMA(values, period, lookback = config.indicators.recursiveLookback) {
     try {
-      if (values.length < period) return null;
-      
-      const multiplier = 2 / (period + 1);
-      let ema = values[0];
-      
-      for (let i = 1; i < values.length; i++) {
-        ema = (values[i] * multiplier) + (ema * (1 - multiplier));
-      }
-      
-      return ema;
+      const emaArray = this.calculateEMAArray(values, period, lookback);
+      return emaArray.length > 0 ? emaArray[emaArray.length - 1] : null;
     } catch (error) {
       logger.error(`EMA calculation error: ${error.message}`);
       return null;
     }
   }
 
-  calculateEMAArray(values, period) {
+  calculateEMAArray(values, period, lookback = config.indicators.recursiveLookback) {
     try {
       if (values.length < period) return [];
       
+      const start = Math.max(0, values.length - Math.max(lookback, period));
       const multiplier = 2 / (period + 1);
-      const emaArray = [values[0]];
+      const emaArray = new Array(start + period - 1).fill(null);
+      let ema = values.slice(start, start + period).reduce((sum, value) => sum + value, 0) / period;
+      emaArray.push(ema);
       
-      for (let i = 1; i < values.length; i++) {
-        const ema = (values[i] * multiplier) + (emaArray[i - 1] * (1 - multiplier));
+      for (let i = start + period; i < values.length; i++) {
+        ema = (values[i] * multiplier) + (ema * (1 - multiplier));
         emaArray.push(ema);
       }
       
@@ -59,6 +56,162 @@ class FuturesIndicators {
     }
   }
 
+  // Volume binned by price: each candle's volume is spread evenly over the rows its range covers.
+  // The value area grows from the point of control towards the heavier neighbour until it holds
+  // valueAreaPercent of the volume; nodes are local extremes against the average row.
+  calculateVolumeProfile(ohlcv, rows = 40, valueAreaPercent = 0.7, hvnThreshold = 1.5, lvnThreshold = 0.5) {
+    try {
+      if (ohlcv.length < 2) return null;
+      
+      const top = Math.max(...ohlcv.map(c => c.high));
+      const bottom = Math.min(...ohlcv.map(c => c.low));
+      const rowSize = (top - bottom) / rows;
+      if (rowSize <= 0) return null;
+      
+      const volumes = new Array(rows).fill(0);
+      const rowOf = price => Math.min(rows - 1, Math.floor((price - bottom) / rowSize));
+      
+      for (const candle of ohlcv) {
+        const range = candle.high - candle.low;
+        
+        if (range === 0) {
+          volumes[rowOf(candle.close)] += candle.volume;
+          continue;
+        }
+        
+        for (let row = rowOf(candle.low); row <= rowOf(candle.high); row++) {
+          const rowLow = bottom + row * rowSize;
+          const overlap = Math.min(candle.high, rowLow + rowSize) - Math.max(candle.low, rowLow);
+          volumes[row] += candle.volume * Math.max(0, overlap) / range;
+        }
+      }
+      
+      const totalVolume = volumes.reduce((sum, volume) => sum + volume, 0);
+      if (totalVolume === 0) return null;
+      
+      const pocRow = volumes.indexOf(Math.max(...volumes));
+      let lowRow = pocRow;
+      let highRow = pocRow;
+      let areaVolume = volumes[pocRow];
+      
+      while (areaVolume < totalVolume * valueAreaPercent && (lowRow > 0 || highRow < rows - 1)) {
+        const below = lowRow > 0 ? volumes[lowRow - 1] : -1;
+        const above = highRow < rows - 1 ? volumes[highRow + 1] : -1;
+        
+        if (above >= below) {
+          areaVolume += volumes[++highRow];
+        } else {
+          areaVolume += volumes[--lowRow];
+        }
+      }
+      
+      const average = totalVolume / rows;
+      const center = row => bottom + (row + 0.5) * rowSize;
+      const hvn = [];
+      const lvn = [];
+      
+      for (let row = 1; row < rows - 1; row++) {
+        const [previous, volume, next] = [volumes[row - 1], volumes[row], volumes[row + 1]];
+        
+        if (volume >= previous && volume > next && volume >= average * hvnThreshold) hvn.push(center(row));
+        if (volume <= previous && volume < next && volume <= average * lvnThreshold) lvn.push(center(row));
+      }
+      
+      return {
+        lookback: ohlcv.length,
+        poc: center(pocRow),
+        vah: bottom + (highRow + 1) * rowSize,
+        val: bottom + lowRow * rowSize,
+        rowSize,
+        hvn,
+        lvn,
+        totalVolume
+      };
+    } catch (error) {
+      logger.error(`Volume profile calculation error: ${error.message}`);
+      return null;
+    }
+  }
+
+  // VWAP from the anchor candle on, with volume-weighted standard deviation bands
+  calculateAnchoredVWAP(ohlcv, anchorIndex) {
+    try {
+      const candles = ohlcv.slice(Math.max(0, anchorIndex));
+      const typicalPrices = candles.map(c => (c.high + c.low + c.close) / 3);
+      const totalVolume = candles.reduce((sum, c) => sum + c.volume, 0);
+      if (candles.length === 0 || totalVolume === 0) return null;
+      
+      const value = candles.reduce((sum, c, i) => sum + typicalPrices[i] * c.volume, 0) / totalVolume;
+      const variance = candles.reduce((sum, c, i) => sum + c.volume * Math.pow(typicalPrices[i] - value, 2), 0) / totalVolume;
+      const stdDev = Math.sqrt(variance);
+      
+      return {
+        anchor: candles[0].timestamp,
+        candles: candles.length,
+        complete: anchorIndex >= 0,
+        value,
+        stdDev,
+        upper1: value + stdDev,
+        lower1: value - stdDev,
+        upper2: value + 2 * stdDev,
+        lower2: value - 2 * stdDev
+      };
+    } catch (error) {
+      logger.error(`Anchored VWAP calculation error: ${error.message}`);
+      return null;
+    }
+  }
+
+  // Rolling, UTC day/week/session, latest swing high/low and latest volume spike VWAPs. Anchors older
+  // than the candles available are computed from the first candle and marked incomplete.
+  calculateAnchoredVWAPs(ohlcv, options) {
+    try {
+      if (ohlcv.length < 2) return null;
+      
+      const dayMs = 24 * 60 * 60 * 1000;
+      const latest = ohlcv[ohlcv.length - 1].timestamp;
+      const dayStart = Math.floor(latest / dayMs) * dayMs;
+      const weekStart = dayStart - ((new Date(dayStart).getUTCDay() + 6) % 7) * dayMs; // Monday
+      const hour = (latest - dayStart) / (60 * 60 * 1000);
+      
+      // The latest session that has opened, yesterday's last one before today's first
+      const sessions = [...options.sessions].sort((a, b) => a.startHour - b.startHour);
+      const openSession = sessions.filter(session => session.startHour <= hour).pop();
+      const session = openSession || sessions[sessions.length - 1];
+      const sessionStart = (openSession ? dayStart : dayStart - dayMs) + session.startHour * 60 * 60 * 1000;
+      
+      // -1 marks an anchor before the first candle
+      const indexAt = timestamp => (timestamp < ohlcv[0].timestamp ? -1 : ohlcv.findIndex(c => c.timestamp >= timestamp));
+      const highs = this.findSwingPivots(ohlcv.map(c => c.high), options.pivotLeft, options.pivotRight).highs;
+      const lows = this.findSwingPivots(ohlcv.map(c => c.low), options.pivotLeft, options.pivotRight).lows;
+      const avgVolume = ohlcv.reduce((sum, c) => sum + c.volume, 0) / ohlcv.length;
+      const volumeEvents = ohlcv
+        .map((c, i) => (c.volume >= avgVolume * options.volumeEventMultiplier ? i : null))
+        .filter(i => i !== null);
+      
+      const anchors = {
+        rolling: Math.max(0, ohlcv.length - options.period),
+        daily: indexAt(dayStart),
+        weekly: indexAt(weekStart),
+        session: indexAt(sessionStart),
+        swingHigh: highs.length > 0 ? highs[highs.length - 1] : null,
+        swingLow: lows.length > 0 ? lows[lows.length - 1] : null,
+        volumeEvent: volumeEvents.length > 0 ? volumeEvents[volumeEvents.length - 1] : null
+      };
+      
+      const vwaps = {};
+      for (const [name, index] of Object.entries(anchors)) {
+        vwaps[name] = index !== null ? this.calculateAnchoredVWAP(ohlcv, index) : null;
+      }
+      if (vwaps.session) vwaps.session.session = session.name;
+      
+      return vwaps;
+    } catch (error) {
+      logger.error(`Anchored VWAPs calculation error: ${error.message}`);
+      return null;
+    }
+  }
+
   calculateATR(ohlcv, period = 14) {
     try {
       if (ohlcv.length < period + 1) return null;
@@ -84,8 +237,10 @@ class FuturesIndicators {
     }
   }
 
-  calculateSupertrend(ohlcv, period = 10, multiplier = 3) {
+  // Runs over the last `lookback` candles, so the bands do not depend on how much history is passed in
+  calculateSupertrend(candles, period = 10, multiplier = 3, lookback = config.indicators.recursiveLookback) {
     try {
+      const ohlcv = candles.slice(-lookback);
       if (ohlcv.length < period + 10) return null;
       
       const atr = this.calculateATRArray(ohlcv, period);
@@ -95,14 +250,14 @@ class FuturesIndicators {
       
       for (let i = period; i < ohlcv.length; i++) {
         const hl2 = (ohlcv[i].high + ohlcv[i].low) / 2;
-        const currentATR = atr[i - 1];
+        const currentATR = atr[i - period]; // The ATR array starts at candle `period`
         
         const newUpperBand = hl2 + (multiplier * currentATR);
         const newLowerBand = hl2 - (multiplier * currentATR);
         
-        // Basic supertrend logic
-        upperBand = newUpperBand < upperBand || ohlcv[i - 1].close > upperBand ? newUpperBand : upperBand;
-        lowerBand = newLowerBand > lowerBand || ohlcv[i - 1].close < lowerBand ? newLowerBand : lowerBand;
+        // Basic supertrend logic; the first candle starts both bands
+        upperBand = upperBand === undefined || newUpperBand < upperBand || ohlcv[i - 1].close > upperBand ? newUpperBand : upperBand;
+        lowerBand = lowerBand === undefined || newLowerBand > lowerBand || ohlcv[i - 1].close < lowerBand ? newLowerBand : lowerBand;
         
         if (ohlcv[i].close <= lowerBand) {
           trend = -1;
@@ -127,6 +282,78 @@ class FuturesIndicators {
     }
   }
 
+  // Wilder's Parabolic SAR as a series over the last `lookback` candles; each point is the stop for that candle
+  calculateParabolicSAR(candles, step = 0.02, maxStep = 0.2, lookback = config.indicators.recursiveLookback) {
+    try {
+      const ohlcv = candles.slice(-lookback);
+      if (ohlcv.length < 3) return null;
+
+      let trend = ohlcv[1].close >= ohlcv[0].close ? 1 : -1;
+      let sar = trend === 1 ? ohlcv[0].low : ohlcv[0].high;
+      let extremePoint = trend === 1 ? ohlcv[0].high : ohlcv[0].low;
+      let acceleration = step;
+      let lastFlip = null;
+      const series = [];
+
+      for (let i = 1; i < ohlcv.length; i++) {
+        const candle = ohlcv[i];
+        sar += acceleration * (extremePoint - sar);
+
+        // The SAR may not move into the previous two candles' range
+        const previous = ohlcv.slice(Math.max(0, i - 2), i);
+        if (trend === 1) {
+          sar = Math.min(sar, ...previous.map(c => c.low));
+        } else {
+          sar = Math.max(sar, ...previous.map(c => c.high));
+        }
+
+        let flipped = false;
+        if (trend === 1 && candle.low < sar) {
+          trend = -1;
+          sar = extremePoint;
+          extremePoint = candle.low;
+          acceleration = step;
+          flipped = true;
+        } else if (trend === -1 && candle.high > sar) {
+          trend = 1;
+          sar = extremePoint;
+          extremePoint = candle.high;
+          acceleration = step;
+          flipped = true;
+        } else if (trend === 1 && candle.high > extremePoint) {
+          extremePoint = candle.high;
+          acceleration = Math.min(acceleration + step, maxStep);
+        } else if (trend === -1 && candle.low < extremePoint) {
+          extremePoint = candle.low;
+          acceleration = Math.min(acceleration + step, maxStep);
+        }
+
+        if (flipped) {
+          lastFlip = i;
+        }
+
+        series.push({ timestamp: candle.timestamp, value: sar, trend, flipped });
+      }
+
+      const last = series[series.length - 1];
+
+      return {
+        series,
+        value: last.value,
+        trend: last.trend,
+        extremePoint,
+        acceleration,
+        lastFlip: lastFlip !== null ? {
+          direction: series[lastFlip - 1].trend === 1 ? 'BULLISH' : 'BEARISH',
+          candlesAgo: ohlcv.length - 1 - lastFlip
+        } : null
+      };
+    } catch (error) {
+      logger.error(`Parabolic SAR calculation error: ${error.message}`);
+      return null;
+    }
+  }
+
   calculateATRArray(ohlcv, period = 14) {
     try {
       const trueRanges = [];
@@ -157,6 +384,83 @@ class FuturesIndicators {
     }
   }
 
+  // Wilder's ADX with the +DI/-DI lines it is built from
+  calculateADX(ohlcv, period = 14) {
+    try {
+      if (ohlcv.length < period * 2 + 1) return null;
+
+      const trueRanges = [];
+      const plusDM = [];
+      const minusDM = [];
+
+      for (let i = 1; i < ohlcv.length; i++) {
+        const upMove = ohlcv[i].high - ohlcv[i - 1].high;
+        const downMove = ohlcv[i - 1].low - ohlcv[i].low;
+
+        trueRanges.push(Math.max(
+          ohlcv[i].high - ohlcv[i].low,
+          Math.abs(ohlcv[i].high - ohlcv[i - 1].close),
+          Math.abs(ohlcv[i].low - ohlcv[i - 1].close)
+        ));
+        plusDM.push(upMove > downMove && upMove > 0 ? upMove : 0);
+        minusDM.push(downMove > upMove && downMove > 0 ? downMove : 0);
+      }
+
+      const sum = values => values.reduce((total, value) => total + value, 0);
+      let smoothedTR = sum(trueRanges.slice(0, period));
+      let smoothedPlus = sum(plusDM.slice(0, period));
+      let smoothedMinus = sum(minusDM.slice(0, period));
+      let plusDI = 0;
+      let minusDI = 0;
+      const dx = [];
+
+      for (let i = period; i <= trueRanges.length; i++) {
+        if (i > period) {
+          smoothedTR = smoothedTR - smoothedTR / period + trueRanges[i - 1];
+          smoothedPlus = smoothedPlus - smoothedPlus / period + plusDM[i - 1];
+          smoothedMinus = smoothedMinus - smoothedMinus / period + minusDM[i - 1];
+        }
+
+        plusDI = smoothedTR === 0 ? 0 : (smoothedPlus / smoothedTR) * 100;
+        minusDI = smoothedTR === 0 ? 0 : (smoothedMinus / smoothedTR) * 100;
+        dx.push(plusDI + minusDI === 0 ? 0 : (Math.abs(plusDI - minusDI) / (plusDI + minusDI)) * 100);
+      }
+
+      let adx = sum(dx.slice(0, period)) / period;
+      for (let i = period; i < dx.length; i++) {
+        adx = (adx * (period - 1) + dx[i]) / period;
+      }
+
+      return { adx, plusDI, minusDI };
+    } catch (error) {
+      logger.error(`ADX calculation error: ${error.message}`);
+      return null;
+    }
+  }
+
+  // Bollinger and Keltner channel widths as fractions of their middle lines; a squeeze is
+  // Bollinger inside Keltner
+  calculateBandWidth(ohlcv, period = 20, stdDev = 2, keltnerMultiplier = 1.5) {
+    try {
+      if (ohlcv.length < period + 1) return null;
+
+      const closes = ohlcv.map(candle => candle.close);
+      const recent = closes.slice(-period);
+      const sma = recent.reduce((sum, close) => sum + close, 0) / period;
+      const deviation = Math.sqrt(recent.reduce((sum, close) => sum + Math.pow(close - sma, 2), 0) / period);
+      const ema = this.calculateEMA(closes, period);
+      const atr = this.calculateATR(ohlcv, period);
+
+      const bollinger = (2 * stdDev * deviation) / sma;
+      const keltner = (2 * keltnerMultiplier * atr) / ema;
+
+      return { bollinger, keltner, squeeze: bollinger < keltner };
+    } catch (error) {
+      logger.error(`Band width calculation error: ${error.message}`);
+      return null;
+    }
+  }
+
   calculateMFI(ohlcv, period = 14) {
     try {
       if (ohlcv.length < period + 1) return null;
@@ -205,8 +509,10 @@ class FuturesIndicators {
     }
   }
 
-  calculateOBV(ohlcv) {
+  // Accumulated over the last `lookback` candles
+  calculateOBV(candles, lookback = config.indicators.recursiveLookback) {
     try {
+      const ohlcv = candles.slice(-lookback);
       if (ohlcv.length < 2) return null;
       
       let obv = 0;
@@ -271,37 +577,167 @@ class FuturesIndicators {
     }
   }
 
-  calculateIchimoku(ohlcv) {
+  // Oscillator series aligned with ohlcv, null while warming up; the last value matches the scalar version
+  calculateMFIArray(ohlcv, period = 14) {
     try {
-      if (ohlcv.length < 52) return null;
+      const series = new Array(ohlcv.length).fill(null);
       
-      // Tenkan-sen (Conversion Line): (9-period high + 9-period low) / 2
-      const tenkanHigh = Math.max(...ohlcv.slice(-9).map(c => c.high));
-      const tenkanLow = Math.min(...ohlcv.slice(-9).map(c => c.low));
-      const tenkanSen = (tenkanHigh + tenkanLow) / 2;
+      for (let i = period; i < ohlcv.length; i++) {
+        let positiveFlow = 0;
+        let negativeFlow = 0;
+        
+        for (let j = i - period + 1; j <= i; j++) {
+          const typicalPrice = (ohlcv[j].high + ohlcv[j].low + ohlcv[j].close) / 3;
+          const prevTypicalPrice = (ohlcv[j - 1].high + ohlcv[j - 1].low + ohlcv[j - 1].close) / 3;
+          
+          if (typicalPrice > prevTypicalPrice) {
+            positiveFlow += typicalPrice * ohlcv[j].volume;
+          } else {
+            negativeFlow += typicalPrice * ohlcv[j].volume;
+          }
+        }
+        
+        series[i] = negativeFlow === 0 ? 100 : 100 - (100 / (1 + positiveFlow / negativeFlow));
+      }
       
-      // Kijun-sen (Base Line): (26-period high + 26-period low) / 2
-      const kijunHigh = Math.max(...ohlcv.slice(-26).map(c => c.high));
-      const kijunLow = Math.min(...ohlcv.slice(-26).map(c => c.low));
-      const kijunSen = (kijunHigh + kijunLow) / 2;
+      return series;
+    } catch (error) {
+      logger.error(`MFI Array calculation error: ${error.message}`);
+      return [];
+    }
+  }
+
+  // Accumulated from zero at the first of the last `lookback` candles, null before it
+  calculateOBVArray(ohlcv, lookback = config.indicators.recursiveLookback) {
+    try {
+      if (ohlcv.length === 0) return [];
       
-      // Senkou Span A: (Tenkan-sen + Kijun-sen) / 2
-      const senkouSpanA = (tenkanSen + kijunSen) / 2;
+      const start = Math.max(0, ohlcv.length - lookback);
+      const series = new Array(start).fill(null);
+      series.push(0);
       
-      // Senkou Span B: (52-period high + 52-period low) / 2
-      const senkouHigh = Math.max(...ohlcv.slice(-52).map(c => c.high));
-      const senkouLow = Math.min(...ohlcv.slice(-52).map(c => c.low));
-      const senkouSpanB = (senkouHigh + senkouLow) / 2;
+      for (let i = start + 1; i < ohlcv.length; i++) {
+        const change = Math.sign(ohlcv[i].close - ohlcv[i - 1].close) * ohlcv[i].volume;
+        series.push(series[i - 1] + change);
+      }
       
-      // Chikou Span: Current close
-      const chikouSpan = ohlcv[ohlcv.length - 1].close;
+      return series;
+    } catch (error) {
+      logger.error(`OBV Array calculation error: ${error.message}`);
+      return [];
+    }
+  }
+
+  calculateWilliamsRArray(ohlcv, period = 14) {
+    try {
+      const series = new Array(ohlcv.length).fill(null);
+      
+      for (let i = period - 1; i < ohlcv.length; i++) {
+        const window = ohlcv.slice(i - period + 1, i + 1);
+        const highest = Math.max(...window.map(c => c.high));
+        const lowest = Math.min(...window.map(c => c.low));
+        
+        series[i] = highest === lowest ? 0 : ((highest - ohlcv[i].close) / (highest - lowest)) * -100;
+      }
+      
+      return series;
+    } catch (error) {
+      logger.error(`Williams %R Array calculation error: ${error.message}`);
+      return [];
+    }
+  }
+
+  calculateCCIArray(ohlcv, period = 20) {
+    try {
+      const typicalPrices = ohlcv.map(c => (c.high + c.low + c.close) / 3);
+      const series = new Array(ohlcv.length).fill(null);
+      
+      for (let i = period - 1; i < ohlcv.length; i++) {
+        const window = typicalPrices.slice(i - period + 1, i + 1);
+        const sma = window.reduce((sum, price) => sum + price, 0) / period;
+        const meanDeviation = window.reduce((sum, price) => sum + Math.abs(price - sma), 0) / period;
+        
+        series[i] = meanDeviation === 0 ? 0 : (typicalPrices[i] - sma) / (0.015 * meanDeviation);
+      }
+      
+      return series;
+    } catch (error) {
+      logger.error(`CCI Array calculation error: ${error.message}`);
+      return [];
+    }
+  }
+
+  // Senkou spans are plotted `displacement` candles ahead, so the cloud under the current candle
+  // comes from values `displacement` candles back and the latest values form the future cloud.
+  // Chikou is the current close plotted `displacement` candles back.
+  calculateIchimoku(ohlcv, tenkan = 9, kijun = 26, senkou = 52, displacement = 26, crossLookback = 3) {
+    try {
+      const last = ohlcv.length - 1;
+      const cloudIndex = last - displacement;
+      
+      if (cloudIndex < senkou - 1) return null;
+      
+      const midpoint = (index, period) => {
+        const window = ohlcv.slice(index - period + 1, index + 1);
+        return (Math.max(...window.map(c => c.high)) + Math.min(...window.map(c => c.low))) / 2;
+      };
+      const spanA = index => (midpoint(index, tenkan) + midpoint(index, kijun)) / 2;
+      const spanB = index => midpoint(index, senkou);
+      
+      const tenkanSen = midpoint(last, tenkan);
+      const kijunSen = midpoint(last, kijun);
+      const senkouSpanA = spanA(cloudIndex);
+      const senkouSpanB = spanB(cloudIndex);
+      const futureSpanA = spanA(last);
+      const futureSpanB = spanB(last);
+      
+      const price = ohlcv[last].close;
+      const cloudTop = Math.max(senkouSpanA, senkouSpanB);
+      const cloudBottom = Math.min(senkouSpanA, senkouSpanB);
+      
+      let position = 'INSIDE';
+      if (price > cloudTop) position = 'ABOVE';
+      if (price < cloudBottom) position = 'BELOW';
+      
+      // Most recent Tenkan/Kijun cross within the lookback
+      let tkCross = null;
+      for (let i = last; i > last - crossLookback && i - 1 >= kijun - 1; i--) {
+        const diff = midpoint(i, tenkan) - midpoint(i, kijun);
+        const prevDiff = midpoint(i - 1, tenkan) - midpoint(i - 1, kijun);
+        
+        if (diff > 0 && prevDiff <= 0) {
+          tkCross = { direction: 'BULLISH', candlesAgo: last - i };
+          break;
+        }
+        if (diff < 0 && prevDiff >= 0) {
+          tkCross = { direction: 'BEARISH', candlesAgo: last - i };
+          break;
+        }
+      }
+      
+      // Chikou against the candle it is plotted over
+      const reference = ohlcv[cloudIndex];
+      let chikou = 'NEUTRAL';
+      if (price > reference.high) chikou = 'BULLISH';
+      if (price < reference.low) chikou = 'BEARISH';
       
       return {
         tenkanSen,
         kijunSen,
         senkouSpanA,
         senkouSpanB,
-        chikouSpan
+        futureSpanA,
+        futureSpanB,
+        chikouSpan: price,
+        chikouReference: reference.close,
+        cloudTop,
+        cloudBottom,
+        cloudThickness: (cloudTop - cloudBottom) / price,
+        cloudColor: senkouSpanA >= senkouSpanB ? 'BULLISH' : 'BEARISH',
+        futureCloudColor: futureSpanA >= futureSpanB ? 'BULLISH' : 'BEARISH',
+        position,
+        tkCross,
+        chikou
       };
     } catch (error) {
       logger.error(`Ichimoku calculation error: ${error.message}`);
@@ -345,6 +781,173 @@ class FuturesIndicators {
       return null;
     }
   }
+
+  // Indexes of swing highs/lows: beyond the `left` values before and not exceeded by the `right` values after
+  findSwingPivots(values, left = 3, right = 2) {
+    const highs = [];
+    const lows = [];
+    const isValue = value => value !== null && value !== undefined;
+    
+    for (let i = left; i < values.length - right; i++) {
+      const before = values.slice(i - left, i);
+      const after = values.slice(i + 1, i + right + 1);
+      
+      if (!isValue(values[i]) || !before.every(isValue) || !after.every(isValue)) continue;
+      
+      if (before.every(v => values[i] > v) && after.every(v => values[i] >= v)) highs.push(i);
+      if (before.every(v => values[i] < v) && after.every(v => values[i] <= v)) lows.push(i);
+    }
+    
+    return { highs, lows };
+  }
+
+  // Compares the newest price swing with the previous one inside the span and the oscillator pivots
+  // that sit at the same candles. Regular divergences warn of a reversal, hidden ones of continuation.
+  calculateDivergences(ohlcv, series, options) {
+    try {
+      const { lookback, pivotLeft, pivotRight, minSpan, maxSpan, pivotTolerance, maxAge, fullStrength } = options;
+      if (ohlcv.length < lookback) return null;
+      
+      const start = ohlcv.length - lookback;
+      const recent = ohlcv.slice(start);
+      const highs = recent.map(c => c.high);
+      const lows = recent.map(c => c.low);
+      const priceRange = Math.max(...highs) - Math.min(...lows);
+      
+      const sides = [
+        { pivots: this.findSwingPivots(lows, pivotLeft, pivotRight).lows, prices: lows, key: 'lows', direction: 'BULLISH' },
+        { pivots: this.findSwingPivots(highs, pivotLeft, pivotRight).highs, prices: highs, key: 'highs', direction: 'BEARISH' }
+      ];
+      const divergences = [];
+      
+      for (const [indicator, values] of Object.entries(series)) {
+        const window = values.slice(start);
+        const defined = window.filter(value => value !== null && value !== undefined);
+        if (defined.length < minSpan || priceRange === 0) continue;
+        
+        const oscillatorRange = Math.max(...defined) - Math.min(...defined);
+        if (oscillatorRange === 0) continue;
+        
+        const oscillatorPivots = this.findSwingPivots(window, pivotLeft, pivotRight);
+        
+        for (const { pivots, prices, key, direction } of sides) {
+          if (pivots.length < 2) continue;
+          
+          const newer = pivots[pivots.length - 1];
+          const age = recent.length - 1 - newer;
+          const older = pivots.slice(0, -1).reverse()
+            .find(index => newer - index >= minSpan && newer - index <= maxSpan);
+          if (age > maxAge || older === undefined) continue;
+          
+          const match = index => oscillatorPivots[key].find(j => Math.abs(j - index) <= pivotTolerance);
+          const oscillatorOlder = match(older);
+          const oscillatorNewer = match(newer);
+          if (oscillatorOlder === undefined || oscillatorNewer === undefined || oscillatorOlder === oscillatorNewer) continue;
+          
+          const priceChange = prices[newer] - prices[older];
+          const oscillatorChange = window[oscillatorNewer] - window[oscillatorOlder];
+          if (priceChange === 0 || oscillatorChange === 0 || Math.sign(priceChange) === Math.sign(oscillatorChange)) continue;
+          
+          // Lows: lower price low is regular, higher price low hidden. Highs: the mirror image.
+          const priceExtends = direction === 'BULLISH' ? priceChange < 0 : priceChange > 0;
+          const strength = (Math.abs(priceChange) / priceRange + Math.abs(oscillatorChange) / oscillatorRange) / fullStrength;
+          
+          divergences.push({
+            indicator,
+            type: priceExtends ? 'REGULAR' : 'HIDDEN',
+            direction,
+            strength: Math.min(1, strength),
+            age,
+            pivots: [older, newer].map((index, i) => ({
+              timestamp: recent[index].timestamp,
+              price: prices[index],
+              value: window[[oscillatorOlder, oscillatorNewer][i]]
+            }))
+          });
+        }
+      }
+      
+      return divergences.sort((a, b) => a.age - b.age || b.strength - a.strength);
+    } catch (error) {
+      logger.error(`Divergence calculation error: ${error.message}`);
+      return null;
+    }
+  }
+
+  getEMAAlignment({ ema8, ema21, ema50 }) {
+    if (ema8 > ema21 && ema21 > ema50) {
+      return ema8 > ema21 * 1.005 ? 'STRONG_BULL' : 'BULL';
+    } else if (ema8 < ema21 && ema21 < ema50) {
+      return ema8 < ema21 * 0.995 ? 'STRONG_BEAR' : 'BEAR';
+    } else if (ema8 > ema21) {
+      return 'WEAK_BULL';
+    } else if (ema8 < ema21) {
+      return 'WEAK_BEAR';
+    }
+    
+    return 'NEUTRAL';
+  }
+
+  calculateOpenInterestDelta(history, ohlcv, windowsMinutes, primaryWindowMinutes, significantChange) {
+    try {
+      if (!history || history.length < 2 || !ohlcv || ohlcv.length < 2) return null;
+      
+      // Compare like with like: contracts where every point has them, otherwise notional
+      const useContracts = history.every(point => point.openInterest > 0);
+      const valueOf = point => useContracts ? point.openInterest : point.openInterestValue;
+      const latest = history[history.length - 1];
+      const latestCandle = ohlcv[ohlcv.length - 1];
+      
+      const changeOver = (series, minutes, getValue) => {
+        const target = series[series.length - 1].timestamp - minutes * 60 * 1000;
+        let base = null;
+        
+        for (let i = series.length - 1; i >= 0; i--) {
+          if (series[i].timestamp <= target) {
+            base = series[i];
+            break;
+          }
+        }
+        
+        if (!base || !getValue(base)) return null;
+        return (getValue(series[series.length - 1]) - getValue(base)) / getValue(base);
+      };
+      
+      const windows = windowsMinutes.map(minutes => ({
+        minutes,
+        oiChange: changeOver(history, minutes, valueOf),
+        priceChange: changeOver(ohlcv, minutes, candle => candle.close)
+      }));
+      
+      const primary = windows.find(window => window.minutes === primaryWindowMinutes) || {
+        minutes: primaryWindowMinutes,
+        oiChange: changeOver(history, primaryWindowMinutes, valueOf),
+        priceChange: changeOver(ohlcv, primaryWindowMinutes, candle => candle.close)
+      };
+      
+      let quadrant = 'NEUTRAL';
+      if (primary.oiChange !== null && primary.priceChange !== null &&
+          Math.abs(primary.oiChange) >= significantChange && primary.priceChange !== 0) {
+        if (primary.priceChange > 0) {
+          quadrant = primary.oiChange > 0 ? 'NEW_LONGS' : 'SHORT_COVERING';
+        } else {
+          quadrant = primary.oiChange > 0 ? 'NEW_SHORTS' : 'LONG_LIQUIDATION';
+        }
+      }
+      
+      return {
+        windows,
+        primary,
+        quadrant,
+        latest: valueOf(latest),
+        unit: useContracts ? 'CONTRACTS' : 'USD',
+        stale: latestCandle.timestamp - latest.timestamp > primaryWindowMinutes * 60 * 1000
+      };
+    } catch (error) {
+      logger.error(`Open interest delta calculation error: ${error.message}`);
+      return null;
+    }
+  }
 }
 
 module.exports = new FuturesIndicators();
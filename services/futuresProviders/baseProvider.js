@@ -0,0 +1,104 @@
+const axios = require('axios');
+const { Unsupported } = require('../../utils/errors');
+
+class BaseFuturesProvider {
+  constructor(options = {}) {
+    this.name = 'base';
+    this.available = true;
+    this.baseURL = options.baseURL || null;
+    this.http = options.http || axios;
+    this.timeout = options.timeout || 10000;
+    this.supportsLiquidations = false;
+    this.supportsLiquidationStream = false;
+    this.streamURL = options.streamURL || null;
+  }
+
+  get supportsStreaming() {
+    return Boolean(this.streamURL);
+  }
+
+  async request(path, params = {}, baseURL = this.baseURL) {
+    const response = await this.http.get(`${baseURL}${path}`, {
+      params,
+      timeout: this.timeout
+    });
+    return response.data;
+  }
+
+  // Exchange-specific endpoints, implemented by each adapter
+  async fetchFundingRate(market) {
+    throw new Unsupported(`${this.name} provider does not support funding rates`);
+  }
+
+  async fetchOpenInterest(market) {
+    throw new Unsupported(`${this.name} provider does not support open interest`);
+  }
+
+  async fetchOpenInterestHistory(market, period, limit) {
+    throw new Unsupported(`${this.name} provider does not support open interest history`);
+  }
+
+  // Sentiment series, ascending by timestamp
+  async fetchLongShortRatio(market, period, limit) {
+    throw new Unsupported(`${this.name} provider does not support long/short ratios`);
+  }
+
+  async fetchTopTraderLongShortRatio(market, period, limit) {
+    throw new Unsupported(`${this.name} provider does not support top trader long/short ratios`);
+  }
+
+  async fetchTakerVolume(market, period, limit) {
+    throw new Unsupported(`${this.name} provider does not support taker volume`);
+  }
+
+  // Perp premium over index as a fraction, ascending by timestamp
+  async fetchPremiumHistory(market, interval, limit) {
+    throw new Unsupported(`${this.name} provider does not support premium history`);
+  }
+
+  async fetchSpotPrice(market) {
+    throw new Unsupported(`${this.name} provider does not support spot prices`);
+  }
+
+  async fetchLiquidations(market, limit) {
+    throw new Unsupported(`${this.name} provider does not support liquidations`);
+  }
+
+  async fetchFundingHistory(market, limit) {
+    throw new Unsupported(`${this.name} provider does not support funding history`);
+  }
+
+  // WebSocket mark price stream, implemented by adapters that support it
+  buildSubscribeMessage(marketIds) {
+    return null;
+  }
+
+  buildUnsubscribeMessage(marketIds) {
+    return null;
+  }
+
+  buildPingMessage() {
+    return null;
+  }
+
+  parseMarkPriceMessage(message) {
+    return [];
+  }
+
+  // WebSocket force order stream; parsed entries are
+  // { marketId, side: 'LONG'|'SHORT', price, quantity, timestamp } with quantity in base currency
+  buildLiquidationSubscribeMessage(marketIds) {
+    return null;
+  }
+
+  parseLiquidationMessage(message, getMarket) {
+    return [];
+  }
+
+  toNumber(value, fallback = 0) {
+    const parsed = parseFloat(value);
+    return Number.isFinite(parsed) ? parsed : fallback;
+  }
+}
+
+module.exports = BaseFuturesProvider;
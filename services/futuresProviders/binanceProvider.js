@@ -0,0 +1,182 @@
+const BaseFuturesProvider = require('./baseProvider');
+
+class BinanceFuturesProvider extends BaseFuturesProvider {
+  constructor(options = {}) {
+    super({
+      baseURL: 'https://fapi.binance.com',
+      streamURL: 'wss://fstream.binance.com/ws',
+      ...options
+    });
+    this.name = 'binance';
+    this.spotURL = options.spotURL || 'https://api.binance.com';
+    this.supportsLiquidations = true;
+    this.supportsLiquidationStream = true;
+  }
+
+  async fetchFundingRate(market) {
+    const payload = await this.request('/fapi/v1/premiumIndex', { symbol: market.id });
+    return this.parseFundingRate(payload);
+  }
+
+  async fetchOpenInterest(market) {
+    const payload = await this.request('/fapi/v1/openInterest', { symbol: market.id });
+    return this.parseOpenInterest(payload);
+  }
+
+  async fetchOpenInterestHistory(market, period = '15m', limit = 100) {
+    const payload = await this.request('/futures/data/openInterestHist', { symbol: market.id, period, limit });
+    return this.parseOpenInterestHistory(payload);
+  }
+
+  async fetchLongShortRatio(market, period = '15m', limit = 100) {
+    const payload = await this.request('/futures/data/globalLongShortAccountRatio', { symbol: market.id, period, limit });
+    return this.parseLongShortRatio(payload);
+  }
+
+  async fetchTopTraderLongShortRatio(market, period = '15m', limit = 100) {
+    const payload = await this.request('/futures/data/topLongShortPositionRatio', { symbol: market.id, period, limit });
+    return this.parseLongShortRatio(payload);
+  }
+
+  async fetchTakerVolume(market, period = '15m', limit = 100) {
+    const payload = await this.request('/futures/data/takerlongshortRatio', { symbol: market.id, period, limit });
+    return this.parseTakerVolume(payload);
+  }
+
+  async fetchPremiumHistory(market, interval = '15m', limit = 96) {
+    const payload = await this.request('/fapi/v1/premiumIndexKlines', { symbol: market.id, interval, limit });
+    return this.parsePremiumHistory(payload);
+  }
+
+  async fetchSpotPrice(market) {
+    const payload = await this.request('/api/v3/ticker/price', { symbol: `${market.base}${market.quote}` }, this.spotURL);
+    return this.toNumber(payload.price);
+  }
+
+  async fetchLiquidations(market, limit = 50) {
+    const payload = await this.request('/fapi/v1/forceOrders', { symbol: market.id, limit });
+    return this.parseLiquidations(payload);
+  }
+
+  async fetchFundingHistory(market, limit = 10) {
+    const payload = await this.request('/fapi/v1/fundingRate', { symbol: market.id, limit });
+    return this.parseFundingHistory(payload);
+  }
+
+  buildSubscribeMessage(marketIds) {
+    return {
+      method: 'SUBSCRIBE',
+      params: marketIds.map(id => `${id.toLowerCase()}@markPrice@1s`),
+      id: Date.now()
+    };
+  }
+
+  buildUnsubscribeMessage(marketIds) {
+    return {
+      method: 'UNSUBSCRIBE',
+      params: marketIds.map(id => `${id.toLowerCase()}@markPrice@1s`),
+      id: Date.now()
+    };
+  }
+
+  parseMarkPriceMessage(message) {
+    if (message.e !== 'markPriceUpdate') return [];
+    
+    return [{
+      marketId: message.s,
+      price: this.toNumber(message.p),
+      timestamp: parseInt(message.E)
+    }];
+  }
+
+  buildLiquidationSubscribeMessage(marketIds) {
+    // One all-market stream covers every symbol
+    return {
+      method: 'SUBSCRIBE',
+      params: ['!forceOrder@arr'],
+      id: Date.now()
+    };
+  }
+
+  parseLiquidationMessage(message) {
+    if (message.e !== 'forceOrder' || !message.o) return [];
+    
+    const order = message.o;
+    return [{
+      marketId: order.s,
+      side: order.S === 'SELL' ? 'LONG' : 'SHORT',
+      price: this.toNumber(order.ap || order.p),
+      quantity: this.toNumber(order.z || order.q),
+      timestamp: parseInt(order.T || message.E)
+    }];
+  }
+
+  parseFundingRate(payload) {
+    return {
+      fundingRate: this.toNumber(payload.lastFundingRate),
+      markPrice: this.toNumber(payload.markPrice),
+      indexPrice: this.toNumber(payload.indexPrice),
+      nextFundingTime: parseInt(payload.nextFundingTime),
+      estimatedSettlePrice: this.toNumber(payload.estimatedSettlePrice)
+    };
+  }
+
+  parseOpenInterest(payload) {
+    return {
+      openInterest: this.toNumber(payload.openInterest),
+      openInterestValue: this.toNumber(payload.openInterestValue)
+    };
+  }
+
+  parseOpenInterestHistory(payload) {
+    return payload.map(point => ({
+      timestamp: parseInt(point.timestamp),
+      openInterest: this.toNumber(point.sumOpenInterest),
+      openInterestValue: this.toNumber(point.sumOpenInterestValue)
+    }));
+  }
+
+  parseLongShortRatio(payload) {
+    return payload.map(point => ({
+      timestamp: parseInt(point.timestamp),
+      ratio: this.toNumber(point.longShortRatio)
+    }));
+  }
+
+  parseTakerVolume(payload) {
+    return payload.map(point => ({
+      timestamp: parseInt(point.timestamp),
+      buyVolume: this.toNumber(point.buyVol),
+      sellVolume: this.toNumber(point.sellVol),
+      ratio: this.toNumber(point.buySellRatio)
+    }));
+  }
+
+  parsePremiumHistory(payload) {
+    // Kline close is the premium index at the end of each interval
+    return payload.map(kline => ({
+      timestamp: parseInt(kline[0]),
+      premium: this.toNumber(kline[4])
+    }));
+  }
+
+  parseLiquidations(payload) {
+    // A SELL force order closes a long position, a BUY closes a short
+    return payload.map(liq => ({
+      side: liq.side === 'SELL' ? 'LONG' : 'SHORT',
+      price: this.toNumber(liq.averagePrice || liq.price),
+      quantity: this.toNumber(liq.executedQty || liq.origQty),
+      timestamp: parseInt(liq.time)
+    }));
+  }
+
+  parseFundingHistory(payload) {
+    return payload.map(rate => ({
+      fundingTime: parseInt(rate.fundingTime),
+      fundingRate: this.toNumber(rate.fundingRate),
+      markPrice: this.toNumber(rate.markPrice)
+    }));
+  }
+}
+
+module.exports = BinanceFuturesProvider;
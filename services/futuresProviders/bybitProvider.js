@@ -0,0 +1,192 @@
+const BaseFuturesProvider = require('./baseProvider');
+
+class BybitFuturesProvider extends BaseFuturesProvider {
+  constructor(options = {}) {
+    super({
+      baseURL: 'https://api.bybit.com',
+      streamURL: 'wss://stream.bybit.com/v5/public/linear',
+      ...options
+    });
+    this.name = 'bybit';
+    // Bybit only publishes liquidations over its WebSocket feed
+    this.supportsLiquidations = false;
+    this.supportsLiquidationStream = true;
+  }
+
+  async request(path, params = {}) {
+    const data = await super.request(path, { category: 'linear', ...params });
+    
+    if (data.retCode !== 0) {
+      const error = new Error(`Bybit error ${data.retCode}: ${data.retMsg}`);
+      error.exchangeCode = data.retCode;
+      throw error;
+    }
+    
+    return data.result;
+  }
+
+  async fetchFundingRate(market) {
+    const payload = await this.request('/v5/market/tickers', { symbol: market.id });
+    return this.parseFundingRate(payload);
+  }
+
+  async fetchOpenInterest(market) {
+    const payload = await this.request('/v5/market/tickers', { symbol: market.id });
+    return this.parseOpenInterest(payload);
+  }
+
+  async fetchOpenInterestHistory(market, period = '15m', limit = 100) {
+    const payload = await this.request('/v5/market/open-interest', {
+      symbol: market.id,
+      intervalTime: this.toIntervalTime(period),
+      limit
+    });
+    return this.parseOpenInterestHistory(payload);
+  }
+
+  async fetchLongShortRatio(market, period = '15m', limit = 100) {
+    const payload = await this.request('/v5/market/account-ratio', {
+      symbol: market.id,
+      period: this.toIntervalTime(period),
+      limit
+    });
+    return this.parseLongShortRatio(payload);
+  }
+
+  async fetchPremiumHistory(market, interval = '15m', limit = 96) {
+    const payload = await this.request('/v5/market/premium-index-price-kline', {
+      symbol: market.id,
+      interval: this.toKlineInterval(interval),
+      limit
+    });
+    return this.parsePremiumHistory(payload);
+  }
+
+  async fetchSpotPrice(market) {
+    const payload = await this.request('/v5/market/tickers', { category: 'spot', symbol: `${market.base}${market.quote}` });
+    return this.toNumber(payload.list[0]?.lastPrice);
+  }
+
+  toKlineInterval(interval) {
+    // Kline intervals are minutes, or D/W/M without a count ("1M" is a month, "1m" a minute)
+    const minutes = { m: 1, h: 60 };
+    const letters = { d: 'D', w: 'W', M: 'M' };
+    const unit = interval.slice(-1);
+    return minutes[unit] ? String(parseInt(interval) * minutes[unit]) : letters[unit] || interval;
+  }
+
+  toIntervalTime(period) {
+    // Bybit spells minute periods as "5min"
+    return period.endsWith('m') ? `${period.slice(0, -1)}min` : period;
+  }
+
+  async fetchFundingHistory(market, limit = 10) {
+    const payload = await this.request('/v5/market/funding/history', { symbol: market.id, limit });
+    return this.parseFundingHistory(payload);
+  }
+
+  buildSubscribeMessage(marketIds) {
+    return { op: 'subscribe', args: marketIds.map(id => `tickers.${id}`) };
+  }
+
+  buildUnsubscribeMessage(marketIds) {
+    return { op: 'unsubscribe', args: marketIds.map(id => `tickers.${id}`) };
+  }
+
+  buildPingMessage() {
+    return { op: 'ping' };
+  }
+
+  parseMarkPriceMessage(message) {
+    // Deltas only carry changed fields, so markPrice may be absent
+    if (!message.topic || !message.topic.startsWith('tickers.') || !message.data?.markPrice) {
+      return [];
+    }
+    
+    return [{
+      marketId: message.data.symbol,
+      price: this.toNumber(message.data.markPrice),
+      timestamp: parseInt(message.ts)
+    }];
+  }
+
+  buildLiquidationSubscribeMessage(marketIds) {
+    if (marketIds.length === 0) return null;
+    return { op: 'subscribe', args: marketIds.map(id => `allLiquidation.${id}`) };
+  }
+
+  parseLiquidationMessage(message) {
+    if (!message.topic?.startsWith('allLiquidation.') || !Array.isArray(message.data)) return [];
+    
+    // "Buy" means a long position was liquidated
+    return message.data.map(liq => ({
+      marketId: liq.s,
+      side: liq.S === 'Buy' ? 'LONG' : 'SHORT',
+      price: this.toNumber(liq.p),
+      quantity: this.toNumber(liq.v),
+      timestamp: parseInt(liq.T)
+    }));
+  }
+
+  parseFundingRate(payload) {
+    const ticker = payload.list[0];
+    
+    return {
+      fundingRate: this.toNumber(ticker.fundingRate),
+      markPrice: this.toNumber(ticker.markPrice),
+      indexPrice: this.toNumber(ticker.indexPrice),
+      nextFundingTime: parseInt(ticker.nextFundingTime),
+      estimatedSettlePrice: this.toNumber(ticker.predictedDeliveryPrice)
+    };
+  }
+
+  parseOpenInterest(payload) {
+    const ticker = payload.list[0];
+    
+    return {
+      openInterest: this.toNumber(ticker.openInterest),
+      openInterestValue: this.toNumber(ticker.openInterestValue)
+    };
+  }
+
+  parseOpenInterestHistory(payload) {
+    return payload.list
+      .map(point => ({
+        timestamp: parseInt(point.timestamp),
+        openInterest: this.toNumber(point.openInterest),
+        openInterestValue: 0
+      }))
+      .sort((a, b) => a.timestamp - b.timestamp);
+  }
+
+  parseLongShortRatio(payload) {
+    return payload.list
+      .map(point => ({
+        timestamp: parseInt(point.timestamp),
+        ratio: this.toNumber(point.sellRatio) > 0 ? this.toNumber(point.buyRatio) / this.toNumber(point.sellRatio) : 0
+      }))
+      .sort((a, b) => a.timestamp - b.timestamp);
+  }
+
+  parsePremiumHistory(payload) {
+    return payload.list
+      .map(kline => ({
+        timestamp: parseInt(kline[0]),
+        premium: this.toNumber(kline[4])
+      }))
+      .sort((a, b) => a.timestamp - b.timestamp);
+  }
+
+  parseFundingHistory(payload) {
+    // Bybit returns newest first, callers expect oldest first like Binance
+    return payload.list
+      .map(rate => ({
+        fundingTime: parseInt(rate.fundingRateTimestamp),
+        fundingRate: this.toNumber(rate.fundingRate),
+        markPrice: null // Not published with the settlement history
+      }))
+      .sort((a, b) => a.fundingTime - b.fundingTime);
+  }
+}
+
+module.exports = BybitFuturesProvider;
@@ -0,0 +1,26 @@
+const BinanceFuturesProvider = require('./binanceProvider');
+const BybitFuturesProvider = require('./bybitProvider');
+const OkxFuturesProvider = require('./okxProvider');
+const NullFuturesProvider = require('./nullProvider');
+
+const providers = {
+  binance: BinanceFuturesProvider,
+  binanceusdm: BinanceFuturesProvider,
+  bybit: BybitFuturesProvider,
+  okx: OkxFuturesProvider
+};
+
+function createFuturesProvider(exchangeName, options = {}) {
+  const ProviderClass = providers[exchangeName];
+  
+  if (!ProviderClass) {
+    return new NullFuturesProvider({ ...options, exchangeName });
+  }
+  
+  return new ProviderClass(options);
+}
+
+module.exports = {
+  createFuturesProvider,
+  providers
+};
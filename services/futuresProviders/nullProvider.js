@@ -0,0 +1,13 @@
+const BaseFuturesProvider = require('./baseProvider');
+
+// Stands in for exchanges without an adapter: every endpoint is unsupported, so futures data is
+// reported unavailable instead of failing each scan
+class NullFuturesProvider extends BaseFuturesProvider {
+  constructor(options = {}) {
+    super(options);
+    this.name = options.exchangeName || 'none';
+    this.available = false;
+  }
+}
+
+module.exports = NullFuturesProvider;
@@ -0,0 +1,232 @@
+const BaseFuturesProvider = require('./baseProvider');
+
+class OkxFuturesProvider extends BaseFuturesProvider {
+  constructor(options = {}) {
+    super({
+      baseURL: 'https://www.okx.com',
+      streamURL: 'wss://ws.okx.com:8443/ws/v5/public',
+      ...options
+    });
+    this.name = 'okx';
+    this.supportsLiquidations = true;
+    this.supportsLiquidationStream = true;
+  }
+
+  async request(path, params = {}) {
+    const data = await super.request(path, params);
+    
+    if (data.code !== '0') {
+      const error = new Error(`OKX error ${data.code}: ${data.msg}`);
+      error.exchangeCode = data.code;
+      throw error;
+    }
+    
+    return data.data;
+  }
+
+  async fetchFundingRate(market) {
+    const [funding, mark, index] = await Promise.all([
+      this.request('/api/v5/public/funding-rate', { instId: market.id }),
+      this.request('/api/v5/public/mark-price', { instType: 'SWAP', instId: market.id }),
+      this.request('/api/v5/market/index-tickers', { instId: this.getUnderlying(market) })
+    ]);
+    return this.parseFundingRate(funding, mark, index);
+  }
+
+  async fetchOpenInterest(market) {
+    const payload = await this.request('/api/v5/public/open-interest', { instType: 'SWAP', instId: market.id });
+    return this.parseOpenInterest(payload);
+  }
+
+  async fetchOpenInterestHistory(market, period = '15m', limit = 100) {
+    // Rubik statistics are per currency
+    const payload = await this.request('/api/v5/rubik/stat/contracts/open-interest-volume', {
+      ccy: market.base,
+      period: this.toRubikPeriod(period)
+    });
+    return this.parseOpenInterestHistory(payload).slice(-limit);
+  }
+
+  async fetchLongShortRatio(market, period = '15m', limit = 100) {
+    const payload = await this.request('/api/v5/rubik/stat/contracts/long-short-account-ratio', {
+      ccy: market.base,
+      period: this.toRubikPeriod(period)
+    });
+    return this.parseLongShortRatio(payload).slice(-limit);
+  }
+
+  async fetchTopTraderLongShortRatio(market, period = '15m', limit = 100) {
+    const payload = await this.request('/api/v5/rubik/stat/contracts/long-short-account-ratio-contract-top-trader', {
+      instId: market.id,
+      period: this.toRubikPeriod(period),
+      limit
+    });
+    return this.parseLongShortRatio(payload);
+  }
+
+  async fetchTakerVolume(market, period = '15m', limit = 100) {
+    const payload = await this.request('/api/v5/rubik/stat/taker-volume', {
+      ccy: market.base,
+      instType: 'CONTRACTS',
+      period: this.toRubikPeriod(period)
+    });
+    return this.parseTakerVolume(payload).slice(-limit);
+  }
+
+  async fetchPremiumHistory(market, interval = '15m', limit = 96) {
+    // Premium history is sampled by OKX, the interval cannot be chosen
+    const payload = await this.request('/api/v5/public/premium-history', { instId: market.id, limit });
+    return this.parsePremiumHistory(payload);
+  }
+
+  async fetchSpotPrice(market) {
+    const payload = await this.request('/api/v5/market/ticker', { instId: `${market.base}-${market.quote}` });
+    return this.toNumber(payload[0]?.last);
+  }
+
+  toRubikPeriod(period) {
+    // Rubik only offers 5m, 1H and 1D periods
+    return period.endsWith('m') ? '5m' : '1H';
+  }
+
+  async fetchLiquidations(market, limit = 100) {
+    const payload = await this.request('/api/v5/public/liquidation-orders', {
+      instType: 'SWAP',
+      uly: this.getUnderlying(market),
+      state: 'filled',
+      limit
+    });
+    return this.parseLiquidations(payload, market);
+  }
+
+  async fetchFundingHistory(market, limit = 10) {
+    const payload = await this.request('/api/v5/public/funding-rate-history', { instId: market.id, limit });
+    return this.parseFundingHistory(payload);
+  }
+
+  getUnderlying(market) {
+    return market.info?.uly || `${market.base}-${market.quote}`;
+  }
+
+  buildSubscribeMessage(marketIds) {
+    return { op: 'subscribe', args: marketIds.map(id => ({ channel: 'mark-price', instId: id })) };
+  }
+
+  buildUnsubscribeMessage(marketIds) {
+    return { op: 'unsubscribe', args: marketIds.map(id => ({ channel: 'mark-price', instId: id })) };
+  }
+
+  buildPingMessage() {
+    return 'ping';
+  }
+
+  parseMarkPriceMessage(message) {
+    if (message.arg?.channel !== 'mark-price' || !Array.isArray(message.data)) return [];
+    
+    return message.data.map(update => ({
+      marketId: update.instId,
+      price: this.toNumber(update.markPx),
+      timestamp: parseInt(update.ts)
+    }));
+  }
+
+  buildLiquidationSubscribeMessage(marketIds) {
+    return { op: 'subscribe', args: [{ channel: 'liquidation-orders', instType: 'SWAP' }] };
+  }
+
+  parseLiquidationMessage(message, getMarket) {
+    if (message.arg?.channel !== 'liquidation-orders' || !Array.isArray(message.data)) return [];
+    
+    return message.data.flatMap(entry => {
+      const market = getMarket(entry.instId);
+      if (!market) return [];
+      
+      return this.parseLiquidations([entry], market).map(liq => ({
+        marketId: entry.instId,
+        ...liq
+      }));
+    });
+  }
+
+  parseFundingRate(funding, mark, index) {
+    // OKX "fundingTime" is the upcoming settlement, not the last one
+    return {
+      fundingRate: this.toNumber(funding[0].fundingRate),
+      markPrice: this.toNumber(mark[0]?.markPx),
+      indexPrice: this.toNumber(index[0]?.idxPx),
+      nextFundingTime: parseInt(funding[0].fundingTime),
+      estimatedSettlePrice: 0
+    };
+  }
+
+  parseOpenInterest(payload) {
+    return {
+      openInterest: this.toNumber(payload[0].oiCcy),
+      openInterestValue: this.toNumber(payload[0].oiUsd)
+    };
+  }
+
+  parseOpenInterestHistory(payload) {
+    return payload
+      .map(([timestamp, openInterestValue]) => ({
+        timestamp: parseInt(timestamp),
+        openInterest: 0,
+        openInterestValue: this.toNumber(openInterestValue)
+      }))
+      .sort((a, b) => a.timestamp - b.timestamp);
+  }
+
+  parseLongShortRatio(payload) {
+    return payload
+      .map(([timestamp, ratio]) => ({
+        timestamp: parseInt(timestamp),
+        ratio: this.toNumber(ratio)
+      }))
+      .sort((a, b) => a.timestamp - b.timestamp);
+  }
+
+  parseTakerVolume(payload) {
+    return payload
+      .map(([timestamp, sellVolume, buyVolume]) => ({
+        timestamp: parseInt(timestamp),
+        buyVolume: this.toNumber(buyVolume),
+        sellVolume: this.toNumber(sellVolume),
+        ratio: this.toNumber(sellVolume) > 0 ? this.toNumber(buyVolume) / this.toNumber(sellVolume) : 0
+      }))
+      .sort((a, b) => a.timestamp - b.timestamp);
+  }
+
+  parsePremiumHistory(payload) {
+    return payload
+      .map(point => ({
+        timestamp: parseInt(point.ts),
+        premium: this.toNumber(point.premium)
+      }))
+      .sort((a, b) => a.timestamp - b.timestamp);
+  }
+
+  parseLiquidations(payload, market) {
+    // Sizes are in contracts, convert to base currency
+    const contractSize = market.contractSize || 1;
+    const details = payload.flatMap(entry => entry.details || []);
+    
+    return details.map(liq => ({
+      side: liq.posSide === 'long' || (liq.posSide === 'net' && liq.side === 'sell') ? 'LONG' : 'SHORT',
+      price: this.toNumber(liq.bkPx),
+      quantity: this.toNumber(liq.sz) * contractSize,
+      timestamp: parseInt(liq.ts)
+    }));
+  }
+
+  parseFundingHistory(payload) {
+    return payload
+      .map(rate => ({
+        fundingTime: parseInt(rate.fundingTime),
+        fundingRate: this.toNumber(rate.realizedRate || rate.fundingRate),
+        markPrice: null // Not published with the settlement history
+      }))
+      .sort((a, b) => a.fundingTime - b.fundingTime);
+  }
+}
+
+module.exports = OkxFuturesProvider;
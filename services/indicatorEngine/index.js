@@ -0,0 +1,32 @@
+const IndicatorEngine = require('./indicatorEngine');
+const {
+  StreamingEMA,
+  StreamingATR,
+  StreamingSupertrend,
+  StreamingParabolicSAR,
+  StreamingMFI,
+  StreamingOBV,
+  StreamingWilliamsR,
+  StreamingCCI
+} = require('./streamingIndicators');
+const config = require('../../config/config');
+
+// Named like the indicators technicalAnalysis builds in batch
+const createIndicators = () => {
+  const lookback = config.indicators.recursiveLookback;
+
+  return {
+    ema8: new StreamingEMA(config.indicators.ema.fast, lookback),
+    ema21: new StreamingEMA(config.indicators.ema.medium, lookback),
+    ema50: new StreamingEMA(config.indicators.ema.slow, lookback),
+    supertrend: new StreamingSupertrend(config.indicators.supertrend.period, config.indicators.supertrend.multiplier, lookback),
+    parabolicSAR: new StreamingParabolicSAR(config.indicators.parabolicSAR.step, config.indicators.parabolicSAR.maxStep, lookback),
+    mfi: new StreamingMFI(config.indicators.mfi.period),
+    williamsR: new StreamingWilliamsR(config.indicators.williamsR.period),
+    cci: new StreamingCCI(config.indicators.cci.period),
+    obv: new StreamingOBV(lookback),
+    atr: new StreamingATR(config.riskManagement.atrPeriod)
+  };
+};
+
+module.exports = new IndicatorEngine(createIndicators, config.streamingIndicators);
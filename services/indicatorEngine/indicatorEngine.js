@@ -0,0 +1,124 @@
+const logger = require('../../utils/logger');
+
+// The candles seen for one symbol/timeframe and the streaming indicators fed from them
+class IndicatorSet {
+  constructor(indicators, maxCandles) {
+    this.candles = [];
+    this.indicators = indicators;
+    this.lookback = Math.max(0, ...Object.values(indicators).map(indicator => indicator.lookback));
+    this.maxCandles = maxCandles;
+  }
+
+  // Applies the candles after the last one seen, revising that one since it may have been forming.
+  // Returns false when the candles do not continue the history or reach back before it, or are
+  // fewer than the lookback without starting where the history does.
+  update(ohlcv) {
+    if (this.candles.length === 0) {
+      for (const candle of ohlcv) this.append(candle);
+      return true;
+    }
+    if (ohlcv.length === 0 || ohlcv[0].timestamp < this.candles[0].timestamp) return false;
+    if (ohlcv.length < this.lookback && ohlcv[0].timestamp !== this.candles[0].timestamp) return false;
+
+    const lastTimestamp = this.candles[this.candles.length - 1].timestamp;
+    let index = ohlcv.length - 1;
+    while (index >= 0 && ohlcv[index].timestamp > lastTimestamp) index--;
+
+    if (index < 0 || ohlcv[index].timestamp !== lastTimestamp) return false;
+
+    this.revise(ohlcv[index]);
+    for (let i = index + 1; i < ohlcv.length; i++) this.append(ohlcv[i]);
+    return true;
+  }
+
+  append(candle) {
+    this.candles.push(candle);
+    for (const indicator of Object.values(this.indicators)) indicator.push(this.candles);
+
+    // Trimming in batches keeps the splice cost off most candles
+    if (this.candles.length > this.maxCandles * 1.5) {
+      const excess = this.candles.length - this.maxCandles;
+      this.candles.splice(0, excess);
+      for (const indicator of Object.values(this.indicators)) indicator.trim(excess);
+    }
+  }
+
+  revise(candle) {
+    this.candles[this.candles.length - 1] = candle;
+    for (const indicator of Object.values(this.indicators)) indicator.revise(this.candles);
+  }
+
+  has(name) {
+    return Boolean(this.indicators[name]);
+  }
+
+  // The indicator's values for the last `length` candles
+  getSeries(name, length) {
+    return this.indicators[name].getSeries(length);
+  }
+
+  // Latest value of every indicator, shaped like its batch calculation over the last `length` candles
+  getValues(length) {
+    const values = {};
+    for (const [name, indicator] of Object.entries(this.indicators)) {
+      values[name] = indicator.getValue(length);
+    }
+    return values;
+  }
+}
+
+// Keeps streaming indicators warm per symbol and timeframe between scans
+class IndicatorEngine {
+  constructor(createIndicators, options) {
+    this.createIndicators = createIndicators;
+    this.options = options;
+    this.sets = new Map(); // key -> IndicatorSet, least recently synced first
+  }
+
+  getKey(symbol, timeframe) {
+    return `${symbol}_${timeframe}`;
+  }
+
+  // Brings the symbol/timeframe up to date with the latest candles, or returns null on failure
+  sync(symbol, timeframe, ohlcv) {
+    const key = this.getKey(symbol, timeframe);
+
+    try {
+      let set = this.sets.get(key);
+      this.sets.delete(key);
+
+      if (!set || !set.update(ohlcv)) {
+        if (set) {
+          logger.debug(`Indicator history for ${symbol} ${timeframe} has a gap, rebuilding`);
+        }
+        set = new IndicatorSet(this.createIndicators(), this.options.maxCandles);
+        set.update(ohlcv);
+      }
+
+      this.sets.set(key, set);
+
+      if (this.sets.size > this.options.maxSeries) {
+        this.sets.delete(this.sets.keys().next().value);
+      }
+
+      return set;
+    } catch (error) {
+      logger.error(`Streaming indicator update failed for ${symbol} ${timeframe}: ${error.message}`);
+      this.sets.delete(key);
+      return null;
+    }
+  }
+
+  getStatistics() {
+    let candles = 0;
+    for (const set of this.sets.values()) candles += set.candles.length;
+
+    return { series: this.sets.size, candles };
+  }
+
+  clear() {
+    this.sets.clear();
+  }
+}
+
+module.exports = IndicatorEngine;
@@ -0,0 +1,231 @@
+const futuresIndicators = require('../futuresIndicators');
+
+// Streaming versions of the futuresIndicators calculations, appending one value per candle.
+// Windowed indicators (ATR, MFI, Williams %R, CCI) only look back one period, so a new candle costs
+// one period of work however long the history grows, and windows are summed in the same order as
+// the batch calculations rather than kept as running sums that drift.
+// Recursive indicators (EMA, OBV, Supertrend, Parabolic SAR) start over on a fixed lookback, as the
+// batch calculations do, so a new candle costs one lookback of work and the value kept for it is
+// the batch value for any window of at least the lookback.
+
+const trueRange = (candle, previous) => Math.max(
+  candle.high - candle.low,
+  Math.abs(candle.high - previous.close),
+  Math.abs(candle.low - previous.close)
+);
+
+const typicalPrice = candle => (candle.high + candle.low + candle.close) / 3;
+
+// Mean of the true ranges of the last `period` candles
+const averageTrueRange = (candles, period) => {
+  let sum = 0;
+  for (let i = candles.length - period; i < candles.length; i++) {
+    sum += trueRange(candles[i], candles[i - 1]);
+  }
+  return sum / period;
+};
+
+class StreamingIndicator {
+  constructor({ warmup = 0, lookback = 0 } = {}) {
+    this.warmup = warmup; // Leading candles of a window without a value
+    this.lookback = lookback; // Candles a recursive indicator starts over on
+    this.series = []; // One value per candle, null while warming up like the batch arrays
+    this.state = null;
+    this.previousState = null;
+    this.count = 0; // Candles seen, including trimmed ones
+  }
+
+  // `candles` is the history ending with the new candle
+  push(candles) {
+    this.count++;
+    this.previousState = this.state;
+
+    const { state, value } = this.next(this.state, candles);
+    this.state = state;
+    this.series.push(value);
+  }
+
+  // The forming candle changed: its value is recomputed from the state before it
+  revise(candles) {
+    this.count--;
+    this.state = this.previousState;
+    this.series.pop();
+    this.push(candles);
+  }
+
+  trim(count) {
+    this.series.splice(0, count);
+  }
+
+  next(state, candles) {
+    throw new Error('Streaming indicator does not implement next()');
+  }
+
+  // The latest value in the shape the batch calculation over the last `length` candles returns
+  getValue(length = Infinity) {
+    if (length <= this.warmup) return null;
+    return this.series.length > 0 ? this.series[this.series.length - 1] : null;
+  }
+
+  // The values for the last `length` candles; like the batch arrays, the window's first candles have
+  // no full period behind them
+  getSeries(length) {
+    return this.series
+      .slice(Math.max(0, this.series.length - length))
+      .map((value, index) => index < this.warmup ? null : value);
+  }
+}
+
+// calculateEMA
+class StreamingEMA extends StreamingIndicator {
+  constructor(period, lookback) {
+    super({ lookback });
+    this.period = period;
+  }
+
+  next(state, candles) {
+    const closes = candles.slice(-this.lookback).map(candle => candle.close);
+    return { state, value: futuresIndicators.calculateEMA(closes, this.period, this.lookback) };
+  }
+}
+
+// calculateATR: simple average of the last `period` true ranges
+class StreamingATR extends StreamingIndicator {
+  constructor(period) {
+    super({ warmup: period });
+    this.period = period;
+  }
+
+  next(state, candles) {
+    return { state, value: this.count > this.period ? averageTrueRange(candles, this.period) : null };
+  }
+}
+
+// calculateSupertrend
+class StreamingSupertrend extends StreamingIndicator {
+  constructor(period, multiplier, lookback) {
+    super({ lookback });
+    this.period = period;
+    this.multiplier = multiplier;
+  }
+
+  next(state, candles) {
+    return { state, value: futuresIndicators.calculateSupertrend(candles, this.period, this.multiplier, this.lookback) };
+  }
+}
+
+// calculateParabolicSAR: the series keeps each candle's SAR point, the latest result is kept whole
+class StreamingParabolicSAR extends StreamingIndicator {
+  constructor(step, maxStep, lookback) {
+    super({ lookback });
+    this.step = step;
+    this.maxStep = maxStep;
+  }
+
+  next(state, candles) {
+    const sar = futuresIndicators.calculateParabolicSAR(candles, this.step, this.maxStep, this.lookback);
+    return { state: sar, value: sar ? sar.series[sar.series.length - 1] : null };
+  }
+
+  getValue() {
+    return this.state;
+  }
+}
+
+// calculateMFI / calculateMFIArray
+class StreamingMFI extends StreamingIndicator {
+  constructor(period) {
+    super({ warmup: period });
+    this.period = period;
+  }
+
+  next(state, candles) {
+    if (this.count <= this.period) return { state, value: null };
+
+    let positiveFlow = 0;
+    let negativeFlow = 0;
+
+    for (let j = candles.length - this.period; j < candles.length; j++) {
+      const price = typicalPrice(candles[j]);
+
+      if (price > typicalPrice(candles[j - 1])) {
+        positiveFlow += price * candles[j].volume;
+      } else {
+        negativeFlow += price * candles[j].volume;
+      }
+    }
+
+    return { state, value: negativeFlow === 0 ? 100 : 100 - (100 / (1 + positiveFlow / negativeFlow)) };
+  }
+}
+
+// calculateOBV / calculateOBVArray: the latest run over the lookback is kept for the series
+class StreamingOBV extends StreamingIndicator {
+  constructor(lookback) {
+    super({ lookback });
+  }
+
+  next(state, candles) {
+    const run = futuresIndicators.calculateOBVArray(candles.slice(-this.lookback), this.lookback);
+    return { state: run, value: run[run.length - 1] };
+  }
+
+  getValue() {
+    return this.state && this.state.length >= 2 ? super.getValue() : null;
+  }
+
+  getSeries(length) {
+    const run = (this.state || []).slice(-length);
+    return [...new Array(length - run.length).fill(null), ...run];
+  }
+}
+
+// calculateWilliamsR / calculateWilliamsRArray
+class StreamingWilliamsR extends StreamingIndicator {
+  constructor(period) {
+    super({ warmup: period - 1 });
+    this.period = period;
+  }
+
+  next(state, candles) {
+    if (this.count < this.period) return { state, value: null };
+
+    const window = candles.slice(-this.period);
+    const highest = Math.max(...window.map(c => c.high));
+    const lowest = Math.min(...window.map(c => c.low));
+    const close = candles[candles.length - 1].close;
+
+    return { state, value: highest === lowest ? 0 : ((highest - close) / (highest - lowest)) * -100 };
+  }
+}
+
+// calculateCCI / calculateCCIArray
+class StreamingCCI extends StreamingIndicator {
+  constructor(period) {
+    super({ warmup: period - 1 });
+    this.period = period;
+  }
+
+  next(state, candles) {
+    if (this.count < this.period) return { state, value: null };
+
+    const window = candles.slice(-this.period).map(typicalPrice);
+    const sma = window.reduce((sum, price) => sum + price, 0) / this.period;
+    const meanDeviation = window.reduce((sum, price) => sum + Math.abs(price - sma), 0) / this.period;
+    const current = window[window.length - 1];
+
+    return { state, value: meanDeviation === 0 ? 0 : (current - sma) / (0.015 * meanDeviation) };
+  }
+}
+
+module.exports = {
+  StreamingIndicator,
+  StreamingEMA,
+  StreamingATR,
+  StreamingSupertrend,
+  StreamingParabolicSAR,
+  StreamingMFI,
+  StreamingOBV,
+  StreamingWilliamsR,
+  StreamingCCI
+};
@@ -0,0 +1,360 @@
+const path = require('path');
+const fs = require('fs-extra');
+const exchangeService = require('./exchangeService');
+const StreamClient = require('./streamClient');
+const { createFuturesProvider } = require('./futuresProviders');
+const config = require('../config/config');
+const logger = require('../utils/logger');
+const cassette = require('../utils/cassette');
+const clock = require('../utils/clock');
+
+// Aggregates the exchange force order stream into rolling per-symbol buckets
+class LiquidationService {
+  constructor() {
+    this.provider = null;
+    this.client = null;
+    this.buckets = new Map(); // symbol -> Map(bucketStart -> { long, short, count })
+    this.subscriptions = new Map(); // marketId -> symbol
+    this.coverage = []; // Connected periods { from, to }, ascending; to is null while connected
+    this.isRunning = false;
+    this.persistTimer = null;
+    this.filePath = path.resolve(__dirname, '..', config.futures.liquidations.storeFile);
+    this.stats = {
+      received: 0,
+      recorded: 0
+    };
+  }
+
+  get bucketMs() {
+    return config.futures.liquidations.bucketSeconds * 1000;
+  }
+
+  getProvider() {
+    if (!this.provider) {
+      this.provider = createFuturesProvider(config.exchange.name, {
+        streamURL: config.futures.liquidations.streamUrl
+      });
+    }
+    return this.provider;
+  }
+
+  async start() {
+    if (!config.features.liquidationAnalysis || !config.futures.liquidations.streamEnabled) {
+      logger.info('Liquidation stream is disabled, using REST liquidation data');
+      return false;
+    }
+
+    if (this.isRunning) return true;
+
+    if (cassette.isReplaying()) {
+      logger.info('Liquidation stream is not replayed, using recorded REST liquidation data');
+      return false;
+    }
+
+    const provider = this.getProvider();
+    if (!provider.supportsLiquidationStream || !provider.supportsStreaming) {
+      logger.warn(`Liquidation stream not supported for ${config.exchange.name}, using REST liquidation data`);
+      return false;
+    }
+
+    await this.load();
+
+    this.client = new StreamClient('Liquidation stream', provider.streamURL, {
+      pingMessage: provider.buildPingMessage()
+    });
+
+    this.client.on('connected', () => {
+      this.coverage.push({ from: clock.now(), to: null });
+      logger.info(`📡 Liquidation stream connected (${this.subscriptions.size} symbols)`);
+      this.sendSubscription(Array.from(this.subscriptions.keys()));
+    });
+
+    // Anything missed while disconnected is a coverage gap
+    this.client.on('disconnected', () => this.closeCoverage());
+
+    this.client.on('message', (message) => this.handleMessage(message));
+
+    this.persistTimer = setInterval(() => this.persist(), config.futures.liquidations.persistIntervalMs);
+    this.persistTimer.unref();
+
+    this.isRunning = true;
+    this.client.start();
+    return true;
+  }
+
+  async stop() {
+    if (!this.isRunning) return;
+
+    this.isRunning = false;
+    clearInterval(this.persistTimer);
+    this.persistTimer = null;
+
+    if (this.client) {
+      this.client.removeAllListeners();
+      this.client.stop();
+      this.client = null;
+    }
+
+    this.closeCoverage();
+    await this.persist();
+  }
+
+  closeCoverage() {
+    const current = this.coverage[this.coverage.length - 1];
+    if (current && current.to === null) {
+      current.to = clock.now();
+    }
+  }
+
+  // Subscribes the symbols being scanned; all-market streams ignore the list
+  track(symbols) {
+    const newMarketIds = [];
+
+    for (const symbol of symbols) {
+      try {
+        const marketId = exchangeService.getMarket(symbol).id;
+        if (this.subscriptions.has(marketId)) continue;
+
+        this.subscriptions.set(marketId, symbol);
+        newMarketIds.push(marketId);
+      } catch (error) {
+        logger.error(`Failed to track liquidations for ${symbol}: ${error.message}`);
+      }
+    }
+
+    if (this.isRunning) {
+      this.sendSubscription(newMarketIds);
+    }
+  }
+
+  sendSubscription(marketIds) {
+    if (!this.client) return;
+
+    const message = this.getProvider().buildLiquidationSubscribeMessage(marketIds);
+    if (message) {
+      this.client.send(message);
+    }
+  }
+
+  resolveSymbol(marketId) {
+    if (this.subscriptions.has(marketId)) {
+      return this.subscriptions.get(marketId);
+    }
+
+    const market = exchangeService.getMarketById(marketId);
+    return market ? market.symbol : null;
+  }
+
+  handleMessage(message) {
+    const liquidations = this.getProvider().parseLiquidationMessage(
+      message,
+      marketId => exchangeService.getMarketById(marketId)
+    );
+
+    for (const liq of liquidations) {
+      this.stats.received++;
+
+      const symbol = this.resolveSymbol(liq.marketId);
+      if (!symbol || !liq.price || !liq.quantity) continue;
+
+      this.record(symbol, liq.side, liq.price * liq.quantity, liq.timestamp || clock.now());
+    }
+  }
+
+  record(symbol, side, notional, timestamp) {
+    if (!this.buckets.has(symbol)) {
+      this.buckets.set(symbol, new Map());
+    }
+
+    const series = this.buckets.get(symbol);
+    const bucketStart = Math.floor(timestamp / this.bucketMs) * this.bucketMs;
+    const bucket = series.get(bucketStart) || { long: 0, short: 0, count: 0 };
+
+    if (side === 'LONG') {
+      bucket.long += notional;
+    } else {
+      bucket.short += notional;
+    }
+    bucket.count++;
+
+    series.set(bucketStart, bucket);
+    this.stats.recorded++;
+  }
+
+  // Periods in [since, until) the stream was not connected, such as a restart or a dropped connection
+  getCoverageGaps(since, until = clock.now()) {
+    const gaps = [];
+    let cursor = since;
+
+    for (const period of this.coverage) {
+      const end = period.to === null ? until : period.to;
+      if (end <= cursor) continue;
+
+      if (period.from > cursor) {
+        gaps.push({ from: cursor, to: Math.min(period.from, until) });
+      }
+      cursor = end;
+      if (cursor >= until) break;
+    }
+
+    if (cursor < until) {
+      gaps.push({ from: cursor, to: until });
+    }
+
+    return gaps;
+  }
+
+  // True when the stream has been connected without gaps for the whole window
+  covers(windowMinutes) {
+    return this.isRunning && this.getCoverageGaps(clock.now() - windowMinutes * 60 * 1000).length === 0;
+  }
+
+  getLiquidations(symbol, windowMinutes = config.futures.liquidations.lookbackMinutes) {
+    const since = clock.now() - windowMinutes * 60 * 1000;
+    const series = this.buckets.get(symbol) || new Map();
+    let longValue = 0;
+    let shortValue = 0;
+    let count = 0;
+
+    for (const [bucketStart, bucket] of series) {
+      // Buckets are only partially inside the window at its start
+      if (bucketStart + this.bucketMs <= since) continue;
+
+      longValue += bucket.long;
+      shortValue += bucket.short;
+      count += bucket.count;
+    }
+
+    const totalValue = longValue + shortValue;
+    const gaps = this.getCoverageGaps(since);
+
+    return {
+      symbol,
+      windowMinutes,
+      longValue,
+      shortValue,
+      totalValue,
+      count,
+      liquidationRatio: totalValue > 0 ? longValue / totalValue : 0.5,
+      complete: this.isRunning && gaps.length === 0,
+      gaps,
+      source: 'stream',
+      timestamp: clock.now()
+    };
+  }
+
+  // Adds REST force orders that fall inside the aggregate's coverage gaps. The gaps are filled
+  // once the orders reach back to the first of them, the endpoint only returns the latest ones
+  fillGaps(aggregate, liquidations) {
+    const inGap = liq => aggregate.gaps.some(gap => liq.timestamp >= gap.from && liq.timestamp < gap.to);
+    let { longValue, shortValue, count } = aggregate;
+
+    for (const liq of liquidations.filter(inGap)) {
+      const value = liq.price * liq.quantity;
+      count++;
+
+      if (liq.side === 'LONG') {
+        longValue += value;
+      } else {
+        shortValue += value;
+      }
+    }
+
+    const totalValue = longValue + shortValue;
+    const firstGap = aggregate.gaps[0];
+
+    return {
+      ...aggregate,
+      longValue,
+      shortValue,
+      totalValue,
+      count,
+      liquidationRatio: totalValue > 0 ? longValue / totalValue : 0.5,
+      complete: !firstGap || liquidations.length === 0 || liquidations.some(liq => liq.timestamp <= firstGap.from),
+      gaps: [],
+      source: 'stream+rest'
+    };
+  }
+
+  prune() {
+    const cutoff = clock.now() - config.futures.liquidations.retentionMinutes * 60 * 1000;
+
+    for (const [symbol, series] of this.buckets) {
+      for (const bucketStart of series.keys()) {
+        if (bucketStart + this.bucketMs <= cutoff) {
+          series.delete(bucketStart);
+        }
+      }
+
+      if (series.size === 0) {
+        this.buckets.delete(symbol);
+      }
+    }
+
+    this.coverage = this.coverage.filter(period => period.to === null || period.to > cutoff);
+  }
+
+  async load() {
+    try {
+      if (!(await fs.pathExists(this.filePath))) return;
+
+      const saved = await fs.readJson(this.filePath);
+
+      for (const [symbol, entries] of Object.entries(saved.buckets || {})) {
+        this.buckets.set(symbol, new Map(
+          entries.map(([bucketStart, long, short, count]) => [bucketStart, { long, short, count }])
+        ));
+      }
+      // The downtime before the next connect stays a gap between the saved and the new coverage
+      this.coverage = (saved.coverage || []).map(([from, to]) => ({ from, to }));
+      this.prune();
+
+      logger.info(`Loaded liquidation history for ${this.buckets.size} symbols`);
+    } catch (error) {
+      logger.error(`Failed to load liquidation history: ${error.message}`);
+    }
+  }
+
+  async persist() {
+    try {
+      this.prune();
+
+      const buckets = {};
+      for (const [symbol, series] of this.buckets) {
+        buckets[symbol] = Array.from(series, ([bucketStart, bucket]) =>
+          [bucketStart, bucket.long, bucket.short, bucket.count]
+        );
+      }
+
+      // Write then rename so a crash never leaves a truncated file behind
+      const tempPath = `${this.filePath}.tmp`;
+      const now = clock.now();
+      await fs.outputJson(tempPath, {
+        savedAt: now,
+        coverage: this.coverage.map(period => [period.from, period.to === null ? now : period.to]),
+        buckets
+      });
+      await fs.move(tempPath, this.filePath, { overwrite: true });
+    } catch (error) {
+      logger.error(`Failed to persist liquidation history: ${error.message}`);
+    }
+  }
+
+  getCurrentCoverageMinutes() {
+    const current = this.coverage[this.coverage.length - 1];
+    return current && current.to === null ? Math.floor((clock.now() - current.from) / 60000) : 0;
+  }
+
+  getStatistics() {
+    return {
+      isRunning: this.isRunning,
+      isConnected: Boolean(this.client && this.client.isConnected),
+      symbols: this.buckets.size,
+      subscriptions: this.subscriptions.size,
+      coverageMinutes: this.getCurrentCoverageMinutes(),
+      ...this.stats
+    };
+  }
+}
+
+module.exports = new LiquidationService();
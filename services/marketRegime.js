@@ -0,0 +1,74 @@
+const config = require('../config/config');
+const logger = require('../utils/logger');
+const futuresIndicators = require('./futuresIndicators');
+
+class MarketRegime {
+  // Labels the symbol's regime from ADX/DMI, ATR rank, band widths and market structure
+  classify(ohlcv, structure, options = config.regime) {
+    try {
+      const dmi = futuresIndicators.calculateADX(ohlcv, options.adxPeriod);
+      const bandWidth = futuresIndicators.calculateBandWidth(
+        ohlcv,
+        options.bandPeriod,
+        options.bandStdDev,
+        options.keltnerMultiplier
+      );
+      const atrPercentile = this.getATRPercentile(ohlcv, options);
+
+      if (!dmi || !bandWidth || atrPercentile === null) return null;
+
+      return {
+        regime: this.getRegime(dmi, atrPercentile, bandWidth, structure, options),
+        adx: dmi.adx,
+        plusDI: dmi.plusDI,
+        minusDI: dmi.minusDI,
+        atrPercentile,
+        bandWidth,
+        structure: structure?.trend || null
+      };
+    } catch (error) {
+      logger.error(`Market regime classification error: ${error.message}`);
+      return null;
+    }
+  }
+
+  // Share of the recent ATR values below the current one, so a flat ATR does not rank high
+  getATRPercentile(ohlcv, options) {
+    const atrs = futuresIndicators.calculateATRArray(ohlcv, options.atrPeriod).slice(-options.atrPercentileLookback);
+    if (atrs.length < 2) return null;
+
+    const current = atrs[atrs.length - 1];
+    return atrs.filter(atr => atr < current).length / atrs.length;
+  }
+
+  getRegime({ adx, plusDI, minusDI }, atrPercentile, bandWidth, structure, options) {
+    // A spike in ATR with the bands blown out past Keltner overrides any trend reading
+    if (atrPercentile >= options.highVolatilityPercentile && !bandWidth.squeeze) {
+      return 'HIGH_VOLATILITY';
+    }
+
+    // A strong ADX only counts as a trend when the structure does not point the other way
+    if (adx >= options.trendADX) {
+      if (plusDI > minusDI && structure?.trend !== 'BEARISH') return 'TRENDING_UP';
+      if (minusDI > plusDI && structure?.trend !== 'BULLISH') return 'TRENDING_DOWN';
+    }
+
+    return 'RANGING';
+  }
+
+  // The regime's scoring, threshold and risk overrides, empty unless regime profiles are enabled
+  getProfile(regime, options = config.regime) {
+    if (!config.features.regimeProfiles || !regime) return {};
+
+    return options.profiles[regime] || {};
+  }
+
+  getThresholds(profile) {
+    return {
+      minConfidence: profile.minConfidence ?? config.signal.minConfidence,
+      highConfidence: profile.highConfidence ?? config.signal.highConfidence
+    };
+  }
+}
+
+module.exports = new MarketRegime();
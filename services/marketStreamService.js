@@ -0,0 +1,157 @@
+const EventEmitter = require('events');
+const exchangeService = require('./exchangeService');
+const StreamClient = require('./streamClient');
+const { createFuturesProvider } = require('./futuresProviders');
+const config = require('../config/config');
+const logger = require('../utils/logger');
+const cassette = require('../utils/cassette');
+const clock = require('../utils/clock');
+
+class MarketStreamService extends EventEmitter {
+  constructor() {
+    super();
+    this.provider = null;
+    this.client = null;
+    this.subscriptions = new Map(); // marketId -> symbol
+    this.latestPrices = new Map(); // symbol -> { price, timestamp, receivedAt }
+    this.isRunning = false;
+  }
+
+  get isConnected() {
+    return Boolean(this.client && this.client.isConnected);
+  }
+
+  getProvider() {
+    if (!this.provider) {
+      this.provider = createFuturesProvider(config.exchange.name, {
+        streamURL: config.streaming.url
+      });
+    }
+    return this.provider;
+  }
+
+  start() {
+    if (!config.streaming.enabled) {
+      logger.info('Price streaming is disabled, using REST polling');
+      return false;
+    }
+
+    if (this.isRunning) return true;
+
+    if (cassette.isReplaying()) {
+      logger.info('Price streaming is not replayed, using recorded REST prices');
+      return false;
+    }
+
+    const provider = this.getProvider();
+    if (!provider.supportsStreaming) {
+      logger.warn(`Price streaming not supported for ${config.exchange.name}, using REST polling`);
+      return false;
+    }
+
+    this.client = new StreamClient('Price stream', provider.streamURL, {
+      pingMessage: provider.buildPingMessage()
+    });
+
+    this.client.on('connected', () => {
+      logger.info(`📡 Price stream connected (${this.subscriptions.size} symbols)`);
+
+      // Resubscribe everything after a (re)connect
+      this.sendSubscription(Array.from(this.subscriptions.keys()), true);
+      this.emit('connected');
+    });
+    this.client.on('disconnected', () => this.emit('disconnected'));
+    this.client.on('message', (message) => this.handleMessage(message));
+
+    this.isRunning = true;
+    this.client.start();
+    return true;
+  }
+
+  stop() {
+    this.isRunning = false;
+
+    if (this.client) {
+      this.client.removeAllListeners();
+      this.client.stop();
+      this.client = null;
+    }
+  }
+
+  sendSubscription(marketIds, subscribe) {
+    if (marketIds.length === 0 || !this.client) return;
+
+    const provider = this.getProvider();
+    const message = subscribe
+      ? provider.buildSubscribeMessage(marketIds)
+      : provider.buildUnsubscribeMessage(marketIds);
+
+    if (message) {
+      this.client.send(message);
+    }
+  }
+
+  handleMessage(message) {
+    const updates = this.getProvider().parseMarkPriceMessage(message);
+
+    for (const update of updates) {
+      const symbol = this.subscriptions.get(update.marketId);
+      if (!symbol || !update.price) continue;
+
+      const tick = {
+        symbol,
+        price: update.price,
+        timestamp: update.timestamp || clock.now(),
+        receivedAt: clock.now()
+      };
+
+      this.latestPrices.set(symbol, tick);
+      this.emit('price', tick);
+    }
+  }
+
+  subscribe(symbol) {
+    try {
+      const marketId = exchangeService.getMarket(symbol).id;
+      if (this.subscriptions.has(marketId)) return;
+
+      this.subscriptions.set(marketId, symbol);
+      this.sendSubscription([marketId], true);
+      logger.debug(`📡 Subscribed to ${symbol} price stream`);
+    } catch (error) {
+      logger.error(`Failed to subscribe to ${symbol} price stream: ${error.message}`);
+    }
+  }
+
+  unsubscribe(symbol) {
+    for (const [marketId, subscribedSymbol] of this.subscriptions) {
+      if (subscribedSymbol === symbol) {
+        this.subscriptions.delete(marketId);
+        this.latestPrices.delete(symbol);
+        this.sendSubscription([marketId], false);
+        logger.debug(`📡 Unsubscribed from ${symbol} price stream`);
+      }
+    }
+  }
+
+  // Returns the last streamed price, or null if missing or stale
+  getLatestPrice(symbol) {
+    const tick = this.latestPrices.get(symbol);
+
+    if (!this.isConnected || !tick) return null;
+    if (clock.now() - tick.receivedAt > config.streaming.staleAfterMs) return null;
+
+    return tick.price;
+  }
+
+  getStatistics() {
+    return {
+      isRunning: this.isRunning,
+      isConnected: this.isConnected,
+      subscriptions: this.subscriptions.size,
+      reconnectAttempts: this.client ? this.client.reconnectAttempts : 0
+    };
+  }
+}
+
+module.exports = new MarketStreamService();
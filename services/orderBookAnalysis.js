@@ -0,0 +1,95 @@
+const config = require('../config/config');
+const logger = require('../utils/logger');
+
+class OrderBookAnalysis {
+  analyzeOrderBook(orderBook) {
+    try {
+      const bids = orderBook?.bids || [];
+      const asks = orderBook?.asks || [];
+      
+      if (bids.length === 0 || asks.length === 0) return null;
+      
+      const bestBid = bids[0][0];
+      const bestAsk = asks[0][0];
+      const midPrice = (bestBid + bestAsk) / 2;
+      
+      const depth05 = this.calculateDepth(bids, asks, midPrice, 0.5);
+      const depth1 = this.calculateDepth(bids, asks, midPrice, 1);
+      const totalDepth1 = depth1.bid + depth1.ask;
+      
+      return {
+        bestBid,
+        bestAsk,
+        midPrice,
+        spreadPercent: (bestAsk - bestBid) / midPrice * 100,
+        depth: {
+          bid05: depth05.bid,
+          ask05: depth05.ask,
+          bid1: depth1.bid,
+          ask1: depth1.ask
+        },
+        // +1 = all resting size on the bid, -1 = all on the ask (within ±1%)
+        imbalance: totalDepth1 > 0 ? (depth1.bid - depth1.ask) / totalDepth1 : 0
+      };
+    } catch (error) {
+      logger.error(`Order book analysis error: ${error.message}`);
+      return null;
+    }
+  }
+
+  // Quote-currency depth resting within ±percent of the mid price
+  calculateDepth(bids, asks, midPrice, percent) {
+    const lowerBound = midPrice * (1 - percent / 100);
+    const upperBound = midPrice * (1 + percent / 100);
+    
+    const bid = bids
+      .filter(([price]) => price >= lowerBound)
+      .reduce((sum, [price, amount]) => sum + price * amount, 0);
+    const ask = asks
+      .filter(([price]) => price <= upperBound)
+      .reduce((sum, [price, amount]) => sum + price * amount, 0);
+    
+    return { bid, ask };
+  }
+
+  // Walks the book on the taking side to estimate the average fill for a market order
+  estimateSlippage(orderBook, direction, quantity) {
+    try {
+      const levels = direction === 'LONG' ? orderBook.asks : orderBook.bids;
+      
+      if (!levels || levels.length === 0 || !quantity) return null;
+      
+      const bestPrice = levels[0][0];
+      let remaining = quantity;
+      let cost = 0;
+      
+      for (const [price, amount] of levels) {
+        const fill = Math.min(remaining, amount);
+        cost += fill * price;
+        remaining -= fill;
+        
+        if (remaining <= 0) break;
+      }
+      
+      const filled = quantity - Math.max(0, remaining);
+      const averagePrice = cost / filled;
+      
+      return {
+        averagePrice,
+        slippagePercent: Math.abs(averagePrice - bestPrice) / bestPrice * 100,
+        exceedsBook: remaining > 0,
+        fillRatio: filled / quantity
+      };
+    } catch (error) {
+      logger.error(`Slippage estimation error: ${error.message}`);
+      return null;
+    }
+  }
+
+  isSlippageAcceptable(slippage) {
+    if (!slippage) return true;
+    return !slippage.exceedsBook && slippage.slippagePercent <= config.liquidity.maxSlippagePercent;
+  }
+}
+
+module.exports = new OrderBookAnalysis();
@@ -0,0 +1,250 @@
+const config = require('../config/config');
+const logger = require('../utils/logger');
+const { getStatusCode, isRateLimitError } = require('../utils/errors');
+
+const PRIORITY_RANK = {
+  HIGH: 0, // Trade monitor price checks
+  NORMAL: 1, // Market scanning
+  LOW: 2
+};
+
+const WEIGHT_WINDOW_MS = 60 * 1000;
+
+class RequestScheduler {
+  constructor() {
+    this.queue = [];
+    this.isProcessingQueue = false;
+    this.activeRequests = 0;
+    this.slotWaiters = [];
+    this.weightWindow = []; // { at, weight } for requests sent in the last minute
+    this.reportedWeight = null; // { weight, at } from the exchange's used-weight header
+    this.pausedUntil = 0;
+    this.consecutiveRateLimits = 0;
+    this.sequence = 0;
+    this.stats = {
+      dispatched: 0,
+      rateLimited: 0,
+      totalWeight: 0
+    };
+  }
+
+  getWeight(endpoint) {
+    const weight = config.rateLimit.endpointWeights[endpoint];
+    return weight !== undefined ? weight : config.rateLimit.defaultWeight;
+  }
+
+  getBudget() {
+    return Math.floor(config.rateLimit.weightPerMinute * config.rateLimit.budgetRatio);
+  }
+
+  getUsedWeight() {
+    const now = Date.now();
+    this.weightWindow = this.weightWindow.filter(entry => now - entry.at < WEIGHT_WINDOW_MS);
+    
+    const localWeight = this.weightWindow.reduce((sum, entry) => sum + entry.weight, 0);
+    
+    // The exchange counts per calendar minute, so its figure only applies within that minute
+    if (this.reportedWeight && Math.floor(this.reportedWeight.at / WEIGHT_WINDOW_MS) === Math.floor(now / WEIGHT_WINDOW_MS)) {
+      return Math.max(localWeight, this.reportedWeight.weight);
+    }
+    
+    return localWeight;
+  }
+
+  getRemainingBudget() {
+    if (Date.now() < this.pausedUntil) return 0;
+    return Math.max(0, this.getBudget() - this.getUsedWeight());
+  }
+
+  schedule(endpoint, fn, options = {}) {
+    return new Promise((resolve, reject) => {
+      this.enqueue({
+        endpoint,
+        fn,
+        weight: options.weight !== undefined ? options.weight : this.getWeight(endpoint),
+        priority: PRIORITY_RANK[options.priority || 'NORMAL'],
+        getHeaders: options.getHeaders,
+        sequence: this.sequence++,
+        requeues: 0,
+        resolve,
+        reject
+      });
+      
+      this.processQueue();
+    });
+  }
+
+  enqueue(task) {
+    // Ordered by priority, then by arrival
+    const index = this.queue.findIndex(queued =>
+      queued.priority > task.priority ||
+      (queued.priority === task.priority && queued.sequence > task.sequence)
+    );
+    
+    if (index === -1) {
+      this.queue.push(task);
+    } else {
+      this.queue.splice(index, 0, task);
+    }
+  }
+
+  async processQueue() {
+    if (this.isProcessingQueue) return;
+    
+    this.isProcessingQueue = true;
+    
+    try {
+      while (this.queue.length > 0) {
+        const waitMs = this.getWaitTime(this.queue[0]);
+        
+        if (waitMs > 0) {
+          await this.delay(waitMs);
+          continue;
+        }
+        
+        if (this.activeRequests >= config.rateLimit.maxConcurrent) {
+          await new Promise(resolve => this.slotWaiters.push(resolve));
+          continue;
+        }
+        
+        this.dispatch(this.queue.shift());
+      }
+    } finally {
+      this.isProcessingQueue = false;
+    }
+  }
+
+  getWaitTime(task) {
+    const now = Date.now();
+    
+    if (now < this.pausedUntil) {
+      return this.pausedUntil - now;
+    }
+    
+    const used = this.getUsedWeight();
+    if (used + task.weight <= this.getBudget() || used === 0) {
+      return 0;
+    }
+    
+    // Wait for the oldest request to leave the window, or for the exchange's minute to roll over
+    const oldest = this.weightWindow[0];
+    const windowWait = oldest ? oldest.at + WEIGHT_WINDOW_MS - now : 0;
+    const minuteWait = WEIGHT_WINDOW_MS - (now % WEIGHT_WINDOW_MS);
+    const reportedBlocks = this.reportedWeight && this.reportedWeight.weight + task.weight > this.getBudget();
+    
+    return Math.max(100, reportedBlocks ? Math.max(windowWait, minuteWait) : windowWait);
+  }
+
+  async dispatch(task) {
+    this.activeRequests++;
+    this.weightWindow.push({ at: Date.now(), weight: task.weight });
+    this.stats.dispatched++;
+    this.stats.totalWeight += task.weight;
+    
+    try {
+      const result = await task.fn();
+      
+      this.updateFromHeaders(task.getHeaders ? task.getHeaders(result) : null);
+      this.consecutiveRateLimits = 0;
+      task.resolve(result);
+      
+    } catch (error) {
+      if (isRateLimitError(error)) {
+        this.stats.rateLimited++;
+        // axios errors carry the response; ccxt keeps the last response headers on the exchange
+        this.applyBackoff(error, task.getHeaders ? task.getHeaders(error.response) : null);
+        
+        if (task.requeues < config.rateLimit.maxRequeues) {
+          task.requeues++;
+          this.enqueue(task);
+          this.processQueue();
+        } else {
+          task.reject(error);
+        }
+      } else {
+        task.reject(error);
+      }
+    } finally {
+      this.activeRequests--;
+      
+      const waiter = this.slotWaiters.shift();
+      if (waiter) waiter();
+    }
+  }
+
+  getHeader(headers, headerName) {
+    if (!headers) return undefined;
+    
+    const key = Object.keys(headers).find(name => name.toLowerCase() === headerName.toLowerCase());
+    return key ? headers[key] : undefined;
+  }
+
+  updateFromHeaders(headers) {
+    const weight = parseInt(this.getHeader(headers, config.rateLimit.usedWeightHeader));
+    if (!isNaN(weight)) {
+      this.reportedWeight = { weight, at: Date.now() };
+    }
+  }
+
+  // Retry-After is either seconds or an HTTP date
+  getRetryAfterMs(headers) {
+    const value = this.getHeader(headers, 'retry-after');
+    if (!value) return null;
+    
+    const seconds = Number(value);
+    if (Number.isFinite(seconds)) return seconds * 1000;
+    
+    const date = Date.parse(value);
+    return isNaN(date) ? null : Math.max(0, date - Date.now());
+  }
+
+  applyBackoff(error, headers) {
+    const status = getStatusCode(error);
+    const retryAfterMs = this.getRetryAfterMs(headers);
+    
+    let backoffMs;
+    if (retryAfterMs !== null) {
+      backoffMs = retryAfterMs;
+    } else if (status === 418 || error.name === 'DDoSProtection') {
+      // 418 (ccxt's DDoSProtection) means the IP is already banned, back off as far as we can
+      backoffMs = config.rateLimit.maxBackoffMs;
+    } else {
+      backoffMs = config.rateLimit.backoffMs * Math.pow(2, this.consecutiveRateLimits);
+    }
+    
+    backoffMs = Math.min(backoffMs, config.rateLimit.maxBackoffMs);
+    this.consecutiveRateLimits++;
+    this.pausedUntil = Math.max(this.pausedUntil, Date.now() + backoffMs);
+    
+    logger.warn(`⏳ Rate limited (${status || error.name}), pausing requests for ${(backoffMs / 1000).toFixed(0)}s`);
+  }
+
+  // axios-compatible client whose requests are scheduled by their endpoint path
+  wrapHttp(http) {
+    return {
+      get: (url, options = {}) => {
+        const endpoint = url.split('?')[0].split('/').pop();
+        return this.schedule(endpoint, () => http.get(url, options), {
+          getHeaders: response => response?.headers
+        });
+      }
+    };
+  }
+
+  delay(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+  }
+
+  getStatistics() {
+    return {
+      queued: this.queue.length,
+      active: this.activeRequests,
+      usedWeight: this.getUsedWeight(),
+      budget: this.getBudget(),
+      paused: Date.now() < this.pausedUntil,
+      ...this.stats
+    };
+  }
+}
+
+module.exports = new RequestScheduler();
@@ -0,0 +1,136 @@
+const config = require('../config/config');
+const logger = require('../utils/logger');
+const cassette = require('../utils/cassette');
+const { ExchangeDown, classifyError } = require('../utils/errors');
+
+class Resilience {
+  constructor() {
+    this.breakers = new Map(); // endpoint:symbol -> { state, failures, openedAt, probing }
+  }
+
+  getBreaker(key) {
+    if (!this.breakers.has(key)) {
+      this.breakers.set(key, { state: 'CLOSED', failures: 0, openedAt: null, probing: false });
+    }
+    return this.breakers.get(key);
+  }
+
+  // Retries idempotent calls with exponential backoff behind a circuit breaker per endpoint and
+  // symbol, so one caller's failing symbol does not shut the endpoint for the others
+  async execute(endpoint, fn, options = {}) {
+    const { idempotent = true, symbol } = options;
+    const key = symbol ? `${endpoint}:${symbol}` : endpoint;
+    const breaker = this.getBreaker(key);
+    const probe = this.checkBreaker(key, breaker);
+    
+    const maxRetries = idempotent ? config.resilience.maxRetries : 0;
+    
+    try {
+      for (let attempt = 0; ; attempt++) {
+        try {
+          const result = await fn();
+          this.recordSuccess(key, breaker);
+          return result;
+          
+        } catch (rawError) {
+          const error = classifyError(rawError, endpoint);
+          
+          if (error.retryable && attempt < maxRetries) {
+            const delayMs = this.getRetryDelay(attempt);
+            logger.debug(`Retrying ${key} in ${delayMs}ms after ${error.name} (attempt ${attempt + 1}/${maxRetries})`);
+            await this.delay(delayMs);
+            continue;
+          }
+          
+          if (error.name === 'ExchangeDown' || error.name === 'RateLimited') {
+            this.recordFailure(key, breaker);
+          }
+          
+          throw error;
+        }
+      }
+    } finally {
+      if (probe) breaker.probing = false;
+    }
+  }
+
+  // Returns true when the request is the half-open probe
+  checkBreaker(key, breaker) {
+    if (breaker.state === 'CLOSED') return false;
+    
+    if (breaker.state === 'OPEN' && Date.now() - breaker.openedAt >= config.resilience.breakerResetMs) {
+      breaker.state = 'HALF_OPEN';
+      logger.info(`🔌 Circuit for ${key} half-open, probing`);
+    }
+    
+    // One trial request goes through; the rest are rejected until it settles
+    if (breaker.state === 'HALF_OPEN' && !breaker.probing) {
+      breaker.probing = true;
+      return true;
+    }
+    
+    const reason = breaker.state === 'OPEN' ? 'open after repeated failures' : 'half-open, waiting on the probe';
+    throw new ExchangeDown(`${key}: circuit ${reason}`, {
+      endpoint: key,
+      circuitOpen: true
+    });
+  }
+
+  recordSuccess(key, breaker) {
+    if (breaker.state !== 'CLOSED') {
+      logger.info(`🔌 Circuit for ${key} closed`);
+    }
+    
+    breaker.state = 'CLOSED';
+    breaker.failures = 0;
+    breaker.openedAt = null;
+  }
+
+  recordFailure(key, breaker) {
+    breaker.failures++;
+    
+    if (breaker.state === 'HALF_OPEN' || breaker.failures >= config.resilience.breakerThreshold) {
+      if (breaker.state !== 'OPEN') {
+        logger.warn(`🔌 Circuit for ${key} opened after ${breaker.failures} failures`);
+      }
+      breaker.state = 'OPEN';
+      breaker.openedAt = Date.now();
+    }
+  }
+
+  getRetryDelay(attempt) {
+    const base = config.resilience.retryBaseMs * Math.pow(2, attempt);
+    const jitter = Math.random() * config.resilience.retryBaseMs;
+    return Math.min(base + jitter, config.resilience.retryMaxMs);
+  }
+
+  delay(ms) {
+    // Replayed failures are retried immediately
+    if (cassette.isReplaying()) return Promise.resolve();
+    return new Promise(resolve => setTimeout(resolve, ms));
+  }
+
+  // axios-compatible client wrapped in the retry and breaker policy
+  wrapHttp(http) {
+    return {
+      get: (url, options = {}) => {
+        const endpoint = url.split('?')[0].split('/').pop();
+        const { symbol, instId, ccy } = options.params || {};
+        return this.execute(endpoint, () => http.get(url, options), { symbol: symbol || instId || ccy });
+      }
+    };
+  }
+
+  getStatistics() {
+    const open = Array.from(this.breakers.entries())
+      .filter(([, breaker]) => breaker.state !== 'CLOSED')
+      .map(([key, breaker]) => `${key} (${breaker.state})`);
+    
+    return {
+      breakers: this.breakers.size,
+      open
+    };
+  }
+}
+
+module.exports = new Resilience();
@@ -1,5 +1,6 @@
 const config = require('../config/config');
 const logger = require('../utils/logger');
+const marketRegime = require('./marketRegime');
 
 class RiskManagement {
   calculateATR(ohlcv, period = 14) {
@@ -93,10 +94,22 @@ class RiskManagement {
     }
   }
 
+  // ATR multipliers for the signal's strategy, then its market regime, falling back to the global profile
+  getRiskProfile(signal) {
+    const strategy = config.strategies[signal.strategy] || {};
+    const regime = marketRegime.getProfile(signal.regime);
+    
+    return {
+      takeProfitMultipliers: strategy.takeProfitMultipliers || regime.takeProfitMultipliers || config.riskManagement.takeProfitMultipliers,
+      stopLossMultipliers: strategy.stopLossMultipliers || regime.stopLossMultipliers || config.riskManagement.stopLossMultipliers
+    };
+  }
+
   calculateEntryPrice(currentPrice, signal, indicators, atr) {
     try {
       const direction = signal.direction;
       const confidence = signal.confidence;
+      const anchoredVWAP = config.indicators.vwap.entryAnchor && indicators.volume?.vwaps?.[config.indicators.vwap.entryAnchor];
       
       // More aggressive entry for high confidence signals
       const atrMultiplier = confidence === 'HIGH' ? 0.15 : 0.3;
@@ -115,7 +128,9 @@ class RiskManagement {
         }
         
         // Check VWAP support
-        if (indicators.volume?.vwap && entryPrice < indicators.volume.vwap * 0.998) {
+        if (anchoredVWAP) {
+          entryPrice = this.snapToVWAPBand(entryPrice, currentPrice, direction, anchoredVWAP, atr);
+        } else if (indicators.volume?.vwap && entryPrice < indicators.volume.vwap * 0.998) {
           entryPrice = indicators.volume.vwap * 0.999;
         }
         
@@ -130,24 +145,36 @@ class RiskManagement {
         }
         
         // Check VWAP resistance
-        if (indicators.volume?.vwap && entryPrice > indicators.volume.vwap * 1.002) {
+        if (anchoredVWAP) {
+          entryPrice = this.snapToVWAPBand(entryPrice, currentPrice, direction, anchoredVWAP, atr);
+        } else if (indicators.volume?.vwap && entryPrice > indicators.volume.vwap * 1.002) {
           entryPrice = indicators.volume.vwap * 1.001;
         }
       }
       
       return entryPrice;
     } catch (error) {
-      logger.error(`Entry price calculation error: ${error.message}`);
+      logger.error(`Entry price calculation error (${signal.strategy}): ${error.message}`);
       return currentPrice;
     }
   }
 
+  // Moves the entry onto the nearest VWAP band level on the passive side of price, if one is close enough
+  snapToVWAPBand(entryPrice, currentPrice, direction, vwap, atr) {
+    const levels = [vwap.lower2, vwap.lower1, vwap.value, vwap.upper1, vwap.upper2]
+      .filter(level => (direction === 'LONG' ? level < currentPrice : level > currentPrice))
+      .filter(level => Math.abs(level - entryPrice) <= atr * config.indicators.vwap.entrySnapATR)
+      .sort((a, b) => Math.abs(a - entryPrice) - Math.abs(b - entryPrice));
+    
+    return levels.length > 0 ? levels[0] : entryPrice;
+  }
+
   calculateTakeProfitLevels(entryPrice, signal, indicators, atr, supportResistance) {
     try {
       const direction = signal.direction;
       const confidence = signal.confidence;
       
-      const multipliers = config.riskManagement.takeProfitMultipliers[confidence.toLowerCase()];
+      const multipliers = this.getRiskProfile(signal).takeProfitMultipliers[confidence.toLowerCase()];
       
       let tp1, tp2, tp3;
       
@@ -202,19 +229,60 @@ class RiskManagement {
         }
       }
       
+      // Measured-move targets close to TP2/TP3 replace them, keeping the levels in order
+      const targets = this.getPatternTargets(entryPrice, direction, indicators.chartPatterns);
+      const snapDistance = atr * config.chartPatterns.targetSnapATR;
+      const beyond = (a, b) => (direction === 'LONG' ? a > b : a < b);
+      const snap = (level, after, before) => targets
+        .filter(target => beyond(target, after) && (before === null || beyond(before, target)))
+        .filter(target => Math.abs(target - level) <= snapDistance)
+        .sort((a, b) => Math.abs(a - level) - Math.abs(b - level))[0];
+      
+      tp2 = snap(tp2, tp1, tp3) ?? tp2;
+      tp3 = snap(tp3, tp2, null) ?? tp3;
+      
+      // A target just past a volume node rarely fills, take it in front of the node instead
+      const buffer = atr * config.indicators.volumeProfile.nodeBufferATR;
+      const nodes = this.getVolumeNodes(indicators).filter(node => beyond(node, entryPrice));
+      const inFront = tp => {
+        const node = nodes.find(n => Math.abs(tp - n) <= buffer);
+        const pulled = node !== undefined ? (direction === 'LONG' ? node - buffer : node + buffer) : tp;
+        return beyond(pulled, entryPrice) ? pulled : tp;
+      };
+      
+      const further = (a, b) => (beyond(a, b) ? a : b);
+      
+      tp1 = inFront(tp1);
+      tp2 = further(inFront(tp2), tp1);
+      tp3 = further(inFront(tp3), tp2);
+      
       return { tp1, tp2, tp3 };
     } catch (error) {
-      logger.error(`Take profit calculation error: ${error.message}`);
+      logger.error(`Take profit calculation error (${signal.strategy}): ${error.message}`);
       return null;
     }
   }
 
+  // Measured moves of chart patterns breaking in the signal's direction, beyond the entry
+  getPatternTargets(entryPrice, direction, patterns) {
+    return (patterns || [])
+      .flatMap(pattern => pattern.breakouts)
+      .filter(breakout => breakout.direction === direction)
+      .map(breakout => breakout.target)
+      .filter(target => (direction === 'LONG' ? target > entryPrice : target < entryPrice));
+  }
+
+  // High- and low-volume node prices of every volume profile
+  getVolumeNodes(indicators) {
+    return (indicators.volume?.volumeProfiles || []).flatMap(profile => [...profile.hvn, ...profile.lvn]);
+  }
+
   calculateStopLoss(entryPrice, signal, indicators, atr, supportResistance) {
     try {
       const direction = signal.direction;
       const confidence = signal.confidence;
       
-      const slMultiplier = config.riskManagement.stopLossMultipliers[confidence.toLowerCase()];
+      const slMultiplier = this.getRiskProfile(signal).stopLossMultipliers[confidence.toLowerCase()];
       
       let stopLoss;
       
@@ -265,17 +333,28 @@ class RiskManagement {
         }
       }
       
+      // A stop resting on a volume node gets tagged when price tests it, so it goes past the node
+      const buffer = atr * config.indicators.volumeProfile.nodeBufferATR;
+      const node = this.getVolumeNodes(indicators)
+        .find(n => Math.abs(stopLoss - n) <= buffer && (direction === 'LONG' ? n < entryPrice : n > entryPrice));
+      
+      if (node !== undefined) {
+        stopLoss = direction === 'LONG' ? Math.min(stopLoss, node - buffer) : Math.max(stopLoss, node + buffer);
+      }
+      
       return stopLoss;
     } catch (error) {
-      logger.error(`Stop loss calculation error: ${error.message}`);
+      logger.error(`Stop loss calculation error (${signal.strategy}): ${error.message}`);
       return null;
     }
   }
 
-  calculateRiskReward(entryPrice, stopLoss, takeProfits) {
+  // fundingCost is the projected funding paid as a fraction of notional (negative when received)
+  calculateRiskReward(entryPrice, stopLoss, takeProfits, fundingCost = 0) {
     try {
-      const risk = Math.abs(entryPrice - stopLoss);
-      const rewards = takeProfits.map(tp => Math.abs(tp - entryPrice));
+      const fundingPrice = entryPrice * fundingCost;
+      const risk = Math.abs(entryPrice - stopLoss) + Math.max(0, fundingPrice);
+      const rewards = takeProfits.map(tp => Math.abs(tp - entryPrice) - fundingPrice);
       
       return rewards.map(reward => reward / risk);
     } catch (error) {
@@ -333,7 +412,7 @@ class RiskManagement {
     }
   }
 
-  validateRiskParameters(entryPrice, stopLoss, takeProfits, positionInfo) {
+  validateRiskParameters(entryPrice, stopLoss, takeProfits, positionInfo, fundingCost = 0) {
     try {
       const warnings = [];
       
@@ -347,7 +426,7 @@ class RiskManagement {
       }
       
       // Check risk/reward ratios
-      const riskRewards = this.calculateRiskReward(entryPrice, stopLoss, [takeProfits.tp1, takeProfits.tp2, takeProfits.tp3]);
+      const riskRewards = this.calculateRiskReward(entryPrice, stopLoss, [takeProfits.tp1, takeProfits.tp2, takeProfits.tp3], fundingCost);
       if (riskRewards && riskRewards[0] < 1.5) {
         warnings.push('Poor risk/reward ratio for TP1');
       }
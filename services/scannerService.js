@@ -1,9 +1,16 @@
 const exchangeService = require('./exchangeService');
+const universeService = require('./universeService');
+const liquidationService = require('./liquidationService');
+const basisService = require('./basisService');
+const requestScheduler = require('./requestScheduler');
 const technicalAnalysis = require('./technicalAnalysis');
 const telegramService = require('./telegramService');
 const tradeMonitor = require('./tradeMonitor');
 const config = require('../config/config');
 const logger = require('../utils/logger');
+const cassette = require('../utils/cassette');
+const clock = require('../utils/clock');
+const { MarketDataError } = require('../utils/errors');
 
 class ScannerService {
   constructor() {
@@ -11,11 +18,15 @@ class ScannerService {
     this.scanCount = 0;
     this.totalSignals = 0;
     this.dailySignals = 0;
-    this.lastResetDate = new Date().toDateString();
+    this.lastResetDate = clock.date().toDateString();
     this.scanHistory = [];
     this.maxHistoryLength = 100;
     this.errorCount = 0;
     this.maxErrors = 10;
+    this.weightPerToken = config.scanning.estimatedWeightPerToken;
+    this.inDataOutage = false;
+    this.strategySignals = {}; // strategy -> { total, daily }
+    this.regimeSignals = {}; // market regime -> { total, daily }
   }
 
   async scanMarkets() {
@@ -30,6 +41,9 @@ class ScannerService {
     const scanStartTime = Date.now();
     let signalsFound = 0;
     let tokensAnalyzed = 0;
+    let noSetups = 0;
+    let dataUnavailable = 0;
+    const unavailableReasons = {};
     let errors = 0;
 
     try {
@@ -38,34 +52,53 @@ class ScannerService {
       // Reset daily counter if new day
       this.resetDailyCounterIfNeeded();
       
-      // Get top volume futures
-      const tokens = await exchangeService.getTopVolumeFutures(config.scanning.maxTokensPerScan);
+      // Build the symbol universe; without it the whole scan has no data
+      let tokens;
+      try {
+        tokens = await universeService.buildUniverse(config.scanning.maxTokensPerScan);
+      } catch (error) {
+        if (!(error instanceof MarketDataError)) throw error;
+        
+        const scanStats = this.buildScanStats(scanStartTime, {
+          status: 'DATA_UNAVAILABLE',
+          unavailableReasons: { [error.name]: 1 }
+        });
+        this.recordScanHistory(scanStats);
+        logger.warn(`⚠️ Scan #${this.scanCount} skipped, market list unavailable: ${error.message}`);
+        await this.updateDataOutageState(scanStats, true);
+        return;
+      }
       
       if (tokens.length === 0) {
         logger.warn('No tokens found for scanning');
         return;
       }
 
+      liquidationService.track(tokens);
       logger.info(`📊 Scanning ${tokens.length} top volume futures...`);
       
-      // Process tokens in batches to manage rate limits
-      const batchSize = 3;
-      const batches = this.createBatches(tokens, batchSize);
-      
-      for (let batchIndex = 0; batchIndex < batches.length; batchIndex++) {
-        const batch = batches[batchIndex];
-        logger.debug(`Processing batch ${batchIndex + 1}/${batches.length} (${batch.length} tokens)`);
+      // Process tokens in batches sized to the remaining rate limit budget
+      let batchIndex = 0;
+      for (let offset = 0; offset < tokens.length;) {
+        const batchSize = this.getAdaptiveBatchSize();
+        const batch = tokens.slice(offset, offset + batchSize);
+        offset += batch.length;
+        batchIndex++;
+        logger.debug(`Processing batch ${batchIndex} (${batch.length} tokens, ${tokens.length - offset} remaining)`);
         
+        const weightBefore = requestScheduler.stats.totalWeight;
         const batchPromises = batch.map(symbol => this.analyzeToken(symbol));
         const batchResults = await Promise.allSettled(batchPromises);
+        this.updateWeightPerToken(requestScheduler.stats.totalWeight - weightBefore, batch.length);
         
         for (const result of batchResults) {
           tokensAnalyzed++;
           
-          if (result.status === 'fulfilled' && result.value) {
-            const analysis = result.value;
-            
-            if (analysis.signal) {
+          if (result.status === 'fulfilled' && result.value.length === 0) {
+            noSetups++;
+          } else if (result.status === 'fulfilled') {
+            // One analysis per strategy that produced a signal
+            for (const analysis of result.value) {
               try {
                 await telegramService.sendSignal(analysis);
                 
@@ -77,8 +110,9 @@ class ScannerService {
                 signalsFound++;
                 this.totalSignals++;
                 this.dailySignals++;
+                this.recordSignal(analysis.signal);
                 
-                logger.info(`✅ Signal generated for ${analysis.symbol}: ${analysis.signal.direction} (${analysis.signal.confidence})`);
+                logger.info(`✅ Signal generated for ${analysis.symbol}: ${analysis.signal.direction} (${analysis.signal.confidence}) [${analysis.signal.strategy}]`);
                 
                 // Rate limiting between signals
                 await this.delay(2000);
@@ -88,39 +122,40 @@ class ScannerService {
                 errors++;
               }
             }
-          } else if (result.status === 'rejected') {
+          } else if (result.reason instanceof MarketDataError) {
+            logger.debug(`Data unavailable: ${result.reason.message}`);
+            dataUnavailable++;
+            unavailableReasons[result.reason.name] = (unavailableReasons[result.reason.name] || 0) + 1;
+          } else {
             logger.debug(`Token analysis failed: ${result.reason.message}`);
             errors++;
           }
         }
-        
-        // Delay between batches to manage API rate limits
-        if (batchIndex < batches.length - 1) {
-          await this.delay(1000);
-        }
       }
 
-      const scanDuration = Date.now() - scanStartTime;
-      
       // Record scan statistics
-      const scanStats = {
-        scanNumber: this.scanCount,
-        timestamp: new Date(),
+      const isOutage = tokensAnalyzed > 0 && dataUnavailable / tokensAnalyzed >= config.resilience.outageRatio;
+      const scanStats = this.buildScanStats(scanStartTime, {
+        status: isOutage ? 'DATA_UNAVAILABLE' : (dataUnavailable > 0 ? 'DEGRADED' : 'OK'),
         tokensAnalyzed,
         signalsFound,
-        errors,
-        duration: scanDuration,
-        successRate: tokensAnalyzed > 0 ? (signalsFound / tokensAnalyzed * 100) : 0
-      };
+        noSetups,
+        dataUnavailable,
+        unavailableReasons,
+        errors
+      });
       
       this.recordScanHistory(scanStats);
       
-      logger.info(`✅ Scan #${this.scanCount} completed in ${(scanDuration / 1000).toFixed(2)}s`);
-      logger.info(`📊 Results: ${signalsFound} signals from ${tokensAnalyzed} tokens (${scanStats.successRate.toFixed(1)}% success rate)`);
+      logger.info(`✅ Scan #${this.scanCount} completed in ${(scanStats.duration / 1000).toFixed(2)}s`);
+      logger.info(`📊 Results: ${signalsFound} signals, ${noSetups} no setup, ${dataUnavailable} data unavailable from ${tokensAnalyzed} tokens (${scanStats.successRate.toFixed(1)}% success rate)`);
+      
+      await this.updateDataOutageState(scanStats, isOutage);
+      await this.sendBasisAlerts();
       
       // Send periodic scan summary
       if (this.scanCount % 10 === 0) {
-        await this.sendDetailedScanSummary(tokensAnalyzed, signalsFound);
+        await this.sendDetailedScanSummary(scanStats);
       }
       
       // Reset error count on successful scan
@@ -141,6 +176,52 @@ class ScannerService {
     }
   }
 
+  buildScanStats(scanStartTime, results) {
+    const stats = {
+      scanNumber: this.scanCount,
+      timestamp: clock.date(),
+      status: 'OK',
+      tokensAnalyzed: 0,
+      signalsFound: 0,
+      noSetups: 0,
+      dataUnavailable: 0,
+      unavailableReasons: {},
+      errors: 0,
+      duration: Date.now() - scanStartTime,
+      ...results
+    };
+    
+    stats.successRate = stats.tokensAnalyzed > 0 ? (stats.signalsFound / stats.tokensAnalyzed * 100) : 0;
+    return stats;
+  }
+
+  // Alerts once when an outage starts and once when data comes back
+  async updateDataOutageState(scanStats, isOutage) {
+    if (isOutage === this.inDataOutage) return;
+    
+    this.inDataOutage = isOutage;
+    
+    if (isOutage) {
+      logger.warn(`🚨 Market data unavailable in scan #${scanStats.scanNumber}`);
+    } else {
+      logger.info(`✅ Market data recovered in scan #${scanStats.scanNumber}`);
+    }
+    
+    await telegramService.sendDataAvailabilityAlert(scanStats, !isOutage);
+  }
+
+  // Premium blowouts queued by the basis service while the scan ran
+  async sendBasisAlerts() {
+    for (const basis of basisService.drainAlerts()) {
+      try {
+        await telegramService.sendBasisAlert(basis);
+        logger.info(`📐 Basis alert sent for ${basis.symbol} (z ${basis.premiumZScore.toFixed(2)})`);
+      } catch (error) {
+        logger.error(`Failed to send basis alert for ${basis.symbol}: ${error.message}`);
+      }
+    }
+  }
+
   async analyzeToken(symbol) {
     try {
       // Get OHLCV data
@@ -151,17 +232,16 @@ class ScannerService {
       );
       
       if (!ohlcv || ohlcv.length < 60) {
-        return null;
+        return [];
       }
       
-      // Perform technical analysis
-      const analysis = await technicalAnalysis.analyzeToken(symbol, ohlcv);
+      // Perform technical analysis, one result per strategy signal
+      const analyses = await technicalAnalysis.analyzeToken(symbol, ohlcv);
       
-      if (analysis) {
-        logger.debug(`✅ Analysis completed for ${symbol}: ${analysis.signal?.direction || 'No signal'}`);
-      }
+      const summary = analyses.map(analysis => `${analysis.signal.direction} [${analysis.signal.strategy}]`).join(', ');
+      logger.debug(`✅ Analysis completed for ${symbol}: ${summary || 'No signal'}`);
       
-      return analysis;
+      return analyses;
       
     } catch (error) {
       logger.debug(`❌ Analysis failed for ${symbol}: ${error.message}`);
@@ -169,27 +249,51 @@ class ScannerService {
     }
   }
 
-  createBatches(array, batchSize) {
-    const batches = [];
-    for (let i = 0; i < array.length; i += batchSize) {
-      batches.push(array.slice(i, i + batchSize));
-    }
-    return batches;
+  getAdaptiveBatchSize() {
+    const remaining = requestScheduler.getRemainingBudget();
+    const affordable = Math.floor(remaining / Math.max(1, this.weightPerToken));
+    return Math.max(1, Math.min(config.scanning.maxBatchSize, affordable));
+  }
+
+  updateWeightPerToken(weightUsed, tokenCount) {
+    if (tokenCount === 0 || weightUsed === 0) return;
+    
+    // Smooth the measurement so one cached batch does not collapse the estimate
+    const measured = weightUsed / tokenCount;
+    this.weightPerToken = this.weightPerToken * 0.7 + measured * 0.3;
   }
 
   delay(ms) {
+    // Replayed responses need no rate limiting
+    if (cassette.isReplaying()) return Promise.resolve();
     return new Promise(resolve => setTimeout(resolve, ms));
   }
 
   resetDailyCounterIfNeeded() {
-    const currentDate = new Date().toDateString();
+    const currentDate = clock.date().toDateString();
     if (currentDate !== this.lastResetDate) {
       this.dailySignals = 0;
+      for (const counts of [...Object.values(this.strategySignals), ...Object.values(this.regimeSignals)]) {
+        counts.daily = 0;
+      }
       this.lastResetDate = currentDate;
       logger.info('📅 Daily signal counter reset');
     }
   }
 
+  // Signal counts per strategy and per market regime
+  recordSignal(signal) {
+    this.incrementCount(this.strategySignals, signal.strategy);
+    this.incrementCount(this.regimeSignals, signal.regime || 'UNCLASSIFIED');
+  }
+
+  incrementCount(counters, key) {
+    const counts = counters[key] || { total: 0, daily: 0 };
+    counts.total++;
+    counts.daily++;
+    counters[key] = counts;
+  }
+
   recordScanHistory(scanStats) {
     this.scanHistory.unshift(scanStats);
     
@@ -199,7 +303,7 @@ class ScannerService {
     }
   }
 
-  async sendDetailedScanSummary(tokensAnalyzed, signalsFound) {
+  async sendDetailedScanSummary(scanStats) {
     try {
       // Calculate recent performance
       const recentScans = this.scanHistory.slice(0, 10);
@@ -211,12 +315,7 @@ class ScannerService {
         ? recentScans.reduce((sum, scan) => sum + scan.duration, 0) / recentScans.length / 1000
         : 0;
       
-      await telegramService.sendScanSummary(
-        tokensAnalyzed, 
-        signalsFound, 
-        this.scanCount, 
-        this.dailySignals
-      );
+      await telegramService.sendScanSummary(scanStats, this.dailySignals);
       
       // Send performance metrics
       const performanceMessage = `
@@ -235,7 +334,7 @@ class ScannerService {
 🔧 *System Health:*
 • *Error Rate:* ${this.errorCount}/${this.maxErrors}
 • *Cache Status:* Active ✅
-• *Rate Limiting:* Active ✅
+• *Rate Limiting:* ${requestScheduler.getStatistics().usedWeight}/${requestScheduler.getBudget()} weight used ✅
 
 Next detailed summary in 10 scans.
 
@@ -290,7 +389,13 @@ Next detailed summary in 10 scans.
       avgSuccessRate: avgSuccessRate.toFixed(1),
       errorCount: this.errorCount,
       lastScan: this.scanHistory[0]?.timestamp || null,
-      recentScans: recentScans.length
+      lastScanStatus: this.scanHistory[0]?.status || null,
+      recentScans: recentScans.length,
+      recentNoSetups: recentScans.reduce((sum, scan) => sum + scan.noSetups, 0),
+      recentDataUnavailable: recentScans.reduce((sum, scan) => sum + scan.dataUnavailable, 0),
+      inDataOutage: this.inDataOutage,
+      strategies: { ...this.strategySignals },
+      regimes: { ...this.regimeSignals }
     };
   }
 
@@ -0,0 +1,357 @@
+const futuresIndicators = require('../futuresIndicators');
+
+// 1 is fully long, -1 fully short
+const directional = (score, details) => ({
+  long: Math.max(0, score),
+  short: Math.max(0, -score),
+  details
+});
+
+// Position against an anchored VWAP's σ bands: riding between +1σ and +2σ is the strongest trend
+// read, beyond 2σ the move is stretched and only half counts
+const vwapBands = (price, vwap, anchor) => {
+  const sigma = vwap.stdDev > 0 ? (price - vwap.value) / vwap.stdDev : 0;
+  const details = {
+    anchor,
+    value: vwap.value.toFixed(6),
+    difference: ((price - vwap.value) / vwap.value * 100).toFixed(3),
+    sigma: sigma.toFixed(2)
+  };
+
+  if (sigma > 2) return directional(0.5, { ...details, status: 'EXTENDED_ABOVE' });
+  if (sigma >= 1) return directional(1, { ...details, status: 'STRONG_ABOVE' });
+  if (sigma > 0.25) return directional(0.75, { ...details, status: 'ABOVE' });
+  if (sigma < -2) return directional(-0.5, { ...details, status: 'EXTENDED_BELOW' });
+  if (sigma <= -1) return directional(-1, { ...details, status: 'STRONG_BELOW' });
+  if (sigma < -0.25) return directional(-0.75, { ...details, status: 'BELOW' });
+  return directional(0, { ...details, status: 'NEAR' });
+};
+
+// Built-in component types, keyed by the `type` used in config.scoring.components.
+// Each receives ({ price, indicators }, params), params being the component's config section
+// merged with its own params.
+const components = {
+  ema({ indicators }) {
+    const { ema8, ema21, ema50 } = indicators.trend;
+    if (!ema8 || !ema21 || !ema50) return null;
+
+    const alignment = futuresIndicators.getEMAAlignment(indicators.trend);
+    const scores = { STRONG_BULL: 1, BULL: 2 / 3, STRONG_BEAR: -1, BEAR: -2 / 3 };
+
+    return directional(scores[alignment] || 0, { alignment });
+  },
+
+  supertrend({ price, indicators }) {
+    const st = indicators.trend.supertrend;
+    if (!st) return null;
+
+    const details = {
+      trend: st.trend,
+      value: st.value,
+      distance: ((price - st.value) / price * 100).toFixed(2)
+    };
+
+    if (st.trend === 1 && price > st.value * 1.001) return directional(1, details);
+    if (st.trend === -1 && price < st.value * 0.999) return directional(-1, details);
+    return directional(0, details);
+  },
+
+  marketStructure({ indicators }, params) {
+    const ms = indicators.trend.marketStructure;
+    if (!ms) return null;
+
+    if (ms.strength > params.minStrength) {
+      return directional(ms.trend === 'BULLISH' ? 1 : -1, ms);
+    }
+    return directional(0, ms);
+  },
+
+  ichimoku({ indicators }, params) {
+    const ichimoku = indicators.trend.ichimoku;
+    if (!ichimoku) return null;
+
+    const sign = bias => (bias === 'BULLISH' ? 1 : bias === 'BEARISH' ? -1 : 0);
+
+    // Price against the cloud carries most weight, halved when the cloud is too thin to hold
+    const positionScore = { ABOVE: 0.4, BELOW: -0.4, INSIDE: 0 }[ichimoku.position];
+    const cloudScore = ichimoku.cloudThickness < params.thinCloud ? positionScore / 2 : positionScore;
+
+    // A fresh TK cross outweighs a standing Tenkan/Kijun relation
+    const tkScore = ichimoku.tkCross
+      ? 0.25 * sign(ichimoku.tkCross.direction)
+      : 0.15 * Math.sign(ichimoku.tenkanSen - ichimoku.kijunSen);
+
+    const score = cloudScore + tkScore + 0.15 * sign(ichimoku.futureCloudColor) + 0.2 * sign(ichimoku.chikou);
+
+    return directional(score, {
+      position: ichimoku.position,
+      thickness: (ichimoku.cloudThickness * 100).toFixed(2),
+      futureCloud: ichimoku.futureCloudColor,
+      tkCross: ichimoku.tkCross,
+      tkRelation: ichimoku.tenkanSen >= ichimoku.kijunSen ? 'BULLISH' : 'BEARISH',
+      chikou: ichimoku.chikou
+    });
+  },
+
+  parabolicSAR({ price, indicators }, params) {
+    const sar = indicators.trend.parabolicSAR;
+    if (!sar) return null;
+
+    const details = {
+      trend: sar.trend,
+      value: sar.value,
+      distance: ((price - sar.value) / price * 100).toFixed(2),
+      flip: sar.lastFlip && sar.lastFlip.candlesAgo < params.flipLookback ? sar.lastFlip : null
+    };
+
+    // A fresh flip is early reversal evidence and scores fully, an established trend only partly
+    if (details.flip) return directional(details.flip.direction === 'BULLISH' ? 1 : -1, details);
+    return directional(sar.trend * 0.6, details);
+  },
+
+  mfi({ indicators }, params) {
+    const mfi = indicators.momentum.mfi;
+    if (!mfi) return null;
+
+    const details = { value: mfi.toFixed(2) };
+
+    if (mfi < params.oversold) return directional(1, { ...details, status: 'OVERSOLD' });
+    if (mfi > params.overbought) return directional(-1, { ...details, status: 'OVERBOUGHT' });
+    if (mfi < 40) return directional(0.5, { ...details, status: 'BEARISH' });
+    if (mfi > 60) return directional(-0.5, { ...details, status: 'BULLISH' });
+    return directional(0, { ...details, status: 'NEUTRAL' });
+  },
+
+  williamsR({ indicators }, params) {
+    const wr = indicators.momentum.williamsR;
+    if (wr === null || wr === undefined) return null;
+
+    const details = { value: wr.toFixed(2) };
+
+    if (wr < params.oversold) return directional(1, { ...details, status: 'OVERSOLD' });
+    if (wr > params.overbought) return directional(-1, { ...details, status: 'OVERBOUGHT' });
+    return directional(0, { ...details, status: 'NEUTRAL' });
+  },
+
+  cci({ indicators }, params) {
+    const cci = indicators.momentum.cci;
+    if (cci === null || cci === undefined) return null;
+
+    const details = { value: cci.toFixed(2) };
+
+    if (cci < params.oversold) return directional(1, { ...details, status: 'OVERSOLD' });
+    if (cci > params.overbought) return directional(-1, { ...details, status: 'OVERBOUGHT' });
+    return directional(0, { ...details, status: 'NEUTRAL' });
+  },
+
+  // Absent unless a divergence was found, so quiet charts keep their score
+  divergence({ indicators }, params) {
+    const divergences = indicators.momentum.divergences;
+    if (!divergences || divergences.length === 0) return null;
+
+    // Fresh regular divergences count most; agreeing oscillators add up
+    const score = divergences.reduce((sum, divergence) => {
+      const sign = divergence.direction === 'BULLISH' ? 1 : -1;
+      const typeFactor = divergence.type === 'HIDDEN' ? params.hiddenFactor : 1;
+      const freshness = 1 - divergence.age / (params.maxAge + 1);
+      return sum + sign * divergence.strength * typeFactor * freshness;
+    }, 0);
+
+    return directional(Math.max(-1, Math.min(1, score)), { divergences });
+  },
+
+  // Absent unless a directional pattern completed recently; older candles count less
+  candlestick({ indicators }, params) {
+    const patterns = (indicators.patterns || []).filter(pattern => pattern.direction !== 'NEUTRAL');
+    if (patterns.length === 0) return null;
+
+    const score = patterns.reduce((sum, pattern) => {
+      const sign = pattern.direction === 'BULLISH' ? 1 : -1;
+      return sum + sign * pattern.reliability * (1 - pattern.candlesAgo / params.lookback);
+    }, 0);
+
+    return directional(Math.max(-1, Math.min(1, score)), { patterns: indicators.patterns });
+  },
+
+  vwap({ price, indicators }, params) {
+    const anchored = params.scoreAnchor && indicators.volume.vwaps?.[params.scoreAnchor];
+    if (anchored) return vwapBands(price, anchored, params.scoreAnchor);
+
+    const vwap = indicators.volume.vwap;
+    if (!vwap) return null;
+
+    const diff = ((price - vwap) / vwap) * 100;
+    const details = {
+      value: vwap.toFixed(6),
+      difference: diff.toFixed(3)
+    };
+
+    if (diff > 0.3) return directional(1, { ...details, status: 'STRONG_ABOVE' });
+    if (diff > 0.1) return directional(0.75, { ...details, status: 'ABOVE' });
+    if (diff < -0.3) return directional(-1, { ...details, status: 'STRONG_BELOW' });
+    if (diff < -0.1) return directional(-0.75, { ...details, status: 'BELOW' });
+    return directional(0, { ...details, status: 'NEAR' });
+  },
+
+  // Acceptance outside the value area sets the bias, inside it only the side of the POC leans
+  volumeProfile({ price, indicators }) {
+    const profile = indicators.volume.volumeProfiles?.[0];
+    if (!profile) return null;
+
+    const details = {
+      lookback: profile.lookback,
+      poc: profile.poc,
+      vah: profile.vah,
+      val: profile.val
+    };
+
+    if (price > profile.vah) return directional(1, { ...details, location: 'ABOVE_VALUE' });
+    if (price < profile.val) return directional(-1, { ...details, location: 'BELOW_VALUE' });
+    return directional(price >= profile.poc ? 0.3 : -0.3, { ...details, location: 'INSIDE_VALUE' });
+  },
+
+  obv({ indicators }) {
+    const obv = indicators.volume.obv;
+    if (!obv) return null;
+
+    return directional(obv > 0 ? 1 : -1, {
+      value: obv > 0 ? 'POSITIVE' : 'NEGATIVE',
+      trend: obv > 0 ? 'BULLISH' : 'BEARISH'
+    });
+  },
+
+  fundingRate({ indicators }, params) {
+    const fr = indicators.futures.fundingRate;
+    if (!fr) return null;
+
+    const details = {
+      value: (fr * 100).toFixed(4),
+      annualized: (fr * 100 * 365).toFixed(2)
+    };
+    const extreme = params.extremeThreshold;
+
+    // Crowded longs pay positive funding, so it is read contrarian
+    if (fr > extreme) return directional(-1, { ...details, bias: 'BEARISH' });
+    if (fr < -extreme) return directional(1, { ...details, bias: 'BULLISH' });
+    if (fr > 0.005) return directional(-0.5, { ...details, bias: 'SLIGHTLY_BEARISH' });
+    if (fr < -0.005) return directional(0.5, { ...details, bias: 'SLIGHTLY_BULLISH' });
+    return directional(0, { ...details, bias: 'NEUTRAL' });
+  },
+
+  liquidations({ indicators }) {
+    const liq = indicators.futures.liquidationData;
+    if (!liq || liq.liquidationRatio === undefined) return null;
+
+    const details = {
+      ratio: liq.liquidationRatio.toFixed(3),
+      totalValue: liq.totalValue ? (liq.totalValue / 1000000).toFixed(2) + 'M' : 'N/A',
+      windowMinutes: liq.windowMinutes
+    };
+
+    // A window the data does not fully cover cannot carry a bias
+    if (liq.complete === false) return directional(0, { ...details, bias: 'NEUTRAL' });
+    if (liq.liquidationRatio > 0.75) return directional(1, { ...details, bias: 'BULLISH' });
+    if (liq.liquidationRatio < 0.25) return directional(-1, { ...details, bias: 'BEARISH' });
+    return directional(0, { ...details, bias: 'NEUTRAL' });
+  },
+
+  openInterest({ indicators }) {
+    const oiDelta = indicators.futures.openInterestDelta;
+    if (!oiDelta || oiDelta.stale || oiDelta.primary.oiChange === null) return null;
+
+    const details = {
+      quadrant: oiDelta.quadrant,
+      windows: oiDelta.windows.map(window => ({
+        minutes: window.minutes,
+        oiChange: window.oiChange !== null ? (window.oiChange * 100).toFixed(2) : null,
+        priceChange: window.priceChange !== null ? (window.priceChange * 100).toFixed(2) : null
+      }))
+    };
+
+    // Fresh positioning confirms the move, covering/liquidation only half-confirms it
+    const scores = { NEW_LONGS: 1, SHORT_COVERING: 0.5, NEW_SHORTS: -1, LONG_LIQUIDATION: -0.5 };
+    return directional(scores[oiDelta.quadrant] || 0, details);
+  },
+
+  // params.metric: globalRatio | topTraderRatio | takerRatio; params.contrarian fades the reading
+  sentimentRatio({ indicators }, params) {
+    const stats = indicators.futures.sentiment?.[params.metric];
+    if (!stats) return null;
+
+    // Full points beyond the threshold, half beyond half of it
+    const threshold = params.zScoreThreshold;
+    const magnitude = Math.abs(stats.zScore);
+    const strength = magnitude >= threshold ? 1 : magnitude >= threshold / 2 ? 0.5 : 0;
+    const bullish = params.contrarian ? stats.zScore < 0 : stats.zScore > 0;
+
+    let bias = 'NEUTRAL';
+    if (strength > 0) bias = bullish ? 'BULLISH' : 'BEARISH';
+
+    return directional((bullish ? 1 : -1) * strength, {
+      value: stats.latest.toFixed(2),
+      zScore: stats.zScore.toFixed(2),
+      bias
+    });
+  },
+
+  basis({ indicators }, params) {
+    const basis = indicators.basis;
+    if (!basis) return null;
+
+    const details = {
+      premium: (basis.premium * 100).toFixed(4),
+      annualized: (basis.premiumAnnualized * 100).toFixed(2),
+      zScore: basis.premiumZScore !== null ? basis.premiumZScore.toFixed(2) : null,
+      spotBasis: basis.spotBasis !== null ? (basis.spotBasis * 100).toFixed(4) : null,
+      status: basis.status
+    };
+
+    // A stretched premium means crowded longs paying up, a deep discount crowded shorts
+    if (basis.status === 'PREMIUM_BLOWOUT') return directional(-1, details);
+    if (basis.status === 'DISCOUNT_BLOWOUT') return directional(1, details);
+    if (basis.premiumZScore !== null && Math.abs(basis.premiumZScore) >= params.blowoutStdDev / 2) {
+      return directional(basis.premiumZScore > 0 ? -0.5 : 0.5, details);
+    }
+    return directional(0, details);
+  },
+
+  // Book imbalance favours the heavier side
+  bookImbalance({ indicators }, params) {
+    const liquidity = indicators.liquidity;
+    if (!liquidity) return null;
+
+    const details = { value: liquidity.imbalance.toFixed(3) };
+
+    if (liquidity.imbalance > params.imbalanceThreshold) {
+      return directional(1, { ...details, bias: 'BID_HEAVY' });
+    }
+    if (liquidity.imbalance < -params.imbalanceThreshold) {
+      return directional(-1, { ...details, bias: 'ASK_HEAVY' });
+    }
+    return directional(0, { ...details, bias: 'BALANCED' });
+  },
+
+  // Book quality supports either direction, thin books earn nothing
+  bookQuality({ indicators }, params) {
+    const liquidity = indicators.liquidity;
+    if (!liquidity) return null;
+
+    const minSideDepth = Math.min(liquidity.depth.bid1, liquidity.depth.ask1);
+    const tightSpread = liquidity.spreadPercent <= params.maxSpreadPercent;
+    const deepBook = minSideDepth >= params.minDepthUSDT;
+    const quality = tightSpread && deepBook ? 'DEEP' : (tightSpread || deepBook ? 'FAIR' : 'THIN');
+    const points = { DEEP: 1, FAIR: 0.5, THIN: 0 }[quality];
+
+    return {
+      long: points,
+      short: points,
+      details: {
+        quality,
+        spread: liquidity.spreadPercent.toFixed(4),
+        depth1: minSideDepth
+      }
+    };
+  }
+};
+
+module.exports = components;
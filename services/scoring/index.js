@@ -0,0 +1,10 @@
+const ScoringEngine = require('./scoringEngine');
+const components = require('./components');
+
+const scoringEngine = new ScoringEngine();
+
+for (const [type, scorer] of Object.entries(components)) {
+  scoringEngine.register(type, scorer);
+}
+
+module.exports = scoringEngine;
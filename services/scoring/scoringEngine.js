@@ -0,0 +1,126 @@
+const config = require('../../config/config');
+const logger = require('../../utils/logger');
+
+// Scores a signal from the components declared in config.scoring.components.
+// A scorer returns { long, short, details } with long/short as 0..1 of the component
+// weight, or null when its data is missing.
+class ScoringEngine {
+  constructor() {
+    this.scorers = new Map();
+  }
+
+  register(type, scorer) {
+    this.scorers.set(type, scorer);
+  }
+
+  getComponents() {
+    return config.scoring.components.filter(component => component.enabled !== false);
+  }
+
+  // The config section a component reads its settings and weight from, e.g. 'indicators.ema'
+  resolveSource(source) {
+    if (!source) return {};
+
+    return source.split('.').reduce((section, key) => (section ? section[key] : undefined), config) || {};
+  }
+
+  getWeight(component, settings) {
+    if (component.weight !== undefined) return component.weight;
+
+    return (settings.weight || 0) * (component.share !== undefined ? component.share : 1);
+  }
+
+  // Regime profiles scale a component by its own name first, then by its category
+  getMultiplier(component, weights) {
+    return weights[component.name] ?? weights[component.category] ?? 1;
+  }
+
+  evaluate(context, weights = {}) {
+    const analysis = {};
+    const results = [];
+    let longScore = 0;
+    let shortScore = 0;
+    let totalWeight = 0;
+
+    for (const component of this.getComponents()) {
+      const type = component.type || component.name;
+      const scorer = this.scorers.get(type);
+
+      if (!scorer) {
+        logger.warn(`Unknown scoring component type "${type}" for ${component.name}`);
+        continue;
+      }
+
+      const settings = this.resolveSource(component.source);
+      const weight = this.getWeight(component, settings) * this.getMultiplier(component, weights);
+
+      let result;
+      try {
+        result = scorer(context, { ...settings, ...(component.params || {}) });
+      } catch (error) {
+        logger.error(`Scoring component ${component.name} failed: ${error.message}`);
+        result = null;
+      }
+
+      // Optional components drop out of the total without data, the others count as no score
+      if (!result && component.optional) continue;
+
+      if (result) {
+        if (!analysis[component.category]) {
+          analysis[component.category] = {};
+        }
+        analysis[component.category][component.name] = result.details;
+      }
+
+      // Zero-weight components only contribute their details
+      if (weight <= 0) continue;
+
+      const long = result ? weight * Math.min(1, Math.max(0, result.long || 0)) : 0;
+      const short = result ? weight * Math.min(1, Math.max(0, result.short || 0)) : 0;
+
+      longScore += long;
+      shortScore += short;
+      totalWeight += weight;
+      results.push({ name: component.name, category: component.category, weight, long, short });
+    }
+
+    return {
+      longScore,
+      shortScore,
+      totalWeight,
+      longStrength: totalWeight > 0 ? (longScore / totalWeight) * 100 : 0,
+      shortStrength: totalWeight > 0 ? (shortScore / totalWeight) * 100 : 0,
+      analysis,
+      breakdown: this.buildBreakdown(results, totalWeight)
+    };
+  }
+
+  // Each component's and category's share of the total weight and of the final strengths,
+  // all in percentage points of the same 0-100 scale as the signal strength
+  buildBreakdown(results, totalWeight) {
+    const toPercent = value => totalWeight > 0 ? (value / totalWeight) * 100 : 0;
+    const categories = {};
+
+    const components = results.map(result => {
+      const entry = {
+        name: result.name,
+        category: result.category,
+        share: toPercent(result.weight),
+        long: toPercent(result.long),
+        short: toPercent(result.short)
+      };
+
+      const category = categories[result.category] || { share: 0, long: 0, short: 0 };
+      category.share += entry.share;
+      category.long += entry.long;
+      category.short += entry.short;
+      categories[result.category] = category;
+
+      return entry;
+    });
+
+    return { components, categories };
+  }
+}
+
+module.exports = ScoringEngine;
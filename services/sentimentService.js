@@ -0,0 +1,98 @@
+const exchangeService = require('./exchangeService');
+const fundingRateService = require('./fundingRateService');
+const logger = require('../utils/logger');
+const config = require('../config/config');
+const clock = require('../utils/clock');
+const { classifyError, Unsupported } = require('../utils/errors');
+
+// Positioning and taker flow, each scored against its own recent history
+class SentimentService {
+  constructor() {
+    this.cache = new Map();
+    this.cacheExpiry = 5 * 60 * 1000; // 5 minutes
+  }
+
+  isValidCacheEntry(entry) {
+    return entry && (clock.now() - entry.timestamp) < this.cacheExpiry;
+  }
+
+  async getSentiment(symbol) {
+    try {
+      if (!config.features.sentimentAnalysis) return null;
+
+      const cached = this.cache.get(symbol);
+      if (this.isValidCacheEntry(cached)) {
+        return cached.data;
+      }
+
+      const { period, historyLimit } = config.futures.sentiment;
+      const provider = fundingRateService.getProvider();
+      const market = exchangeService.getMarket(symbol);
+
+      // Exchanges publish different subsets, so each series is optional
+      const results = await Promise.allSettled([
+        provider.fetchLongShortRatio(market, period, historyLimit),
+        provider.fetchTopTraderLongShortRatio(market, period, historyLimit),
+        provider.fetchTakerVolume(market, period, historyLimit)
+      ]);
+
+      const names = ['globalRatio', 'topTraderRatio', 'takerRatio'];
+      const data = {
+        symbol,
+        unavailable: [],
+        timestamp: clock.now()
+      };
+
+      results.forEach((result, index) => {
+        const stats = result.status === 'fulfilled' ? this.summarize(result.value) : null;
+
+        if (stats) {
+          data[names[index]] = stats;
+        } else {
+          data[names[index]] = null;
+          data.unavailable.push(names[index]);
+        }
+      });
+
+      if (data.unavailable.length === names.length) {
+        const rejected = results.find(result => result.status === 'rejected');
+        throw rejected ? rejected.reason : new Error('No sentiment history returned');
+      }
+
+      this.cache.set(symbol, { data, timestamp: clock.now() });
+      return data;
+
+    } catch (error) {
+      if (!(error instanceof Unsupported)) {
+        logger.error(`Error fetching sentiment for ${symbol}: ${error.message}`);
+      }
+      throw classifyError(error, 'getSentiment');
+    }
+  }
+
+  // Latest ratio and its z-score against the preceding points
+  summarize(series) {
+    const values = (series || []).map(point => point.ratio).filter(value => value > 0);
+    if (values.length < 10) return null;
+
+    const latest = values[values.length - 1];
+    const history = values.slice(0, -1);
+    const mean = history.reduce((sum, value) => sum + value, 0) / history.length;
+    const variance = history.reduce((sum, value) => sum + Math.pow(value - mean, 2), 0) / history.length;
+    const stdDev = Math.sqrt(variance);
+
+    return {
+      latest,
+      mean,
+      stdDev,
+      zScore: stdDev > 0 ? (latest - mean) / stdDev : 0,
+      points: values.length
+    };
+  }
+
+  clearCache() {
+    this.cache.clear();
+  }
+}
+
+module.exports = new SentimentService();
@@ -0,0 +1,32 @@
+const config = require('../../config/config');
+
+// A strategy turns the scan context for one symbol into a signal or null (no setup).
+// Context: { symbol, price, ohlcv, indicators, scoring, thresholds } where scoring is the
+// scoring engine's evaluation of the indicators and thresholds the confidence levels for the
+// symbol's market regime.
+class BaseStrategy {
+  constructor(options = {}) {
+    this.name = 'base';
+    this.options = options;
+    this.confirmTimeframes = options.confirmTimeframes !== false;
+  }
+
+  evaluate(context) {
+    throw new Error(`${this.name} strategy does not implement evaluate()`);
+  }
+
+  // Applies the signal thresholds to a 0-100 strength and tags the signal with the strategy
+  createSignal(direction, strength, fields = {}, thresholds = config.signal) {
+    if (strength < thresholds.minConfidence) return null;
+
+    return {
+      strategy: this.name,
+      direction,
+      strength,
+      confidence: strength >= thresholds.highConfidence ? 'HIGH' : 'MEDIUM',
+      ...fields
+    };
+  }
+}
+
+module.exports = BaseStrategy;
@@ -0,0 +1,59 @@
+const BaseStrategy = require('./baseStrategy');
+
+// Close beyond the recent range on expanding volume
+class BreakoutStrategy extends BaseStrategy {
+  constructor(options = {}) {
+    super(options);
+    this.name = 'breakout';
+  }
+
+  evaluate({ price, ohlcv, indicators, scoring, thresholds }) {
+    const { lookback, volumeMultiplier, minBreakATR } = this.options;
+    const atr = indicators.risk.atr;
+
+    if (ohlcv.length < lookback + 1 || !atr) return null;
+
+    // The range excludes the breakout candle itself
+    const range = ohlcv.slice(-lookback - 1, -1);
+    const rangeHigh = Math.max(...range.map(candle => candle.high));
+    const rangeLow = Math.min(...range.map(candle => candle.low));
+    const avgVolume = range.reduce((sum, candle) => sum + candle.volume, 0) / range.length;
+    const volumeRatio = avgVolume > 0 ? ohlcv[ohlcv.length - 1].volume / avgVolume : 0;
+
+    let direction = null;
+    let level = null;
+    if (price > rangeHigh) {
+      direction = 'LONG';
+      level = rangeHigh;
+    } else if (price < rangeLow) {
+      direction = 'SHORT';
+      level = rangeLow;
+    }
+
+    if (!direction) return null;
+
+    const breakATR = Math.abs(price - level) / atr;
+    if (breakATR < minBreakATR || volumeRatio < volumeMultiplier) return null;
+
+    // Volume expansion and a clean break carry the setup, Supertrend agreement completes it
+    const volumeScore = Math.min(1, volumeRatio / (volumeMultiplier * 2));
+    const breakScore = Math.min(1, breakATR);
+    const supertrend = indicators.trend.supertrend;
+    const trendAgrees = supertrend && supertrend.trend === (direction === 'LONG' ? 1 : -1);
+    const strength = 40 + 25 * volumeScore + 15 * breakScore + (trendAgrees ? 20 : 0);
+
+    const reasons = [
+      `Closed ${direction === 'LONG' ? 'above' : 'below'} ${lookback}-candle ${direction === 'LONG' ? 'high' : 'low'} $${parseFloat(level.toPrecision(6))}`,
+      `Volume ${volumeRatio.toFixed(1)}x average`
+    ];
+    if (trendAgrees) reasons.push('Supertrend agrees');
+
+    return this.createSignal(direction, strength, {
+      analysis: scoring.analysis,
+      reasons,
+      setup: { level, breakATR, volumeRatio }
+    }, thresholds);
+  }
+}
+
+module.exports = BreakoutStrategy;
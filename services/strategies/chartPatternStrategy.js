@@ -0,0 +1,46 @@
+const BaseStrategy = require('./baseStrategy');
+
+// Confirmed breakout of a chart pattern, aiming for its measured move
+class ChartPatternStrategy extends BaseStrategy {
+  constructor(options = {}) {
+    super(options);
+    this.name = 'chartPattern';
+  }
+
+  evaluate({ price, indicators, scoring, thresholds }) {
+    const { volumeMultiplier } = this.options;
+
+    // Price already past the measured move has nothing left to offer
+    const candidates = (indicators.chartPatterns || [])
+      .filter(pattern => pattern.breakout)
+      .filter(({ breakout }) => (breakout.direction === 'LONG' ? price < breakout.target : price > breakout.target))
+      .sort((a, b) => b.reliability - a.reliability);
+
+    if (candidates.length === 0) return null;
+
+    const pattern = candidates[0];
+    const { direction, level, target, volumeRatio } = pattern.breakout;
+
+    // Pattern reliability carries the setup, volume and Supertrend agreement complete it
+    const volumeScore = Math.min(1, volumeRatio / (volumeMultiplier * 2));
+    const supertrend = indicators.trend.supertrend;
+    const trendAgrees = supertrend && supertrend.trend === (direction === 'LONG' ? 1 : -1);
+    const strength = 40 + 30 * pattern.reliability + 15 * volumeScore + (trendAgrees ? 15 : 0);
+
+    const label = pattern.name.toLowerCase().replace(/_/g, ' ');
+    const reasons = [
+      `Broke ${direction === 'LONG' ? 'above' : 'below'} ${label} at $${parseFloat(level.toPrecision(6))}`,
+      `Measured move $${parseFloat(target.toPrecision(6))}`,
+      `Volume ${volumeRatio.toFixed(1)}x average`
+    ];
+    if (trendAgrees) reasons.push('Supertrend agrees');
+
+    return this.createSignal(direction, strength, {
+      analysis: scoring.analysis,
+      reasons,
+      setup: { pattern: pattern.name, level, target, volumeRatio }
+    }, thresholds);
+  }
+}
+
+module.exports = ChartPatternStrategy;
@@ -0,0 +1,48 @@
+const BaseStrategy = require('./baseStrategy');
+const config = require('../../config/config');
+
+// Fades extreme funding once price starts turning against the crowded side
+class FundingContrarianStrategy extends BaseStrategy {
+  constructor(options = {}) {
+    super(options);
+    this.name = 'fundingContrarian';
+  }
+
+  evaluate({ price, indicators, scoring, thresholds }) {
+    const fundingRate = indicators.futures.fundingRate;
+    const extreme = config.futures.fundingRate.extremeThreshold;
+
+    if (!fundingRate || Math.abs(fundingRate) < extreme) return null;
+
+    const direction = fundingRate > 0 ? 'SHORT' : 'LONG';
+    const sign = direction === 'LONG' ? 1 : -1;
+
+    // Price back across the fast EMA is the trigger, without it the crowd may still be right
+    const ema8 = indicators.trend.ema8;
+    if (!ema8 || sign * (price - ema8) <= 0) return null;
+
+    const reasons = [
+      `Funding ${(fundingRate * 100).toFixed(4)}% (crowded ${fundingRate > 0 ? 'longs' : 'shorts'})`,
+      `Price back ${direction === 'LONG' ? 'above' : 'below'} EMA${config.indicators.ema.fast}`
+    ];
+
+    const fundingScore = Math.min(1, (Math.abs(fundingRate) / extreme - 1) / (this.options.maxFundingMultiple - 1));
+
+    const globalRatio = indicators.futures.sentiment?.globalRatio;
+    const crowded = globalRatio && -sign * globalRatio.zScore >= config.futures.sentiment.zScoreThreshold / 2;
+    if (crowded) reasons.push(`L/S ratio z ${globalRatio.zScore.toFixed(2)}`);
+
+    const blowout = indicators.basis && indicators.basis.status === (direction === 'LONG' ? 'DISCOUNT_BLOWOUT' : 'PREMIUM_BLOWOUT');
+    if (blowout) reasons.push(indicators.basis.status.replace('_', ' ').toLowerCase());
+
+    const strength = 50 + 20 * fundingScore + (crowded ? 15 : 0) + (blowout ? 15 : 0);
+
+    return this.createSignal(direction, strength, {
+      analysis: scoring.analysis,
+      reasons,
+      setup: { fundingRate }
+    }, thresholds);
+  }
+}
+
+module.exports = FundingContrarianStrategy;
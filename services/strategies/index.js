@@ -0,0 +1,42 @@
+const TrendConfluenceStrategy = require('./trendConfluenceStrategy');
+const BreakoutStrategy = require('./breakoutStrategy');
+const MeanReversionStrategy = require('./meanReversionStrategy');
+const FundingContrarianStrategy = require('./fundingContrarianStrategy');
+const ChartPatternStrategy = require('./chartPatternStrategy');
+const config = require('../../config/config');
+const logger = require('../../utils/logger');
+
+const strategies = {
+  trendConfluence: TrendConfluenceStrategy,
+  breakout: BreakoutStrategy,
+  meanReversion: MeanReversionStrategy,
+  fundingContrarian: FundingContrarianStrategy,
+  chartPattern: ChartPatternStrategy
+};
+
+function createStrategy(name, options = config.strategies[name] || {}) {
+  const StrategyClass = strategies[name];
+
+  if (!StrategyClass) {
+    throw new Error(`No strategy registered as ${name}`);
+  }
+
+  return new StrategyClass(options);
+}
+
+// Strategies named in config.strategies.enabled, in that order
+function getEnabledStrategies() {
+  return config.strategies.enabled
+    .filter(name => {
+      if (strategies[name]) return true;
+      logger.warn(`Unknown strategy "${name}" in config, skipping`);
+      return false;
+    })
+    .map(name => createStrategy(name));
+}
+
+module.exports = {
+  createStrategy,
+  getEnabledStrategies,
+  strategies
+};
@@ -0,0 +1,63 @@
+const BaseStrategy = require('./baseStrategy');
+const config = require('../../config/config');
+
+// Fades a stretch beyond the Bollinger band once the oscillators are at an extreme
+class MeanReversionStrategy extends BaseStrategy {
+  constructor(options = {}) {
+    super(options);
+    this.name = 'meanReversion';
+  }
+
+  evaluate({ price, ohlcv, indicators, scoring, thresholds }) {
+    const { bandPeriod, bandStdDev, maxTrendStrength } = this.options;
+
+    if (ohlcv.length < bandPeriod) return null;
+
+    const closes = ohlcv.slice(-bandPeriod).map(candle => candle.close);
+    const mean = closes.reduce((sum, close) => sum + close, 0) / closes.length;
+    const stdDev = Math.sqrt(closes.reduce((sum, close) => sum + Math.pow(close - mean, 2), 0) / closes.length);
+
+    if (stdDev === 0) return null;
+
+    const zScore = (price - mean) / stdDev;
+    if (Math.abs(zScore) < bandStdDev) return null;
+
+    const direction = zScore < 0 ? 'LONG' : 'SHORT';
+
+    // Never fade a strong structural trend
+    const ms = indicators.trend.marketStructure;
+    const against = direction === 'LONG' ? 'BEARISH' : 'BULLISH';
+    if (ms && ms.trend === against && ms.strength > maxTrendStrength) return null;
+
+    const { mfi, williamsR, cci } = indicators.momentum;
+    const { indicators: levels } = config;
+    const stretched = direction === 'LONG'
+      ? [
+        mfi < levels.mfi.oversold && 'MFI oversold',
+        williamsR < levels.williamsR.oversold && 'Williams %R oversold',
+        cci < levels.cci.oversold && 'CCI oversold'
+      ]
+      : [
+        mfi > levels.mfi.overbought && 'MFI overbought',
+        williamsR > levels.williamsR.overbought && 'Williams %R overbought',
+        cci > levels.cci.overbought && 'CCI overbought'
+      ];
+    const confirmations = stretched.filter(Boolean);
+
+    if (confirmations.length === 0) return null;
+
+    const stretchScore = Math.min(1, Math.abs(zScore) - bandStdDev);
+    const strength = 40 + 20 * stretchScore + 40 * (confirmations.length / 3);
+
+    return this.createSignal(direction, strength, {
+      analysis: scoring.analysis,
+      reasons: [
+        `Close ${Math.abs(zScore).toFixed(1)}σ ${direction === 'LONG' ? 'below' : 'above'} ${bandPeriod}-period mean`,
+        ...confirmations
+      ],
+      setup: { mean, zScore }
+    }, thresholds);
+  }
+}
+
+module.exports = MeanReversionStrategy;
@@ -0,0 +1,18 @@
+const BaseStrategy = require('./baseStrategy');
+
+// Trend-following confluence of every scoring component
+class TrendConfluenceStrategy extends BaseStrategy {
+  constructor(options = {}) {
+    super(options);
+    this.name = 'trendConfluence';
+  }
+
+  evaluate({ scoring, thresholds }) {
+    const { longStrength, shortStrength, analysis, breakdown } = scoring;
+
+    return this.createSignal('LONG', longStrength, { analysis, breakdown }, thresholds) ||
+      this.createSignal('SHORT', shortStrength, { analysis, breakdown }, thresholds);
+  }
+}
+
+module.exports = TrendConfluenceStrategy;
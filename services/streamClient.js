@@ -0,0 +1,122 @@
+const EventEmitter = require('events');
+const WebSocket = require('ws');
+const config = require('../config/config');
+const logger = require('../utils/logger');
+
+// Reconnecting WebSocket connection shared by the market data streams.
+// Emits 'connected', 'disconnected' and 'message' (parsed JSON).
+class StreamClient extends EventEmitter {
+  constructor(name, url, options = {}) {
+    super();
+    this.name = name;
+    this.url = url;
+    this.pingMessage = options.pingMessage || null;
+    this.socket = null;
+    this.isRunning = false;
+    this.isConnected = false;
+    this.reconnectAttempts = 0;
+    this.reconnectTimer = null;
+    this.pingTimer = null;
+  }
+
+  start() {
+    if (this.isRunning) return;
+
+    this.isRunning = true;
+    this.connect();
+  }
+
+  stop() {
+    this.isRunning = false;
+    clearTimeout(this.reconnectTimer);
+    clearInterval(this.pingTimer);
+    this.reconnectTimer = null;
+    this.pingTimer = null;
+
+    if (this.socket) {
+      this.socket.removeAllListeners();
+      this.socket.on('error', () => {});
+      this.socket.terminate();
+      this.socket = null;
+    }
+
+    this.isConnected = false;
+    logger.info(`📡 ${this.name} stopped`);
+  }
+
+  connect() {
+    logger.info(`📡 Connecting to ${this.name.toLowerCase()} ${this.url}`);
+
+    const socket = new WebSocket(this.url);
+    this.socket = socket;
+
+    socket.on('open', () => {
+      this.isConnected = true;
+      this.reconnectAttempts = 0;
+      this.startPing();
+      this.emit('connected');
+    });
+
+    socket.on('message', (raw) => this.handleMessage(raw));
+
+    socket.on('error', (error) => {
+      logger.error(`${this.name} error: ${error.message}`);
+    });
+
+    socket.on('close', () => {
+      this.isConnected = false;
+      clearInterval(this.pingTimer);
+      this.pingTimer = null;
+      this.emit('disconnected');
+
+      if (this.isRunning) {
+        this.scheduleReconnect();
+      }
+    });
+  }
+
+  scheduleReconnect() {
+    const delay = Math.min(
+      config.streaming.reconnectDelayMs * Math.pow(2, this.reconnectAttempts),
+      config.streaming.maxReconnectDelayMs
+    );
+    this.reconnectAttempts++;
+
+    logger.warn(`📡 ${this.name} disconnected, reconnecting in ${delay / 1000}s (attempt ${this.reconnectAttempts})`);
+
+    this.reconnectTimer = setTimeout(() => {
+      this.reconnectTimer = null;
+      if (this.isRunning) {
+        this.connect();
+      }
+    }, delay);
+  }
+
+  startPing() {
+    if (!this.pingMessage) return;
+
+    clearInterval(this.pingTimer);
+    this.pingTimer = setInterval(() => this.send(this.pingMessage), config.streaming.pingIntervalMs);
+  }
+
+  send(message) {
+    if (!this.socket || this.socket.readyState !== WebSocket.OPEN) return false;
+
+    this.socket.send(typeof message === 'string' ? message : JSON.stringify(message));
+    return true;
+  }
+
+  handleMessage(raw) {
+    let message;
+    try {
+      message = JSON.parse(raw.toString());
+    } catch (error) {
+      // Plain-text heartbeats such as "pong"
+      return;
+    }
+
+    this.emit('message', message);
+  }
+}
+
+module.exports = StreamClient;
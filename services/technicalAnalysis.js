@@ -1,131 +1,263 @@
 const futuresIndicators = require('./futuresIndicators');
 const fundingRateService = require('./fundingRateService');
+const sentimentService = require('./sentimentService');
+const basisService = require('./basisService');
 const riskManagement = require('./riskManagement');
+const exchangeService = require('./exchangeService');
+const orderBookAnalysis = require('./orderBookAnalysis');
+const candlestickPatterns = require('./candlestickPatterns');
+const chartPatterns = require('./chartPatterns');
+const marketRegime = require('./marketRegime');
+const scoringEngine = require('./scoring');
+const indicatorEngine = require('./indicatorEngine');
+const { getEnabledStrategies } = require('./strategies');
 const config = require('../config/config');
 const logger = require('../utils/logger');
+const clock = require('../utils/clock');
+const { MarketDataError, Unsupported } = require('../utils/errors');
 
 class FuturesTechnicalAnalysis {
   constructor() {
     this.signalCache = new Map();
     this.cacheDuration = 5 * 60 * 1000; // 5 minutes
+    this.strategies = null; // Created on first use from config.strategies.enabled
   }
 
+  getStrategies() {
+    if (!this.strategies) {
+      this.strategies = getEnabledStrategies();
+      logger.info(`Strategies enabled: ${this.strategies.map(strategy => strategy.name).join(', ') || 'none'}`);
+    }
+    
+    return this.strategies;
+  }
+
+  // Runs every enabled strategy over the symbol and returns their accepted signals
   async analyzeToken(symbol, ohlcv) {
     try {
+      if (!ohlcv || ohlcv.length < 60) {
+        return [];
+      }
+
       // Check cache first
       const cacheKey = `${symbol}_${ohlcv[ohlcv.length - 1].timestamp}`;
       const cached = this.signalCache.get(cacheKey);
       
-      if (cached && (Date.now() - cached.timestamp) < this.cacheDuration) {
+      if (cached && (clock.now() - cached.timestamp) < this.cacheDuration) {
         return cached.data;
       }
 
-      if (!ohlcv || ohlcv.length < 60) {
-        return null;
-      }
-
       const closes = ohlcv.map(candle => candle.close);
       const currentPrice = closes[closes.length - 1];
 
       // Calculate all technical indicators
-      const indicators = await this.calculateAllIndicators(symbol, ohlcv);
+      const [indicators, orderBook] = await Promise.all([
+        this.calculateAllIndicators(symbol, ohlcv),
+        this.getOrderBook(symbol)
+      ]);
       
       if (!this.hasRequiredIndicators(indicators)) {
-        return null;
-      }
-
-      // Generate signal with futures-specific logic
-      const signal = this.generateFuturesSignal(currentPrice, indicators);
-      
-      if (!signal) {
-        return null;
+        return [];
       }
-
-      // Calculate risk management parameters
-      const riskParams = this.calculateRiskParameters(currentPrice, signal, indicators);
       
-      if (!riskParams) {
-        return null;
-      }
-
-      // Validate risk parameters
-      const riskValidation = riskManagement.validateRiskParameters(
-        riskParams.entryPrice, 
-        riskParams.stopLoss, 
-        riskParams.takeProfits, 
-        riskParams.positionInfo
-      );
+      indicators.liquidity = orderBookAnalysis.analyzeOrderBook(orderBook);
+      indicators.patterns = candlestickPatterns.detectPatterns(ohlcv);
+      indicators.chartPatterns = chartPatterns.detectPatterns(ohlcv, indicators.risk.atr);
+      indicators.regime = marketRegime.classify(ohlcv, indicators.trend.marketStructure);
 
-      // Only return signal if risk is acceptable
-      if (!riskValidation.isValid || riskValidation.riskLevel === 'EXTREME') {
-        logger.debug(`Signal rejected for ${symbol}: Risk level ${riskValidation.riskLevel}`);
-        return null;
-      }
+      // The regime profile reweights the scoring and moves the confidence thresholds
+      const profile = marketRegime.getProfile(indicators.regime?.regime);
 
-      const analysisResult = {
+      const context = {
         symbol,
-        currentPrice,
-        ...riskParams,
-        timestamp: new Date(),
+        price: currentPrice,
+        ohlcv,
         indicators,
-        signal: {
-          ...signal,
-          riskLevel: riskValidation.riskLevel,
-          warnings: riskValidation.warnings
-        }
+        scoring: scoringEngine.evaluate({ price: currentPrice, indicators }, profile.weights),
+        thresholds: marketRegime.getThresholds(profile),
+        timeframes: {}
       };
+      const results = [];
+
+      for (const strategy of this.getStrategies()) {
+        let signal;
+        try {
+          signal = strategy.evaluate(context);
+        } catch (error) {
+          logger.error(`Strategy ${strategy.name} failed for ${symbol}: ${error.message}`);
+          continue;
+        }
+        
+        if (!signal) continue;
+        
+        signal.regime = indicators.regime?.regime || null;
+        const analysisResult = await this.buildAnalysisResult(strategy, signal, context, orderBook);
+        if (analysisResult) {
+          results.push(analysisResult);
+        }
+      }
 
       // Cache the result
       this.signalCache.set(cacheKey, {
-        data: analysisResult,
-        timestamp: Date.now()
+        data: results,
+        timestamp: clock.now()
       });
 
-      return analysisResult;
+      return results;
       
     } catch (error) {
+      // Missing data is not the same as "no setup", let the scanner count it
+      if (error instanceof MarketDataError) {
+        throw error;
+      }
+      
       logger.error(`Futures analysis error for ${symbol}: ${error.message}`);
+      return [];
+    }
+  }
+
+  // Confirms a strategy's signal and sizes it, or returns null when it is rejected
+  async buildAnalysisResult(strategy, signal, context, orderBook) {
+    const { symbol, price: currentPrice, ohlcv, indicators } = context;
+    const tag = `${symbol} [${strategy.name}]`;
+
+    // Entering straight into a reversal candle against the signal is the classic bad fill
+    const veto = candlestickPatterns.findVeto(indicators.patterns, signal.direction);
+    if (veto) {
+      logger.debug(`Signal rejected for ${tag}: ${signal.direction} against ${veto.name} on the last closed candle`);
       return null;
     }
+
+    // Higher timeframes must not contradict the signal, lower ones time the entry
+    if (config.features.multiTimeframe && strategy.confirmTimeframes) {
+      if (!context.timeframes[signal.direction]) {
+        context.timeframes[signal.direction] = this.analyzeTimeframes(symbol, signal.direction, ohlcv);
+      }
+      const timeframes = { ...(await context.timeframes[signal.direction]) };
+      
+      if (!this.applyTimeframeConfirmation(signal, timeframes, context.thresholds)) {
+        logger.debug(`Signal rejected for ${tag}: ${signal.direction} conflicts with higher timeframe trend`);
+        return null;
+      }
+    }
+
+    // Funding the position would pay or receive over its expected holding time
+    const fundingProjection = await this.getFundingProjection(symbol, signal.direction);
+    
+    if (fundingRateService.isInFundingBlackout(fundingProjection)) {
+      logger.info(`Signal deferred for ${tag}: funding settlement blackout (next in ${fundingProjection.minutesToFunding}m)`);
+      return null;
+    }
+
+    // Calculate risk management parameters
+    const riskParams = this.calculateRiskParameters(currentPrice, signal, indicators, fundingProjection);
+    
+    if (!riskParams) {
+      return null;
+    }
+
+    // Reject setups the suggested position could not get filled in cleanly
+    let liquidity = indicators.liquidity;
+    if (orderBook && liquidity) {
+      const slippage = orderBookAnalysis.estimateSlippage(orderBook, signal.direction, riskParams.positionInfo.positionSize);
+      liquidity = { ...liquidity, slippage };
+      
+      if (!orderBookAnalysis.isSlippageAcceptable(slippage)) {
+        logger.debug(`Signal rejected for ${tag}: Estimated slippage ${slippage.slippagePercent.toFixed(3)}%${slippage.exceedsBook ? ' (exceeds book)' : ''}`);
+        return null;
+      }
+    }
+
+    // Validate risk parameters
+    const riskValidation = riskManagement.validateRiskParameters(
+      riskParams.entryPrice, 
+      riskParams.stopLoss, 
+      riskParams.takeProfits, 
+      riskParams.positionInfo,
+      fundingProjection?.projectedCost || 0
+    );
+
+    // Only return signal if risk is acceptable
+    if (!riskValidation.isValid || riskValidation.riskLevel === 'EXTREME') {
+      logger.debug(`Signal rejected for ${tag}: Risk level ${riskValidation.riskLevel}`);
+      return null;
+    }
+
+    return {
+      symbol,
+      currentPrice,
+      ...riskParams,
+      timestamp: clock.date(),
+      indicators: { ...indicators, liquidity },
+      signal: {
+        ...signal,
+        riskLevel: riskValidation.riskLevel,
+        warnings: riskValidation.warnings
+      }
+    };
   }
 
   async calculateAllIndicators(symbol, ohlcv) {
     try {
       const closes = ohlcv.map(candle => candle.close);
+      const {
+        ema8, ema21, ema50, supertrend, parabolicSAR, mfi, williamsR, cci, obv, atr, oscillators
+      } = this.calculateCoreIndicators(symbol, config.scanning.timeframe, ohlcv);
       
       // Trend indicators
-      const ema8 = futuresIndicators.calculateEMA(closes, config.indicators.ema.fast);
-      const ema21 = futuresIndicators.calculateEMA(closes, config.indicators.ema.medium);
-      const ema50 = futuresIndicators.calculateEMA(closes, config.indicators.ema.slow);
-      const supertrend = futuresIndicators.calculateSupertrend(
-        ohlcv, 
-        config.indicators.supertrend.period, 
-        config.indicators.supertrend.multiplier
+      const ichimoku = futuresIndicators.calculateIchimoku(
+        ohlcv,
+        config.indicators.ichimoku.tenkan,
+        config.indicators.ichimoku.kijun,
+        config.indicators.ichimoku.senkou,
+        config.indicators.ichimoku.displacement,
+        config.indicators.ichimoku.crossLookback
       );
-      const ichimoku = futuresIndicators.calculateIchimoku(ohlcv);
       const marketStructure = futuresIndicators.calculateMarketStructure(
         ohlcv, 
         config.indicators.marketStructure.lookback
       );
 
       // Momentum indicators
-      const mfi = futuresIndicators.calculateMFI(ohlcv, config.indicators.mfi.period);
-      const williamsR = futuresIndicators.calculateWilliamsR(ohlcv, config.indicators.williamsR.period);
-      const cci = futuresIndicators.calculateCCI(ohlcv, config.indicators.cci.period);
+      const divergences = futuresIndicators.calculateDivergences(ohlcv, oscillators, config.indicators.divergence);
 
       // Volume indicators
       const vwap = futuresIndicators.calculateVWAP(ohlcv.slice(-config.indicators.vwap.period));
-      const obv = futuresIndicators.calculateOBV(ohlcv);
-
-      // Futures-specific data
-      const [fundingData, openInterest, liquidationData] = await Promise.all([
+      const vwaps = futuresIndicators.calculateAnchoredVWAPs(ohlcv, config.indicators.vwap);
+      const volumeProfiles = config.indicators.volumeProfile.lookbacks
+        .map(lookback => futuresIndicators.calculateVolumeProfile(
+          ohlcv.slice(-lookback),
+          config.indicators.volumeProfile.rows,
+          config.indicators.volumeProfile.valueAreaPercent,
+          config.indicators.volumeProfile.hvnThreshold,
+          config.indicators.volumeProfile.lvnThreshold
+        ))
+        .filter(Boolean);
+
+      // Futures-specific data is optional; the signal degrades without it
+      const futuresResults = await Promise.allSettled([
         fundingRateService.getFundingRate(symbol),
         fundingRateService.getOpenInterest(symbol),
-        fundingRateService.getLiquidationData(symbol)
+        fundingRateService.getLiquidationData(symbol),
+        fundingRateService.getOpenInterestHistory(symbol),
+        sentimentService.getSentiment(symbol),
+        basisService.getBasis(symbol)
       ]);
+      const [fundingData, openInterest, liquidationData, openInterestHistory, sentiment, basis] = futuresResults.map(result =>
+        result.status === 'fulfilled' ? result.value : null
+      );
+      const names = ['fundingRate', 'openInterest', 'liquidations', 'openInterestHistory', 'sentiment', 'basis'];
+      const unavailable = names.filter((name, index) => futuresResults[index].status === 'rejected');
+      // Endpoints the exchange does not offer are missing on every scan, so only failures are logged
+      const failed = names.filter((name, index) =>
+        futuresResults[index].status === 'rejected' && !(futuresResults[index].reason instanceof Unsupported)
+      );
+      
+      if (failed.length > 0) {
+        logger.warn(`Futures data unavailable for ${symbol}: ${failed.join(', ')}`);
+      }
 
       // Risk management indicators
-      const atr = riskManagement.calculateATR(ohlcv, config.riskManagement.atrPeriod);
       const volatility = riskManagement.calculateVolatility(closes, config.riskManagement.volatilityPeriod);
       const supportResistance = riskManagement.calculateSupportResistance(
         ohlcv, 
@@ -139,23 +271,38 @@ class FuturesTechnicalAnalysis {
           ema50,
           supertrend,
           ichimoku,
+          parabolicSAR,
           marketStructure
         },
         momentum: {
           mfi,
           williamsR,
-          cci
+          cci,
+          divergences
         },
         volume: {
           vwap,
-          obv
+          vwaps,
+          obv,
+          volumeProfiles
         },
         futures: {
           fundingRate: fundingData?.fundingRate || 0,
           markPrice: fundingData?.markPrice || 0,
+          indexPrice: fundingData?.indexPrice || 0,
           openInterest: openInterest?.openInterest || 0,
-          liquidationData: liquidationData || {}
+          openInterestDelta: futuresIndicators.calculateOpenInterestDelta(
+            openInterestHistory,
+            ohlcv,
+            config.futures.openInterest.windowsMinutes,
+            config.futures.openInterest.primaryWindowMinutes,
+            config.futures.openInterest.significantChange
+          ),
+          liquidationData: liquidationData || {},
+          sentiment,
+          unavailable
         },
+        basis,
         risk: {
           atr,
           volatility,
@@ -168,329 +315,206 @@ class FuturesTechnicalAnalysis {
     }
   }
 
-  hasRequiredIndicators(indicators) {
-    return indicators && 
-           indicators.trend.ema8 && 
-           indicators.trend.ema21 && 
-           indicators.trend.supertrend && 
-           indicators.momentum.mfi && 
-           indicators.volume.vwap && 
-           indicators.risk.atr;
-  }
-
-  generateFuturesSignal(price, indicators) {
-    try {
-      let longScore = 0;
-      let shortScore = 0;
-      let totalWeight = 0;
-      const analysis = {};
-
-      // Trend Analysis (40% total weight)
-      const trendAnalysis = this.analyzeTrend(price, indicators.trend);
-      longScore += trendAnalysis.longScore;
-      shortScore += trendAnalysis.shortScore;
-      totalWeight += trendAnalysis.weight;
-      analysis.trend = trendAnalysis.details;
-
-      // Momentum Analysis (25% total weight)
-      const momentumAnalysis = this.analyzeMomentum(indicators.momentum);
-      longScore += momentumAnalysis.longScore;
-      shortScore += momentumAnalysis.shortScore;
-      totalWeight += momentumAnalysis.weight;
-      analysis.momentum = momentumAnalysis.details;
-
-      // Volume Analysis (20% total weight)
-      const volumeAnalysis = this.analyzeVolume(price, indicators.volume);
-      longScore += volumeAnalysis.longScore;
-      shortScore += volumeAnalysis.shortScore;
-      totalWeight += volumeAnalysis.weight;
-      analysis.volume = volumeAnalysis.details;
-
-      // Futures-specific Analysis (15% total weight)
-      const futuresAnalysis = this.analyzeFuturesData(indicators.futures);
-      longScore += futuresAnalysis.longScore;
-      shortScore += futuresAnalysis.shortScore;
-      totalWeight += futuresAnalysis.weight;
-      analysis.futures = futuresAnalysis.details;
-
-      // Calculate final scores
-      const longStrength = (longScore / totalWeight) * 100;
-      const shortStrength = (shortScore / totalWeight) * 100;
-
-      // Determine signal
-      if (longStrength >= config.signal.minConfidence) {
-        return {
-          direction: 'LONG',
-          strength: longStrength,
-          confidence: longStrength >= config.signal.highConfidence ? 'HIGH' : 'MEDIUM',
-          analysis: analysis
-        };
-      } else if (shortStrength >= config.signal.minConfidence) {
-        return {
-          direction: 'SHORT',
-          strength: shortStrength,
-          confidence: shortStrength >= config.signal.highConfidence ? 'HIGH' : 'MEDIUM',
-          analysis: analysis
-        };
-      }
-
-      return null;
-    } catch (error) {
-      logger.error(`Signal generation error: ${error.message}`);
-      return null;
-    }
-  }
-
-  analyzeTrend(price, trendIndicators) {
-    let longScore = 0;
-    let shortScore = 0;
-    const weight = 40;
-    const details = {};
-
-    // EMA Analysis (15 points)
-    if (trendIndicators.ema8 && trendIndicators.ema21 && trendIndicators.ema50) {
-      const emaAlignment = this.getEMAAlignment(trendIndicators);
-      details.emaAlignment = emaAlignment;
-      
-      if (emaAlignment === 'STRONG_BULL') {
-        longScore += 15;
-      } else if (emaAlignment === 'STRONG_BEAR') {
-        shortScore += 15;
-      } else if (emaAlignment === 'BULL') {
-        longScore += 10;
-      } else if (emaAlignment === 'BEAR') {
-        shortScore += 10;
-      }
-    }
-
-    // Supertrend Analysis (15 points)
-    if (trendIndicators.supertrend) {
-      const st = trendIndicators.supertrend;
-      details.supertrend = {
-        trend: st.trend,
-        value: st.value,
-        distance: ((price - st.value) / price * 100).toFixed(2)
-      };
-      
-      if (st.trend === 1 && price > st.value * 1.001) {
-        longScore += 15;
-      } else if (st.trend === -1 && price < st.value * 0.999) {
-        shortScore += 15;
-      }
-    }
-
-    // Market Structure Analysis (10 points)
-    if (trendIndicators.marketStructure) {
-      const ms = trendIndicators.marketStructure;
-      details.marketStructure = ms;
-      
-      if (ms.trend === 'BULLISH' && ms.strength > 0.6) {
-        longScore += 10;
-      } else if (ms.trend === 'BEARISH' && ms.strength > 0.6) {
-        shortScore += 10;
+  // EMAs, Supertrend, Parabolic SAR, oscillators (with the divergence series) and ATR; the streaming
+  // engine keeps the windowed ones warm per symbol/timeframe, without it all are recomputed over the candles
+  calculateCoreIndicators(symbol, timeframe, ohlcv) {
+    const streamed = config.streamingIndicators.enabled ? indicatorEngine.sync(symbol, timeframe, ohlcv) : null;
+    
+    if (streamed) {
+      const oscillators = {};
+      for (const name of config.indicators.divergence.oscillators) {
+        if (streamed.has(name)) {
+          oscillators[name] = streamed.getSeries(name, ohlcv.length);
+        } else {
+          logger.warn(`Unknown divergence oscillator: ${name}`);
+        }
       }
+      return { ...streamed.getValues(ohlcv.length), oscillators };
     }
-
+    
+    const closes = ohlcv.map(candle => candle.close);
+    
     return {
-      longScore,
-      shortScore,
-      weight,
-      details
+      ema8: futuresIndicators.calculateEMA(closes, config.indicators.ema.fast),
+      ema21: futuresIndicators.calculateEMA(closes, config.indicators.ema.medium),
+      ema50: futuresIndicators.calculateEMA(closes, config.indicators.ema.slow),
+      supertrend: futuresIndicators.calculateSupertrend(
+        ohlcv, 
+        config.indicators.supertrend.period, 
+        config.indicators.supertrend.multiplier
+      ),
+      parabolicSAR: futuresIndicators.calculateParabolicSAR(
+        ohlcv,
+        config.indicators.parabolicSAR.step,
+        config.indicators.parabolicSAR.maxStep
+      ),
+      mfi: futuresIndicators.calculateMFI(ohlcv, config.indicators.mfi.period),
+      williamsR: futuresIndicators.calculateWilliamsR(ohlcv, config.indicators.williamsR.period),
+      cci: futuresIndicators.calculateCCI(ohlcv, config.indicators.cci.period),
+      obv: futuresIndicators.calculateOBV(ohlcv),
+      atr: riskManagement.calculateATR(ohlcv, config.riskManagement.atrPeriod),
+      oscillators: this.calculateOscillatorSeries(ohlcv, config.indicators.divergence.oscillators)
     };
   }
 
-  analyzeMomentum(momentumIndicators) {
-    let longScore = 0;
-    let shortScore = 0;
-    const weight = 25;
-    const details = {};
-
-    // MFI Analysis (10 points)
-    if (momentumIndicators.mfi) {
-      const mfi = momentumIndicators.mfi;
-      details.mfi = { value: mfi.toFixed(2) };
-      
-      if (mfi < config.indicators.mfi.oversold) {
-        longScore += 10;
-        details.mfi.status = 'OVERSOLD';
-      } else if (mfi > config.indicators.mfi.overbought) {
-        shortScore += 10;
-        details.mfi.status = 'OVERBOUGHT';
-      } else if (mfi < 40) {
-        longScore += 5;
-        details.mfi.status = 'BEARISH';
-      } else if (mfi > 60) {
-        shortScore += 5;
-        details.mfi.status = 'BULLISH';
+  calculateOscillatorSeries(ohlcv, names) {
+    const calculators = {
+      mfi: () => futuresIndicators.calculateMFIArray(ohlcv, config.indicators.mfi.period),
+      cci: () => futuresIndicators.calculateCCIArray(ohlcv, config.indicators.cci.period),
+      williamsR: () => futuresIndicators.calculateWilliamsRArray(ohlcv, config.indicators.williamsR.period),
+      obv: () => futuresIndicators.calculateOBVArray(ohlcv)
+    };
+    
+    const series = {};
+    for (const name of names) {
+      if (calculators[name]) {
+        series[name] = calculators[name]();
       } else {
-        details.mfi.status = 'NEUTRAL';
+        logger.warn(`Unknown divergence oscillator: ${name}`);
       }
     }
+    return series;
+  }
 
-    // Williams %R Analysis (8 points)
-    if (momentumIndicators.williamsR) {
-      const wr = momentumIndicators.williamsR;
-      details.williamsR = { value: wr.toFixed(2) };
+  async analyzeTimeframes(symbol, direction, ohlcv) {
+    const { trend, entry, candleLimit } = config.multiTimeframe;
+    const configured = [
+      ...trend.map(item => ({ ...item, role: 'TREND' })),
+      ...entry.map(item => ({ ...item, role: 'ENTRY' }))
+    ];
+    
+    const results = await Promise.allSettled(configured.map(item =>
+      exchangeService.getOHLCV(symbol, item.timeframe, candleLimit)
+    ));
+    
+    const verdicts = [{
+      timeframe: config.scanning.timeframe,
+      role: 'PRIMARY',
+      weight: 0,
+      ...this.getTimeframeVerdict(symbol, config.scanning.timeframe, ohlcv)
+    }];
+    
+    configured.forEach((item, index) => {
+      const candles = results[index].status === 'fulfilled' ? results[index].value : null;
+      const verdict = candles ? this.getTimeframeVerdict(symbol, item.timeframe, candles) : null;
       
-      if (wr < config.indicators.williamsR.oversold) {
-        longScore += 8;
-        details.williamsR.status = 'OVERSOLD';
-      } else if (wr > config.indicators.williamsR.overbought) {
-        shortScore += 8;
-        details.williamsR.status = 'OVERBOUGHT';
-      } else {
-        details.williamsR.status = 'NEUTRAL';
-      }
-    }
-
-    // CCI Analysis (7 points)
-    if (momentumIndicators.cci) {
-      const cci = momentumIndicators.cci;
-      details.cci = { value: cci.toFixed(2) };
+      verdicts.push(verdict
+        ? { ...item, ...verdict }
+        : { ...item, bias: 'UNAVAILABLE', score: 0 });
+    });
+    
+    // Weighted score per role, signed so that positive agrees with the signal
+    const sign = direction === 'LONG' ? 1 : -1;
+    const alignment = role => {
+      const available = verdicts.filter(v => v.role === role && v.bias !== 'UNAVAILABLE');
+      const totalWeight = available.reduce((sum, v) => sum + v.weight, 0);
+      if (totalWeight === 0) return null;
       
-      if (cci < config.indicators.cci.oversold) {
-        longScore += 7;
-        details.cci.status = 'OVERSOLD';
-      } else if (cci > config.indicators.cci.overbought) {
-        shortScore += 7;
-        details.cci.status = 'OVERBOUGHT';
-      } else {
-        details.cci.status = 'NEUTRAL';
-      }
-    }
-
+      return sign * available.reduce((sum, v) => sum + v.score * v.weight, 0) / totalWeight;
+    };
+    
     return {
-      longScore,
-      shortScore,
-      weight,
-      details
+      verdicts,
+      trendAlignment: alignment('TREND'),
+      entryAlignment: alignment('ENTRY')
     };
   }
 
-  analyzeVolume(price, volumeIndicators) {
-    let longScore = 0;
-    let shortScore = 0;
-    const weight = 20;
-    const details = {};
-
-    // VWAP Analysis (20 points)
-    if (volumeIndicators.vwap) {
-      const vwap = volumeIndicators.vwap;
-      const diff = ((price - vwap) / vwap) * 100;
-      
-      details.vwap = {
-        value: vwap.toFixed(6),
-        difference: diff.toFixed(3)
-      };
-      
-      if (diff > 0.3) {
-        longScore += 20;
-        details.vwap.status = 'STRONG_ABOVE';
-      } else if (diff > 0.1) {
-        longScore += 15;
-        details.vwap.status = 'ABOVE';
-      } else if (diff < -0.3) {
-        shortScore += 20;
-        details.vwap.status = 'STRONG_BELOW';
-      } else if (diff < -0.1) {
-        shortScore += 15;
-        details.vwap.status = 'BELOW';
-      } else {
-        details.vwap.status = 'NEAR';
-      }
-    }
-
-    // OBV Analysis (additional context)
-    if (volumeIndicators.obv) {
-      details.obv = {
-        value: volumeIndicators.obv > 0 ? 'POSITIVE' : 'NEGATIVE',
-        trend: volumeIndicators.obv > 0 ? 'BULLISH' : 'BEARISH'
-      };
-    }
-
+  // Trend verdict from the EMA stack and Supertrend, scored from -1 (bearish) to 1 (bullish)
+  getTimeframeVerdict(symbol, timeframe, ohlcv) {
+    if (!ohlcv || ohlcv.length < config.indicators.ema.slow) return null;
+    
+    const { ema8, ema21, ema50, supertrend } = this.calculateCoreIndicators(symbol, timeframe, ohlcv);
+    
+    const emaAlignment = futuresIndicators.getEMAAlignment({ ema8, ema21, ema50 });
+    const emaScores = {
+      STRONG_BULL: 1, BULL: 0.75, WEAK_BULL: 0.25,
+      STRONG_BEAR: -1, BEAR: -0.75, WEAK_BEAR: -0.25
+    };
+    const emaScore = emaScores[emaAlignment] || 0;
+    const supertrendScore = supertrend ? supertrend.trend : 0;
+    const score = (emaScore + supertrendScore) / 2;
+    
+    let bias = 'NEUTRAL';
+    if (score >= config.multiTimeframe.biasThreshold) bias = 'BULLISH';
+    if (score <= -config.multiTimeframe.biasThreshold) bias = 'BEARISH';
+    
     return {
-      longScore,
-      shortScore,
-      weight,
-      details
+      bias,
+      score,
+      emaAlignment,
+      supertrend: supertrend ? supertrend.trend : null
     };
   }
 
-  analyzeFuturesData(futuresIndicators) {
-    let longScore = 0;
-    let shortScore = 0;
-    const weight = 15;
-    const details = {};
-
-    // Funding Rate Analysis (10 points)
-    if (futuresIndicators.fundingRate) {
-      const fr = futuresIndicators.fundingRate;
-      details.fundingRate = {
-        value: (fr * 100).toFixed(4),
-        annualized: (fr * 100 * 365).toFixed(2)
-      };
-      
-      if (fr > config.futures.fundingRate.extremeThreshold) {
-        shortScore += 10; // High positive funding is bearish
-        details.fundingRate.bias = 'BEARISH';
-      } else if (fr < -config.futures.fundingRate.extremeThreshold) {
-        longScore += 10; // High negative funding is bullish
-        details.fundingRate.bias = 'BULLISH';
-      } else if (fr > 0.005) {
-        shortScore += 5;
-        details.fundingRate.bias = 'SLIGHTLY_BEARISH';
-      } else if (fr < -0.005) {
-        longScore += 5;
-        details.fundingRate.bias = 'SLIGHTLY_BULLISH';
-      } else {
-        details.fundingRate.bias = 'NEUTRAL';
-      }
+  // Downgrades or rejects (returns false) a signal the other timeframes disagree with
+  applyTimeframeConfirmation(signal, timeframes, thresholds = config.signal) {
+    const { rejectThreshold, downgradePenalty } = config.multiTimeframe;
+    const { trendAlignment, entryAlignment } = timeframes;
+    const conflicts = [];
+    
+    signal.timeframes = timeframes;
+    
+    if (trendAlignment !== null && trendAlignment <= -rejectThreshold) {
+      return false;
     }
-
-    // Liquidation Analysis (5 points)
-    if (futuresIndicators.liquidationData && futuresIndicators.liquidationData.liquidationRatio !== undefined) {
-      const liq = futuresIndicators.liquidationData;
-      details.liquidations = {
-        ratio: liq.liquidationRatio.toFixed(3),
-        totalValue: liq.totalValue ? (liq.totalValue / 1000000).toFixed(2) + 'M' : 'N/A'
-      };
-      
-      if (liq.liquidationRatio > 0.75) {
-        longScore += 5; // More longs liquidated = oversold
-        details.liquidations.bias = 'BULLISH';
-      } else if (liq.liquidationRatio < 0.25) {
-        shortScore += 5; // More shorts liquidated = overbought
-        details.liquidations.bias = 'BEARISH';
-      } else {
-        details.liquidations.bias = 'NEUTRAL';
-      }
+    
+    if (trendAlignment !== null && trendAlignment < 0) {
+      conflicts.push('trend');
+    }
+    
+    if (entryAlignment !== null && entryAlignment < 0) {
+      conflicts.push('entry');
+    }
+    
+    if (conflicts.length === 0) {
+      timeframes.verdict = 'CONFIRMED';
+      return true;
     }
+    
+    signal.strength -= downgradePenalty * conflicts.length;
+    timeframes.verdict = 'DOWNGRADED';
+    timeframes.conflicts = conflicts;
+    
+    if (signal.strength < thresholds.minConfidence) {
+      return false;
+    }
+    
+    signal.confidence = signal.strength >= thresholds.highConfidence ? 'HIGH' : 'MEDIUM';
+    return true;
+  }
 
-    return {
-      longScore,
-      shortScore,
-      weight,
-      details
-    };
+  async getFundingProjection(symbol, direction) {
+    try {
+      return await fundingRateService.getFundingProjection(symbol, direction);
+    } catch (error) {
+      logger.warn(`Funding projection unavailable for ${symbol}: ${error.message}`);
+      return null;
+    }
   }
 
-  getEMAAlignment(trendIndicators) {
-    const { ema8, ema21, ema50 } = trendIndicators;
+  async getOrderBook(symbol) {
+    if (!config.liquidity.enabled) return null;
     
-    if (ema8 > ema21 && ema21 > ema50) {
-      return ema8 > ema21 * 1.005 ? 'STRONG_BULL' : 'BULL';
-    } else if (ema8 < ema21 && ema21 < ema50) {
-      return ema8 < ema21 * 0.995 ? 'STRONG_BEAR' : 'BEAR';
-    } else if (ema8 > ema21) {
-      return 'WEAK_BULL';
-    } else if (ema8 < ema21) {
-      return 'WEAK_BEAR';
+    try {
+      return await exchangeService.getOrderBook(symbol);
+    } catch (error) {
+      logger.warn(`Order book unavailable for ${symbol}: ${error.message}`);
+      return null;
     }
-    
-    return 'NEUTRAL';
   }
 
-  calculateRiskParameters(currentPrice, signal, indicators) {
+  hasRequiredIndicators(indicators) {
+    return indicators && 
+           indicators.trend.ema8 && 
+           indicators.trend.ema21 && 
+           indicators.trend.supertrend && 
+           indicators.momentum.mfi && 
+           indicators.volume.vwap && 
+           indicators.risk.atr;
+  }
+
+  calculateRiskParameters(currentPrice, signal, indicators, fundingProjection = null) {
     try {
       const atr = indicators.risk.atr;
       const supportResistance = indicators.risk.supportResistance;
@@ -503,7 +527,12 @@ class FuturesTechnicalAnalysis {
         return null;
       }
 
-      const riskRewards = riskManagement.calculateRiskReward(entryPrice, stopLoss, [takeProfits.tp1, takeProfits.tp2, takeProfits.tp3]);
+      const riskRewards = riskManagement.calculateRiskReward(
+        entryPrice,
+        stopLoss,
+        [takeProfits.tp1, takeProfits.tp2, takeProfits.tp3],
+        fundingProjection?.projectedCost || 0
+      );
       
       // Check minimum risk/reward requirement
       if (!riskRewards || riskRewards[0] < config.riskManagement.minRiskReward) {
@@ -523,7 +552,8 @@ class FuturesTechnicalAnalysis {
         takeProfits,
         stopLoss,
         riskRewards,
-        positionInfo
+        positionInfo,
+        fundingProjection
       };
     } catch (error) {
       logger.error(`Risk parameters calculation error: ${error.message}`);
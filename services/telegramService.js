@@ -1,6 +1,8 @@
 const TelegramBot = require('node-telegram-bot-api');
 const config = require('../config/config');
 const logger = require('../utils/logger');
+const cassette = require('../utils/cassette');
+const clock = require('../utils/clock');
 
 class TelegramService {
   constructor() {
@@ -35,6 +37,16 @@ class TelegramService {
       const { text, options } = this.messageQueue.shift();
       
       try {
+        // Replays never touch the network; the output is written to disk instead
+        if (cassette.isReplaying()) {
+          cassette.writeOutput(text);
+          continue;
+        }
+        
+        if (cassette.isRecording()) {
+          cassette.writeOutput(text);
+        }
+        
         // Rate limiting
         const now = Date.now();
         const timeSinceLastMessage = now - this.lastMessageTime;
@@ -79,13 +91,14 @@ class TelegramService {
         stopLoss, 
         riskRewards, 
         positionInfo,
+        fundingProjection,
         indicators, 
         signal, 
         timestamp 
       } = signalData;
       
       // Create unique signal ID to prevent duplicates
-      const signalId = `${symbol}_${signal.direction}_${Math.floor(timestamp.getTime() / 60000)}`;
+      const signalId = `${symbol}_${signal.direction}_${signal.strategy}_${Math.floor(timestamp.getTime() / 60000)}`;
       
       if (this.sentSignals.has(signalId)) {
         logger.debug(`Duplicate signal prevented for ${symbol}`);
@@ -130,36 +143,51 @@ ${emoji} *FUTURES ${signal.direction} SIGNAL* ${confidenceEmoji} ${directionEmoj
 • *Leverage:* ${positionInfo.leverage}x (Max: ${config.riskManagement.maxLeverage}x)
 • *Margin:* $${this.formatNumber(positionInfo.margin)}
 • *Liquidation:* $${this.formatPrice(liquidationPrice)} ${riskEmoji}
+${fundingProjection ? this.formatFundingProjection(fundingProjection) : ''}
 
 📈 *SIGNAL QUALITY:*
-• *Confidence:* ${signal.confidence} (${signal.strength.toFixed(1)}%)
+• *Strategy:* ${signal.strategy}
+${indicators.regime ? `${this.formatRegime(indicators.regime)}\n` : ''}${signal.reasons ? `• *Setup:* ${signal.reasons.join(', ')}\n` : ''}• *Confidence:* ${signal.confidence} (${signal.strength.toFixed(1)}%)
 • *Risk Level:* ${signal.riskLevel} ${riskEmoji}
+${signal.breakdown ? this.formatScoreBreakdown(signal.breakdown, signal.direction) : ''}
 ${signal.warnings && signal.warnings.length > 0 ? `• *Warnings:* ${signal.warnings.join(', ')}` : ''}
 
-📊 *TREND ANALYSIS:*
+${signal.timeframes ? `🕐 *TIMEFRAMES (${signal.timeframes.verdict}):*
+${this.formatTimeframeAnalysis(signal.timeframes)}
+
+` : ''}📊 *TREND ANALYSIS:*
 ${this.formatTrendAnalysis(indicators.trend, signal.analysis?.trend)}
 
 ⚡ *MOMENTUM INDICATORS:*
 ${this.formatMomentumAnalysis(indicators.momentum, signal.analysis?.momentum)}
 
 📈 *VOLUME & FLOW:*
-${this.formatVolumeAnalysis(indicators.volume, signal.analysis?.volume)}
+${this.formatVolumeAnalysis(indicators.volume, signal.analysis?.volume, currentPrice)}
 
 🔮 *FUTURES SENTIMENT:*
-${this.formatFuturesAnalysis(indicators.futures, signal.analysis?.futures)}
-
+${this.formatFuturesAnalysis(indicators.futures, signal.analysis?.futures, signal.analysis?.sentiment)}
+${indicators.patterns?.length > 0 ? `
+🕯️ *PRICE ACTION:*
+${this.formatCandlestickPatterns(indicators.patterns)}
+` : ''}${indicators.chartPatterns?.length > 0 ? `
+📐 *CHART PATTERNS:*
+${this.formatChartPatterns(indicators.chartPatterns)}
+` : ''}${indicators.liquidity ? `
+💧 *LIQUIDITY:*
+${this.formatLiquidityAnalysis(indicators.liquidity, signal.analysis?.liquidity)}
+` : ''}
 ⏰ *Signal Time:* ${timestamp.toLocaleString()}
 
 💡 *TRADING STRATEGY:*
 • Set limit order at entry: $${this.formatPrice(entryPrice)}
 • Take 40% profit at TP1, 35% at TP2, 25% at TP3
 • Move SL to breakeven after TP1 hit
-• Trail stop with Supertrend after TP2
+• ${this.formatTrailingNote(indicators.trend.parabolicSAR)}
 
 ⚠️ *FUTURES RISK WARNING:* 
 Futures trading involves extreme risk. Never risk more than you can afford to lose. Always use proper position sizing and risk management.
 
-#${symbol.replace('/', '')} #${signal.direction} #Futures #TradingSignal
+#${symbol.replace('/', '')} #${signal.direction} #${signal.strategy} #Futures #TradingSignal
       `.trim();
       
     } catch (error) {
@@ -168,11 +196,75 @@ Futures trading involves extreme risk. Never risk more than you can afford to lo
     }
   }
 
+  // Contribution of each category to the signal's strength, in points of the 0-100 scale
+  formatScoreBreakdown(breakdown, direction) {
+    const side = direction === 'LONG' ? 'long' : 'short';
+    const parts = Object.entries(breakdown.categories)
+      .map(([category, scores]) => `${category} ${scores[side].toFixed(1)}/${scores.share.toFixed(1)}`);
+    
+    return `• *Breakdown:* ${parts.join(' | ')}`;
+  }
+
+  formatTrailingNote(parabolicSAR) {
+    const { trailAfter } = config.indicators.parabolicSAR;
+    
+    if (!parabolicSAR || !['tp1', 'tp2'].includes(trailAfter)) {
+      return 'Trail stop with Supertrend after TP2';
+    }
+    
+    return `Trail stop with Parabolic SAR (now $${this.formatPrice(parabolicSAR.value)}) after ${trailAfter.toUpperCase()}`;
+  }
+
+  formatRegime(regime) {
+    const emojis = { TRENDING_UP: '📈', TRENDING_DOWN: '📉', RANGING: '↔️', HIGH_VOLATILITY: '🌪️' };
+    const squeeze = regime.bandWidth.squeeze ? ', squeeze' : '';
+    
+    return `• *Regime:* ${regime.regime.replace('_', ' ')} ${emojis[regime.regime]} (ADX ${regime.adx.toFixed(1)}, ATR rank ${(regime.atrPercentile * 100).toFixed(0)}%${squeeze})`;
+  }
+
+  formatBasisAnalysis(basis) {
+    const z = basis.zScore !== null ? ` (z ${parseFloat(basis.zScore) > 0 ? '+' : ''}${basis.zScore})` : '';
+    const spot = basis.spotBasis !== null ? `, spot ${basis.spotBasis}%` : '';
+    
+    return `• *Basis:* ${basis.premium}% (${basis.annualized}% APR)${z}${spot} ${this.getBasisEmoji(basis.status)}`;
+  }
+
+  getBasisEmoji(status) {
+    switch (status) {
+      case 'PREMIUM_BLOWOUT': return '🎈';
+      case 'DISCOUNT_BLOWOUT': return '🕳️';
+      case 'DISLOCATION': return '🔀';
+      default: return '⚖️';
+    }
+  }
+
+  formatFundingProjection(projection) {
+    const paid = projection.projectedCost >= 0;
+    const cost = Math.abs(projection.projectedCost * 100).toFixed(3);
+    const hours = Math.floor(projection.minutesToFunding / 60);
+    const minutes = projection.minutesToFunding % 60;
+    
+    return `• *Funding:* ${paid ? 'pays' : 'receives'} ${cost}% over ${projection.holdingHours}h (${projection.settlements} settlements, next in ${hours}h ${minutes}m) ${paid ? '💸' : '💰'}`;
+  }
+
+  formatTimeframeAnalysis(timeframes) {
+    const roles = { PRIMARY: 'signal', TREND: 'trend', ENTRY: 'entry' };
+    
+    return timeframes.verdicts.map(verdict => {
+      if (verdict.bias === 'UNAVAILABLE') {
+        return `• *${verdict.timeframe}* (${roles[verdict.role]}): Unavailable`;
+      }
+      
+      const supertrend = verdict.supertrend === 1 ? 'ST ↑' : verdict.supertrend === -1 ? 'ST ↓' : 'ST -';
+      return `• *${verdict.timeframe}* (${roles[verdict.role]}): ${verdict.bias} ${this.getStatusEmoji(verdict.bias)} (${supertrend}, EMA ${verdict.emaAlignment})`;
+    }).join('\n');
+  }
+
   formatTrendAnalysis(trendIndicators, analysis) {
     const lines = [];
     
-    if (analysis?.emaAlignment) {
-      lines.push(`• *EMA Stack:* ${this.getEMAStatusText(analysis.emaAlignment)}`);
+    if (analysis?.ema) {
+      lines.push(`• *EMA Stack:* ${this.getEMAStatusText(analysis.ema.alignment)}`);
     }
     
     if (trendIndicators.supertrend && analysis?.supertrend) {
@@ -184,10 +276,30 @@ Futures trading involves extreme risk. Never risk more than you can afford to lo
       const ms = analysis.marketStructure;
       lines.push(`• *Structure:* ${ms.trend} (${(ms.strength * 100).toFixed(0)}% strength)`);
     }
+
+    if (analysis?.ichimoku) {
+      lines.push(this.formatIchimokuAnalysis(analysis.ichimoku));
+    }
+
+    if (analysis?.parabolicSAR) {
+      const sar = analysis.parabolicSAR;
+      const flip = sar.flip ? `, flipped ${sar.flip.candlesAgo === 0 ? 'now' : `${sar.flip.candlesAgo} bars ago`} 🔄` : '';
+      lines.push(`• *Parabolic SAR:* $${this.formatPrice(sar.value)} ${sar.trend === 1 ? 'below 📈' : 'above 📉'} (${sar.distance}%)${flip}`);
+    }
     
     return lines.join('\n');
   }
 
+  formatIchimokuAnalysis(ichimoku) {
+    const position = { ABOVE: 'Above cloud', BELOW: 'Below cloud', INSIDE: 'Inside cloud' }[ichimoku.position];
+    const cross = ichimoku.tkCross
+      ? `TK ${ichimoku.tkCross.direction.toLowerCase()} cross ${ichimoku.tkCross.candlesAgo === 0 ? 'now' : `${ichimoku.tkCross.candlesAgo} bars ago`}`
+      : `TK ${ichimoku.tkRelation.toLowerCase()}`;
+    const chikou = ichimoku.chikou === 'NEUTRAL' ? 'Chikou in price' : `Chikou ${ichimoku.chikou.toLowerCase()}`;
+
+    return `• *Ichimoku:* ${position} (${ichimoku.thickness}%, future ${ichimoku.futureCloud.toLowerCase()}), ${cross}, ${chikou} ☁️`;
+  }
+
   formatMomentumAnalysis(momentumIndicators, analysis) {
     const lines = [];
     
@@ -203,25 +315,57 @@ Futures trading involves extreme risk. Never risk more than you can afford to lo
       lines.push(`• *CCI:* ${analysis.cci.value} ${this.getStatusEmoji(analysis.cci.status)}`);
     }
     
+    if (analysis?.divergence) {
+      lines.push(...analysis.divergence.divergences.map(divergence => this.formatDivergence(divergence)));
+    }
+    
     return lines.join('\n');
   }
 
-  formatVolumeAnalysis(volumeIndicators, analysis) {
+  formatDivergence(divergence) {
+    const names = { mfi: 'MFI', cci: 'CCI', williamsR: 'Williams %R', obv: 'OBV' };
+    const [older, newer] = divergence.pivots.map(pivot => new Date(pivot.timestamp).toISOString().slice(5, 16).replace('T', ' '));
+    const emoji = divergence.direction === 'BULLISH' ? '🟢' : '🔴';
+    const type = `${divergence.type.toLowerCase()} ${divergence.direction.toLowerCase()}`;
+    
+    return `• *Divergence:* ${names[divergence.indicator] || divergence.indicator} ${type} ${emoji} ` +
+      `(${(divergence.strength * 100).toFixed(0)}%, ${divergence.age} bars ago, ${older} → ${newer} UTC)`;
+  }
+
+  formatVolumeAnalysis(volumeIndicators, analysis, price) {
     const lines = [];
     
     if (analysis?.vwap) {
       const vwap = analysis.vwap;
-      lines.push(`• *VWAP:* $${vwap.value} (${vwap.difference}%) ${this.getVWAPEmoji(vwap.status)}`);
+      const label = vwap.anchor ? `${vwap.anchor.charAt(0).toUpperCase()}${vwap.anchor.slice(1)} VWAP` : 'VWAP';
+      const sigma = vwap.sigma !== undefined ? `, ${vwap.sigma}σ` : '';
+      lines.push(`• *${label}:* $${vwap.value} (${vwap.difference}%${sigma}) ${this.getVWAPEmoji(vwap.status)}`);
+    }
+    
+    if (volumeIndicators.vwaps && price) {
+      lines.push(this.formatAnchoredVWAPs(volumeIndicators.vwaps, price));
     }
     
     if (analysis?.obv) {
       lines.push(`• *Volume Flow:* ${analysis.obv.trend} ${analysis.obv.value === 'POSITIVE' ? '📈' : '📉'}`);
     }
     
+    if (analysis?.volumeProfile) {
+      const profile = analysis.volumeProfile;
+      const emoji = { ABOVE_VALUE: '📈', BELOW_VALUE: '📉', INSIDE_VALUE: '➖' }[profile.location];
+      lines.push(`• *Volume Profile (${profile.lookback}):* POC $${this.formatPrice(profile.poc)} | VA $${this.formatPrice(profile.val)}-$${this.formatPrice(profile.vah)} ${emoji}`);
+    }
+    
+    const nodes = volumeIndicators.volumeProfiles?.[0];
+    if (nodes && (nodes.hvn.length > 0 || nodes.lvn.length > 0)) {
+      const list = prices => prices.map(price => `$${this.formatPrice(price)}`).join(', ') || 'none';
+      lines.push(`• *Volume Nodes:* HVN ${list(nodes.hvn)} | LVN ${list(nodes.lvn)}`);
+    }
+    
     return lines.join('\n');
   }
 
-  formatFuturesAnalysis(futuresIndicators, analysis) {
+  formatFuturesAnalysis(futuresIndicators, analysis, sentiment) {
     const lines = [];
     
     if (analysis?.fundingRate) {
@@ -233,9 +377,105 @@ Futures trading involves extreme risk. Never risk more than you can afford to lo
       lines.push(`• *Open Interest:* ${this.formatNumber(futuresIndicators.openInterest)} ${this.getOIEmoji()}`);
     }
     
+    if (analysis?.openInterest) {
+      const oi = analysis.openInterest;
+      const changes = oi.windows
+        .filter(window => window.oiChange !== null)
+        .map(window => `${this.formatWindow(window.minutes)} ${parseFloat(window.oiChange) > 0 ? '+' : ''}${window.oiChange}%`);
+      lines.push(`• *OI Δ:* ${changes.join(' | ')} (${this.getOIQuadrantText(oi.quadrant)})`);
+    }
+    
     if (analysis?.liquidations) {
       const liq = analysis.liquidations;
-      lines.push(`• *Liquidations:* ${liq.bias} (${(parseFloat(liq.ratio) * 100).toFixed(1)}% longs) ${this.getLiquidationEmoji(liq.bias)}`);
+      const window = liq.windowMinutes ? `, ${this.formatWindow(liq.windowMinutes)}` : '';
+      lines.push(`• *Liquidations:* ${liq.bias} (${(parseFloat(liq.ratio) * 100).toFixed(1)}% longs${window}) ${this.getLiquidationEmoji(liq.bias)}`);
+    }
+    
+    if (sentiment) {
+      const labels = {
+        globalRatio: 'L/S Ratio',
+        topTraderRatio: 'Top Traders L/S',
+        takerRatio: 'Taker Buy/Sell'
+      };
+      
+      for (const [name, label] of Object.entries(labels)) {
+        const metric = sentiment[name];
+        if (!metric) continue;
+        
+        const z = parseFloat(metric.zScore);
+        lines.push(`• *${label}:* ${metric.value} (z ${z > 0 ? '+' : ''}${metric.zScore}) ${this.getStatusEmoji(metric.bias)}`);
+      }
+    }
+    
+    if (analysis?.basis) {
+      lines.push(this.formatBasisAnalysis(analysis.basis));
+    }
+    
+    if (futuresIndicators.unavailable && futuresIndicators.unavailable.length > 0) {
+      lines.push(`• *Unavailable:* ${futuresIndicators.unavailable.join(', ')} ⚠️`);
+    }
+    
+    return lines.join('\n');
+  }
+
+  // Band position of price on every anchored VWAP, plus the bands of the one used for scoring or entries
+  formatAnchoredVWAPs(vwaps, price) {
+    const labels = { daily: 'Day', weekly: 'Week', session: null, swingHigh: 'Swing high', swingLow: 'Swing low', volumeEvent: 'Volume event' };
+    const sigma = vwap => (vwap.stdDev > 0 ? (price - vwap.value) / vwap.stdDev : 0);
+    const parts = Object.entries(labels)
+      .filter(([name]) => vwaps[name])
+      .map(([name, label]) => {
+        const vwap = vwaps[name];
+        const title = label || vwap.session.charAt(0) + vwap.session.slice(1).toLowerCase().replace('_', ' ');
+        return `${title} ${sigma(vwap) >= 0 ? '+' : ''}${sigma(vwap).toFixed(2)}${vwap.complete ? '' : ' (partial)'}`;
+      });
+    const lines = [`• *Anchored VWAPs (σ):* ${parts.join(' | ')}`];
+    
+    const anchor = config.indicators.vwap.entryAnchor || config.indicators.vwap.scoreAnchor;
+    const banded = anchor && vwaps[anchor];
+    if (banded) {
+      lines.push(`• *${anchor.charAt(0).toUpperCase()}${anchor.slice(1)} bands:* ±1σ $${this.formatPrice(banded.lower1)}-$${this.formatPrice(banded.upper1)} | ±2σ $${this.formatPrice(banded.lower2)}-$${this.formatPrice(banded.upper2)}`);
+    }
+    
+    return lines.join('\n');
+  }
+
+  formatCandlestickPatterns(patterns) {
+    const emojis = { BULLISH: '🟢', BEARISH: '🔴', NEUTRAL: '⚪' };
+    
+    return patterns.map(pattern => {
+      const name = pattern.name.toLowerCase().split('_').map(word => word[0].toUpperCase() + word.slice(1)).join(' ');
+      const when = pattern.candlesAgo === 0 ? 'last closed candle' : `${pattern.candlesAgo} candles earlier`;
+      return `• *${name}* ${emojis[pattern.direction]} (${when})`;
+    }).join('\n');
+  }
+
+  formatChartPatterns(patterns) {
+    const emojis = { BULLISH: '🟢', BEARISH: '🔴', NEUTRAL: '⚪' };
+    
+    return patterns.map(pattern => {
+      const name = pattern.name.toLowerCase().split('_').map(word => word[0].toUpperCase() + word.slice(1)).join(' ');
+      const levels = pattern.breakouts.map(breakout =>
+        `${breakout.direction === 'LONG' ? '↑' : '↓'} $${this.formatPrice(breakout.level)} → $${this.formatPrice(breakout.target)}`
+      ).join(' | ');
+      const status = pattern.breakout ? ` ✅ broke ${pattern.breakout.direction === 'LONG' ? 'up' : 'down'}` : '';
+      return `• *${name}* ${emojis[pattern.bias]} ${levels}${status}`;
+    }).join('\n');
+  }
+
+  formatLiquidityAnalysis(liquidity, analysis) {
+    const lines = [];
+    
+    lines.push(`• *Spread:* ${liquidity.spreadPercent.toFixed(4)}%`);
+    lines.push(`• *Depth ±0.5%:* $${this.formatNumber(liquidity.depth.bid05)} / $${this.formatNumber(liquidity.depth.ask05)}`);
+    lines.push(`• *Depth ±1%:* $${this.formatNumber(liquidity.depth.bid1)} / $${this.formatNumber(liquidity.depth.ask1)}`);
+    
+    if (analysis?.imbalance) {
+      lines.push(`• *Imbalance:* ${analysis.imbalance.value} (${analysis.imbalance.bias}) ${analysis.quality?.quality === 'THIN' ? '⚠️' : '✅'}`);
+    }
+    
+    if (liquidity.slippage) {
+      lines.push(`• *Est. Slippage:* ${liquidity.slippage.slippagePercent.toFixed(3)}%`);
     }
     
     return lines.join('\n');
@@ -280,6 +520,8 @@ Futures trading involves extreme risk. Never risk more than you can afford to lo
       case 'ABOVE': return '📈';
       case 'STRONG_BELOW': return '💥';
       case 'BELOW': return '📉';
+      case 'EXTENDED_ABOVE':
+      case 'EXTENDED_BELOW': return '⚠️';
       default: return '⚖️';
     }
   }
@@ -298,6 +540,20 @@ Futures trading involves extreme risk. Never risk more than you can afford to lo
     return '📊';
   }
 
+  getOIQuadrantText(quadrant) {
+    switch (quadrant) {
+      case 'NEW_LONGS': return 'New Longs 📈';
+      case 'SHORT_COVERING': return 'Short Covering ⤴️';
+      case 'NEW_SHORTS': return 'New Shorts 📉';
+      case 'LONG_LIQUIDATION': return 'Long Liquidation ⤵️';
+      default: return 'No Clear Flow ⚖️';
+    }
+  }
+
+  formatWindow(minutes) {
+    return minutes % 60 === 0 ? `${minutes / 60}h` : `${minutes}m`;
+  }
+
   getLiquidationEmoji(bias) {
     switch (bias) {
       case 'BULLISH': return '🔥';
@@ -350,19 +606,19 @@ Futures trading involves extreme risk. Never risk more than you can afford to lo
     }
   }
 
-  async sendTradeUpdate(symbol, updateType, price, message) {
+  async sendTradeUpdate(symbol, updateType, price, message, strategy = null) {
     try {
       const emoji = this.getUpdateEmoji(updateType);
       
       const updateMessage = `
 ${emoji} *TRADE UPDATE*
 
-*${symbol}*
+*${symbol}*${strategy ? ` (${strategy})` : ''}
 *${updateType.replace('_', ' ')}* at $${this.formatPrice(price)}
 
 ${message}
 
-#TradeUpdate #${symbol.replace('/', '')}
+#TradeUpdate #${symbol.replace('/', '')}${strategy ? ` #${strategy}` : ''}
       `.trim();
       
       await this.sendMessage(updateMessage);
@@ -378,6 +634,7 @@ ${message}
       case 'TP_HIT': return '🎯';
       case 'SL_HIT': return '🛑';
       case 'ENTRY_FILLED': return '✅';
+      case 'SL_TRAILED': return '🔒';
       case 'PARTIAL_FILL': return '📊';
       default: return '📢';
     }
@@ -400,11 +657,14 @@ ${message}
 • *Scan Interval:* ${config.scanning.intervalMinutes} minutes
 • *Min Volume:* ${this.formatNumber(config.scanning.minVolumeUSDT)} USDT
 • *Max Tokens:* ${config.scanning.maxTokensPerScan} per scan
+• *Universe:* ${config.universe.preset} preset
+• *Strategies:* ${config.strategies.enabled.join(', ')}
 • *Min Confidence:* ${config.signal.minConfidence}%
 • *Risk per Trade:* ${config.riskManagement.defaultRiskPercentage}%
 
 📊 *Advanced Features:*
-• Multi-timeframe analysis ✅
+• Multi-timeframe analysis ${config.features.multiTimeframe ? '✅' : '❌'}
+• Regime profiles ${config.features.regimeProfiles ? '✅' : '❌'}
 • Funding rate monitoring ${config.features.fundingAnalysis ? '✅' : '❌'}
 • Liquidation tracking ${config.features.liquidationAnalysis ? '✅' : '❌'}
 • Trade monitoring ${config.features.tradeMonitoring ? '✅' : '❌'}
@@ -430,15 +690,18 @@ Happy Trading! 📈💰
     await this.sendStatusMessage(message);
   }
 
-  async sendScanSummary(tokensScanned, signalsFound, scanNumber, totalSignals) {
-    const successRate = tokensScanned > 0 ? ((signalsFound / tokensScanned) * 100).toFixed(1) : '0.0';
+  async sendScanSummary(scanStats, totalSignals) {
+    const { scanNumber, tokensAnalyzed, signalsFound, noSetups, dataUnavailable } = scanStats;
+    const successRate = scanStats.successRate.toFixed(1);
     
     const message = `
 📊 *SCAN SUMMARY #${scanNumber}*
 
 🔍 *Scan Results:*
-• *Tokens Analyzed:* ${tokensScanned}
+• *Tokens Analyzed:* ${tokensAnalyzed}
 • *Signals Generated:* ${signalsFound}
+• *No Setup:* ${noSetups}
+• *Data Unavailable:* ${dataUnavailable} ${dataUnavailable > 0 ? '⚠️' : '✅'}
 • *Success Rate:* ${successRate}%
 • *Total Signals Today:* ${totalSignals}
 
@@ -457,13 +720,66 @@ Keep monitoring the markets! 🚀
     await this.sendStatusMessage(message);
   }
 
+  async sendDataAvailabilityAlert(scanStats, recovered) {
+    const reasons = Object.entries(scanStats.unavailableReasons || {})
+      .map(([reason, count]) => `• *${reason}:* ${count}`)
+      .join('\n');
+    
+    const scope = scanStats.tokensAnalyzed > 0
+      ? `data for ${scanStats.dataUnavailable}/${scanStats.tokensAnalyzed} tokens`
+      : 'the market list';
+    
+    const message = recovered ? `
+✅ *MARKET DATA RECOVERED*
+
+Scan #${scanStats.scanNumber} received data for ${scanStats.tokensAnalyzed - scanStats.dataUnavailable}/${scanStats.tokensAnalyzed} tokens.
+Signals resume as normal.
+
+#DataRecovered #BotStatus
+    `.trim() : `
+🚨 *MARKET DATA UNAVAILABLE* 🚨
+
+Scan #${scanStats.scanNumber} could not load ${scope}.
+No signals does *not* mean a quiet market right now.
+
+*Reasons:*
+${reasons || '• Unknown'}
+
+#DataOutage #BotStatus
+    `.trim();
+    
+    await this.sendStatusMessage(message);
+  }
+
+  async sendBasisAlert(basis) {
+    const direction = basis.premiumZScore > 0 ? 'PREMIUM' : 'DISCOUNT';
+    const spotLine = basis.spotBasis !== null
+      ? `\n• *Spot Basis:* ${(basis.spotBasis * 100).toFixed(4)}% (${(basis.spotBasisAnnualized * 100).toFixed(2)}% APR)`
+      : '';
+    
+    const message = `
+📐 *BASIS ALERT: ${basis.symbol}* 📐
+
+Perp ${direction.toLowerCase()} is ${Math.abs(basis.premiumZScore).toFixed(1)}σ from its recent average.
+
+• *Mark:* $${this.formatPrice(basis.markPrice)}
+• *Index:* $${this.formatPrice(basis.indexPrice)}
+• *Premium:* ${(basis.premium * 100).toFixed(4)}% (${(basis.premiumAnnualized * 100).toFixed(2)}% APR)${spotLine}
+• *Status:* ${basis.status} ${this.getBasisEmoji(basis.status)}
+
+#BasisAlert #${basis.symbol.replace('/', '')}
+    `.trim();
+    
+    await this.sendStatusMessage(message);
+  }
+
   async sendErrorAlert(error, context) {
     const message = `
 🚨 *BOT ERROR ALERT* 🚨
 
 *Context:* ${context}
 *Error:* ${error.message}
-*Time:* ${new Date().toLocaleString()}
+*Time:* ${clock.date().toLocaleString()}
 
 Bot will attempt to recover automatically.
 
@@ -1,7 +1,10 @@
 const exchangeService = require('./exchangeService');
+const marketStreamService = require('./marketStreamService');
+const futuresIndicators = require('./futuresIndicators');
 const telegramService = require('./telegramService');
 const config = require('../config/config');
 const logger = require('../utils/logger');
+const clock = require('../utils/clock');
 
 class TradeMonitor {
   constructor() {
@@ -11,6 +14,9 @@ class TradeMonitor {
     this.isMonitoring = false;
     this.maxCompletedTrades = 50;
     this.checkIntervalMs = 2 * 60 * 1000; // 2 minutes
+    this.evaluations = new Map(); // trade id -> evaluation in flight and the latest price waiting for it
+    this.trailingUpdates = new Set(); // trade ids with a trailing stop update in flight
+    this.onPriceTick = this.handlePriceTick.bind(this);
   }
 
   addTrade(signalData) {
@@ -24,11 +30,20 @@ class TradeMonitor {
       const trade = {
         id: tradeId,
         symbol: signalData.symbol,
+        strategy: signalData.signal.strategy,
+        regime: signalData.signal.regime || 'UNCLASSIFIED',
         direction: signalData.signal.direction,
         entryPrice: signalData.entryPrice,
         currentPrice: signalData.currentPrice,
         takeProfits: signalData.takeProfits,
         stopLoss: signalData.stopLoss,
+        initialStopLoss: signalData.stopLoss,
+        // Stop trails the Parabolic SAR once the configured take profit is hit
+        trailing: {
+          active: false,
+          reference: signalData.indicators?.trend?.parabolicSAR?.value || null,
+          lastCandle: null
+        },
         positionInfo: signalData.positionInfo,
         signal: signalData.signal,
         timestamp: signalData.timestamp,
@@ -48,8 +63,9 @@ class TradeMonitor {
       };
       
       this.activeTrades.set(tradeId, trade);
+      marketStreamService.subscribe(trade.symbol);
       
-      logger.info(`📊 Trade ${tradeId} added to monitor (${signalData.symbol} ${signalData.signal.direction})`);
+      logger.info(`📊 Trade ${tradeId} added to monitor (${signalData.symbol} ${signalData.signal.direction}, ${trade.strategy})`);
       
       return tradeId;
     } catch (error) {
@@ -62,7 +78,8 @@ class TradeMonitor {
     const timestamp = signalData.timestamp.getTime();
     const symbol = signalData.symbol.replace('/', '');
     const direction = signalData.signal.direction;
-    return `${symbol}_${direction}_${timestamp}`.substring(0, 32);
+    // Strategies can signal the same symbol and direction in one scan
+    return `${symbol}_${direction}_${signalData.signal.strategy}_${timestamp}`;
   }
 
   async monitorTrades() {
@@ -74,34 +91,90 @@ class TradeMonitor {
 
     const tradesToCheck = Array.from(this.activeTrades.values());
     
-    // Process trades in batches to avoid API rate limits
-    const batchSize = 5;
-    for (let i = 0; i < tradesToCheck.length; i += batchSize) {
-      const batch = tradesToCheck.slice(i, i + batchSize);
-      
-      const promises = batch.map(trade => this.checkTradeStatus(trade));
-      await Promise.allSettled(promises);
-      
-      // Small delay between batches
-      if (i + batchSize < tradesToCheck.length) {
-        await this.delay(1000);
-      }
+    // The request scheduler paces these ahead of any scanning requests
+    const promises = tradesToCheck.map(trade => this.checkTradeStatus(trade));
+    await Promise.allSettled(promises);
+  }
+
+  async handlePriceTick(tick) {
+    const trades = Array.from(this.activeTrades.values())
+      .filter(trade => trade.symbol === tick.symbol);
+    
+    for (const trade of trades) {
+      await this.evaluateTrade(trade, tick.price);
+      await this.trailIfDue(trade);
     }
   }
 
   async checkTradeStatus(trade) {
     try {
-      // Get current price
-      const currentPrice = await exchangeService.getCurrentPrice(trade.symbol);
+      // Prefer a fresh streamed price, fall back to REST polling
+      const currentPrice = marketStreamService.getLatestPrice(trade.symbol) ||
+        await exchangeService.getCurrentPrice(trade.symbol, { priority: 'HIGH' });
       
       if (!currentPrice) {
         logger.debug(`Unable to get price for ${trade.symbol}`);
         return;
       }
 
+      await this.evaluateTrade(trade, currentPrice);
+      await this.trailIfDue(trade);
+
+    } catch (error) {
+      logger.error(`Error checking trade ${trade.id}: ${error.message}`);
+    }
+  }
+
+  // Ticks arrive every second while notifications wait on Telegram, so each trade handles one price
+  // at a time; prices arriving meanwhile collapse into their range, whose extremes run next
+  evaluateTrade(trade, currentPrice) {
+    const inFlight = this.evaluations.get(trade.id);
+    if (inFlight) {
+      const range = inFlight.collapsed;
+      inFlight.collapsed = range
+        ? { low: Math.min(range.low, currentPrice), high: Math.max(range.high, currentPrice), last: currentPrice }
+        : { low: currentPrice, high: currentPrice, last: currentPrice };
+      return inFlight.promise;
+    }
+
+    const evaluation = { collapsed: null };
+    this.evaluations.set(trade.id, evaluation);
+    
+    evaluation.promise = (async () => {
+      try {
+        let prices = [currentPrice];
+        while (prices.length > 0 && this.activeTrades.has(trade.id)) {
+          for (const price of prices) {
+            if (!this.activeTrades.has(trade.id)) break;
+            await this.applyPrice(trade, price);
+          }
+          prices = this.collapsedPrices(trade, evaluation.collapsed);
+          evaluation.collapsed = null;
+        }
+      } finally {
+        this.evaluations.delete(trade.id);
+      }
+    })();
+    
+    return evaluation.promise;
+  }
+
+  // The order of collapsed ticks is lost, so the extreme against the trade runs first: a wick through
+  // the stop counts as stopped out even if a target was also reached. The latest price runs last
+  collapsedPrices(trade, range) {
+    if (!range) return [];
+    
+    const extremes = trade.direction === 'LONG' ? [range.low, range.high] : [range.high, range.low];
+    return [...new Set(extremes.filter(price => price !== range.last)), range.last];
+  }
+
+  async applyPrice(trade, currentPrice) {
+    try {
+      if (!this.activeTrades.has(trade.id)) return;
+
       // Update trade data
       trade.currentPrice = currentPrice;
-      trade.lastChecked = new Date();
+      trade.lastChecked = clock.date();
       
       // Calculate PnL
       this.calculatePnL(trade, currentPrice);
@@ -186,8 +259,9 @@ class TradeMonitor {
         
       if (tp1Hit) {
         trade.tpHit.tp1 = true;
+        const trailing = this.activateTrailing(trade, 'tp1');
         await this.sendTradeNotification(trade, 'TP_HIT', currentPrice,
-          `🎯 TP1 Hit! Take 40% profit at $${this.formatPrice(currentPrice)}. Move SL to breakeven.`);
+          `🎯 TP1 Hit! Take 40% profit at $${this.formatPrice(currentPrice)}. ${trailing ? 'Stop now trails the Parabolic SAR.' : 'Move SL to breakeven.'}`);
       }
     }
 
@@ -199,8 +273,9 @@ class TradeMonitor {
         
       if (tp2Hit) {
         trade.tpHit.tp2 = true;
+        const trailing = this.activateTrailing(trade, 'tp2');
         await this.sendTradeNotification(trade, 'TP_HIT', currentPrice,
-          `🎯 TP2 Hit! Take 35% more profit at $${this.formatPrice(currentPrice)}. Trail SL with Supertrend.`);
+          `🎯 TP2 Hit! Take 35% more profit at $${this.formatPrice(currentPrice)}. ${trailing ? 'Stop now trails the Parabolic SAR.' : 'Trail SL with Supertrend.'}`);
       }
     }
 
@@ -222,6 +297,72 @@ class TradeMonitor {
     }
   }
 
+  activateTrailing(trade, level) {
+    if (trade.trailing.active || config.indicators.parabolicSAR.trailAfter !== level) {
+      return false;
+    }
+    
+    trade.trailing.active = true;
+    logger.info(`🔒 SAR trailing activated for ${trade.id} after ${level.toUpperCase()}`);
+    return true;
+  }
+
+  // A candle has closed since the stop last trailed, so the first tick or poll after the close
+  // trails it instead of waiting for the next poll
+  isTrailingDue(trade) {
+    if (!trade.trailing.active) return false;
+    
+    const timeframeMs = exchangeService.exchange.parseTimeframe(config.scanning.timeframe) * 1000;
+    const lastClosed = Math.floor(clock.now() / timeframeMs) * timeframeMs - timeframeMs;
+    return trade.trailing.lastCandle === null || trade.trailing.lastCandle < lastClosed;
+  }
+
+  async trailIfDue(trade) {
+    if (!this.activeTrades.has(trade.id) || this.trailingUpdates.has(trade.id) || !this.isTrailingDue(trade)) return;
+    
+    this.trailingUpdates.add(trade.id);
+    try {
+      await this.updateTrailingStop(trade);
+    } finally {
+      this.trailingUpdates.delete(trade.id);
+    }
+  }
+
+  // Ratchets the stop to the SAR once per closed candle; it only ever tightens
+  async updateTrailingStop(trade) {
+    try {
+      const ohlcv = await exchangeService.getOHLCV(trade.symbol, config.scanning.timeframe, config.scanning.candleLimit);
+      
+      // The forming candle's SAR moves with every tick, only closed candles may move the stop
+      const closed = (ohlcv || []).slice(0, -1);
+      if (closed.length < 2) return;
+      
+      const lastCandle = closed[closed.length - 1].timestamp;
+      if (trade.trailing.lastCandle === lastCandle) return;
+      trade.trailing.lastCandle = lastCandle;
+      
+      const { step, maxStep } = config.indicators.parabolicSAR;
+      const sar = futuresIndicators.calculateParabolicSAR(closed, step, maxStep);
+      if (!sar) return;
+      
+      trade.trailing.reference = sar.value;
+      
+      // A SAR on the wrong side of price means the trend flipped; the stop is left for price to take out
+      const isLong = trade.direction === 'LONG';
+      if (sar.trend !== (isLong ? 1 : -1)) return;
+      
+      const tighter = isLong ? sar.value > trade.stopLoss : sar.value < trade.stopLoss;
+      if (!tighter) return;
+      
+      trade.stopLoss = sar.value;
+      await this.sendTradeNotification(trade, 'SL_TRAILED', trade.currentPrice,
+        `🔒 Stop trailed to Parabolic SAR at $${this.formatPrice(sar.value)}.`);
+      
+    } catch (error) {
+      logger.error(`Error trailing stop for ${trade.id}: ${error.message}`);
+    }
+  }
+
   async checkStopLoss(trade, currentPrice) {
     if (trade.slHit) return;
 
@@ -244,7 +385,7 @@ class TradeMonitor {
   }
 
   checkTradeExpiry(trade) {
-    const now = Date.now();
+    const now = clock.now();
     const tradeAge = now - trade.timestamp.getTime();
     const maxAge = 24 * 60 * 60 * 1000; // 24 hours
     
@@ -264,12 +405,12 @@ class TradeMonitor {
         type,
         price,
         message,
-        timestamp: new Date()
+        timestamp: clock.date()
       };
       
       trade.notifications.push(notification);
       
-      await telegramService.sendTradeUpdate(trade.symbol, type, price, message);
+      await telegramService.sendTradeUpdate(trade.symbol, type, price, message, trade.strategy);
       
       logger.info(`📢 Trade notification sent for ${trade.id}: ${type}`);
       
@@ -281,10 +422,10 @@ class TradeMonitor {
   completeTrade(trade, reason) {
     try {
       // Calculate final statistics
-      const duration = Date.now() - trade.timestamp.getTime();
+      const duration = clock.now() - trade.timestamp.getTime();
       const completedTrade = {
         ...trade,
-        completedAt: new Date(),
+        completedAt: clock.date(),
         duration,
         completionReason: reason,
         finalPnL: trade.pnl,
@@ -303,6 +444,12 @@ class TradeMonitor {
       // Remove from active trades
       this.activeTrades.delete(trade.id);
       
+      const symbolStillActive = Array.from(this.activeTrades.values())
+        .some(active => active.symbol === trade.symbol);
+      if (!symbolStillActive) {
+        marketStreamService.unsubscribe(trade.symbol);
+      }
+      
       logger.info(`✅ Trade ${trade.id} completed: ${reason}`);
       
     } catch (error) {
@@ -323,6 +470,11 @@ class TradeMonitor {
 
     this.isMonitoring = true;
     
+    // Real-time TP/SL/entry checks from the price stream; polling stays as fallback
+    if (marketStreamService.start()) {
+      marketStreamService.on('price', this.onPriceTick);
+    }
+    
     this.monitoringInterval = setInterval(async () => {
       try {
         await this.monitorTrades();
@@ -331,7 +483,7 @@ class TradeMonitor {
       }
     }, this.checkIntervalMs);
     
-    logger.info(`📊 Trade monitoring started (checking every ${this.checkIntervalMs / 1000}s)`);
+    logger.info(`📊 Trade monitoring started (polling every ${this.checkIntervalMs / 1000}s, streaming ${marketStreamService.isRunning ? 'on' : 'off'})`);
   }
 
   stopMonitoring() {
@@ -340,6 +492,9 @@ class TradeMonitor {
       this.monitoringInterval = null;
     }
     
+    marketStreamService.removeListener('price', this.onPriceTick);
+    marketStreamService.stop();
+    
     this.isMonitoring = false;
     logger.info('📊 Trade monitoring stopped');
   }
@@ -379,10 +534,44 @@ class TradeMonitor {
       totalUnrealizedPnL: totalPnL,
       recentWinRate: winRate.toFixed(1),
       recentAvgPnL: avgPnL.toFixed(2),
-      lastCheck: activeTrades.length > 0 ? activeTrades[0].lastChecked : null
+      lastCheck: activeTrades.length > 0 ? activeTrades[0].lastChecked : null,
+      priceStream: marketStreamService.getStatistics(),
+      strategies: this.getGroupStatistics('strategy'),
+      regimes: this.getGroupStatistics('regime')
     };
   }
 
+  // Active and completed trade performance per value of a trade field, e.g. strategy or regime
+  getGroupStatistics(field) {
+    const stats = {};
+    const entryFor = group => {
+      if (!stats[group]) {
+        stats[group] = { activeTrades: 0, completedTrades: 0, wins: 0, totalPnL: 0, unrealizedPnL: 0 };
+      }
+      return stats[group];
+    };
+    
+    for (const trade of this.activeTrades.values()) {
+      const entry = entryFor(trade[field]);
+      entry.activeTrades++;
+      entry.unrealizedPnL += trade.pnl;
+    }
+    
+    for (const trade of this.completedTrades) {
+      const entry = entryFor(trade[field]);
+      entry.completedTrades++;
+      entry.totalPnL += trade.finalPnL;
+      if (trade.finalPnL > 0) entry.wins++;
+    }
+    
+    for (const entry of Object.values(stats)) {
+      entry.winRate = entry.completedTrades > 0 ? ((entry.wins / entry.completedTrades) * 100).toFixed(1) : '0.0';
+      entry.avgPnL = entry.completedTrades > 0 ? (entry.totalPnL / entry.completedTrades).toFixed(2) : '0.00';
+    }
+    
+    return stats;
+  }
+
   // Manual trade management methods
   async forceCheckTrade(tradeId) {
     const trade = this.activeTrades.get(tradeId);
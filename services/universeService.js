@@ -0,0 +1,242 @@
+const exchangeService = require('./exchangeService');
+const fundingRateService = require('./fundingRateService');
+const config = require('../config/config');
+const logger = require('../utils/logger');
+const clock = require('../utils/clock');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+class UniverseService {
+  constructor() {
+    this.lastUniverse = null;
+  }
+
+  // Base settings, overridden by the selected preset; blacklists are combined
+  getSettings(presetName = config.universe.preset) {
+    const preset = config.universe.presets[presetName];
+    
+    if (!preset) {
+      throw new Error(`Unknown universe preset: ${presetName}`);
+    }
+    
+    const base = {
+      minVolumeUSDT: config.scanning.minVolumeUSDT,
+      whitelist: config.universe.whitelist,
+      blacklist: config.universe.blacklist,
+      minListingAgeDays: config.universe.minListingAgeDays,
+      maxSpreadPercent: config.universe.maxSpreadPercent,
+      minOpenInterestUSDT: config.universe.minOpenInterestUSDT,
+      delistingWindowDays: config.universe.delistingWindowDays,
+      excludePatterns: config.universe.excludePatterns
+    };
+    
+    return {
+      ...base,
+      ...preset,
+      blacklist: [...base.blacklist, ...(preset.blacklist || [])],
+      whitelist: preset.whitelist || base.whitelist
+    };
+  }
+
+  matchesList(list, symbol, market) {
+    return list.some(entry => {
+      const normalized = entry.toUpperCase();
+      return normalized === market.base || normalized === symbol || normalized === market.id;
+    });
+  }
+
+  getMarketStatus(market) {
+    return market.info?.status || market.info?.state || null;
+  }
+
+  getDeliveryTime(market) {
+    const delivery = parseInt(market.info?.deliveryDate || market.info?.deliveryTime || market.info?.expTime || market.expiry || 0);
+    return delivery > 0 ? delivery : null;
+  }
+
+  getListingTime(market) {
+    const listed = parseInt(market.created || market.info?.onboardDate || market.info?.launchTime || market.info?.listTime || 0);
+    return listed > 0 ? listed : null;
+  }
+
+  // Returns the first reason a market fails the static filters, or null
+  getMarketExclusion(symbol, market, settings) {
+    const now = clock.now();
+    
+    if (this.matchesList(settings.blacklist, symbol, market)) {
+      return 'blacklisted';
+    }
+    
+    if (settings.whitelist.length > 0 && !this.matchesList(settings.whitelist, symbol, market)) {
+      return 'not whitelisted';
+    }
+    
+    if (!market.active) {
+      return 'inactive';
+    }
+    
+    const status = this.getMarketStatus(market);
+    if (status && !/^(trading|live)$/i.test(status)) {
+      return `status ${status}`;
+    }
+    
+    const delivery = this.getDeliveryTime(market);
+    if (delivery && delivery - now < settings.delistingWindowDays * DAY_MS) {
+      return `delisting ${new Date(delivery).toISOString().slice(0, 10)}`;
+    }
+    
+    const pattern = settings.excludePatterns.find(regex => new RegExp(regex).test(market.base));
+    if (pattern) {
+      return `matches exclude pattern ${pattern}`;
+    }
+    
+    const listed = this.getListingTime(market);
+    if (listed && settings.minListingAgeDays > 0) {
+      const ageDays = (now - listed) / DAY_MS;
+      if (ageDays < settings.minListingAgeDays) {
+        return `listed ${ageDays.toFixed(1)}d ago (min ${settings.minListingAgeDays}d)`;
+      }
+    }
+    
+    return null;
+  }
+
+  getTickerExclusion(ticker, settings) {
+    if (!ticker) {
+      return 'no ticker';
+    }
+    
+    const volume = ticker.quoteVolume || 0;
+    if (volume < settings.minVolumeUSDT) {
+      return `volume ${Math.round(volume)} < ${settings.minVolumeUSDT} USDT`;
+    }
+    
+    if (settings.maxSpreadPercent > 0 && ticker.bid && ticker.ask) {
+      const spreadPercent = this.getSpreadPercent(ticker);
+      if (spreadPercent > settings.maxSpreadPercent) {
+        return `spread ${spreadPercent.toFixed(3)}% > ${settings.maxSpreadPercent}%`;
+      }
+    }
+    
+    return null;
+  }
+
+  getSpreadPercent(ticker) {
+    if (!ticker.bid || !ticker.ask) return null;
+    
+    const mid = (ticker.bid + ticker.ask) / 2;
+    return (ticker.ask - ticker.bid) / mid * 100;
+  }
+
+  async buildUniverse(limit = config.scanning.maxTokensPerScan, presetName = config.universe.preset) {
+    const settings = this.getSettings(presetName);
+    
+    await exchangeService.refreshMarkets();
+    const tickers = await exchangeService.getTickers();
+    
+    const excluded = [];
+    const candidates = [];
+    
+    for (const [symbol, market] of Object.entries(exchangeService.markets)) {
+      if (market.quote !== 'USDT' || market.type !== 'swap') continue;
+      
+      const ticker = tickers[symbol];
+      const reason = this.getMarketExclusion(symbol, market, settings) || this.getTickerExclusion(ticker, settings);
+      
+      if (reason) {
+        excluded.push({ symbol, reason });
+        continue;
+      }
+      
+      candidates.push({
+        symbol,
+        volume: ticker.quoteVolume || 0,
+        price: ticker.last || 0,
+        spreadPercent: this.getSpreadPercent(ticker)
+      });
+    }
+    
+    candidates.sort((a, b) => b.volume - a.volume);
+    
+    const selected = [];
+    for (const candidate of candidates) {
+      if (selected.length >= limit) {
+        excluded.push({ symbol: candidate.symbol, reason: `outside top ${limit} by volume` });
+        continue;
+      }
+      
+      const oiReason = await this.getOpenInterestExclusion(candidate, settings);
+      if (oiReason) {
+        excluded.push({ symbol: candidate.symbol, reason: oiReason });
+        continue;
+      }
+      
+      selected.push(candidate);
+    }
+    
+    this.lastUniverse = {
+      preset: presetName,
+      builtAt: clock.date(),
+      settings,
+      selected,
+      excluded
+    };
+    
+    logger.info(`🌐 Universe "${presetName}": ${selected.length} selected, ${excluded.length} excluded (${this.formatReasonCounts(excluded)})`);
+    excluded.forEach(entry => logger.debug(`Universe excluded ${entry.symbol}: ${entry.reason}`));
+    
+    return selected.map(candidate => candidate.symbol);
+  }
+
+  // Only checked for symbols that would otherwise be selected, to limit requests
+  async getOpenInterestExclusion(candidate, settings) {
+    if (!settings.minOpenInterestUSDT) return null;
+    
+    try {
+      const oi = await fundingRateService.getOpenInterest(candidate.symbol);
+      const value = oi.openInterestValue || oi.openInterest * candidate.price;
+      candidate.openInterestValue = value;
+      
+      if (value < settings.minOpenInterestUSDT) {
+        return `open interest ${Math.round(value)} < ${settings.minOpenInterestUSDT} USDT`;
+      }
+    } catch (error) {
+      // Missing OI should not empty the universe during an outage
+      logger.debug(`Open interest check skipped for ${candidate.symbol}: ${error.message}`);
+    }
+    
+    return null;
+  }
+
+  formatReasonCounts(excluded) {
+    const counts = {};
+    
+    excluded.forEach(entry => {
+      const category = entry.reason.split(' ')[0];
+      counts[category] = (counts[category] || 0) + 1;
+    });
+    
+    return Object.entries(counts).map(([reason, count]) => `${reason}: ${count}`).join(', ') || 'none';
+  }
+
+  getExclusionReason(symbol) {
+    if (!this.lastUniverse) return null;
+    
+    const entry = this.lastUniverse.excluded.find(excluded => excluded.symbol === symbol);
+    return entry ? entry.reason : null;
+  }
+
+  getUniverseReport() {
+    if (!this.lastUniverse) return null;
+    
+    return {
+      preset: this.lastUniverse.preset,
+      builtAt: this.lastUniverse.builtAt,
+      selected: this.lastUniverse.selected.map(candidate => candidate.symbol),
+      excluded: this.lastUniverse.excluded,
+      summary: this.formatReasonCounts(this.lastUniverse.excluded)
+    };
+  }
+}
+
+module.exports = new UniverseService();
@@ -0,0 +1,75 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const config = require('../config/config');
+const basisService = require('../services/basisService');
+const fundingRateService = require('../services/fundingRateService');
+const exchangeService = require('../services/exchangeService');
+const { ExchangeDown, Unsupported } = require('../utils/errors');
+
+const { basisAnalysis } = config.features;
+const symbol = 'BTC/USDT:USDT';
+let provider;
+
+test.beforeEach(t => {
+  config.features.basisAnalysis = true;
+  basisService.cache.clear();
+  basisService.samples.clear();
+
+  provider = {
+    fetchPremiumHistory: async () => [],
+    fetchSpotPrice: async () => 99.9
+  };
+  t.mock.method(fundingRateService, 'getProvider', () => provider);
+  t.mock.method(fundingRateService, 'fetchFundingRate', async () => ({ symbol, markPrice: 100, indexPrice: 99.95 }));
+  t.mock.method(exchangeService, 'getMarket', () => ({ id: 'BTCUSDT', symbol, base: 'BTC', quote: 'USDT' }));
+});
+
+test.afterEach(() => {
+  config.features.basisAnalysis = basisAnalysis;
+});
+
+test('measures the premium over index and the basis over spot', async () => {
+  const basis = await basisService.getBasis(symbol);
+
+  assert.ok(Math.abs(basis.premium - 0.05 / 99.95) < 1e-12);
+  assert.ok(Math.abs(basis.spotBasis - 0.1 / 99.9) < 1e-12);
+});
+
+test('fails the basis when the spot price request fails', async () => {
+  provider.fetchSpotPrice = async () => { throw new ExchangeDown('price: exchange unavailable'); };
+
+  await assert.rejects(basisService.getBasis(symbol), ExchangeDown);
+});
+
+test('fails the basis when the premium history request fails', async () => {
+  provider.fetchPremiumHistory = async () => { throw new ExchangeDown('premiumIndexKlines: exchange unavailable'); };
+
+  await assert.rejects(basisService.getBasis(symbol), ExchangeDown);
+});
+
+test('works without endpoints the exchange does not offer', async () => {
+  provider.fetchPremiumHistory = async () => { throw new Unsupported('premium history unsupported'); };
+  provider.fetchSpotPrice = async () => { throw new Unsupported('spot prices unsupported'); };
+
+  const basis = await basisService.getBasis(symbol);
+
+  assert.strictEqual(basis.spotBasis, null);
+  assert.strictEqual(basis.spotPrice, null);
+});
+
+test('reads mark and index prices with funding analysis turned off', async () => {
+  const { fundingAnalysis } = config.features;
+  config.features.fundingAnalysis = false;
+  fundingRateService.cache.clear();
+  fundingRateService.fetchFundingRate.mock.restore();
+  provider.fetchFundingRate = async () => ({ fundingRate: 0.0001, markPrice: 100, indexPrice: 99.95, nextFundingTime: 0 });
+
+  try {
+    const basis = await basisService.getBasis(symbol);
+    assert.strictEqual(basis.markPrice, 100);
+    assert.strictEqual(basis.indexPrice, 99.95);
+  } finally {
+    config.features.fundingAnalysis = fundingAnalysis;
+    fundingRateService.cache.clear();
+  }
+});
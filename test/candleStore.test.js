@@ -0,0 +1,115 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const os = require('os');
+const path = require('path');
+const fs = require('fs-extra');
+const config = require('../config/config');
+const clock = require('../utils/clock');
+const candleStore = require('../services/candleStore');
+const exchangeService = require('../services/exchangeService');
+
+const SYMBOL = 'BTC/USDT:USDT';
+const HOUR = 3600000;
+const NOW = 500000 * HOUR + 30 * 60000; // Half way through the forming candle
+const CURRENT_OPEN = 500000 * HOUR;
+
+const candle = (timestamp, close = 100) => ({ timestamp, open: 100, high: close + 1, low: 99, close, volume: 10 });
+
+// Exchange history from `listedAt` up to the forming candle, served the way fetchOHLCV pages it
+function exchangeHistory(listedAt) {
+  const candles = [];
+  for (let timestamp = listedAt; timestamp <= CURRENT_OPEN; timestamp += HOUR) {
+    candles.push(candle(timestamp));
+  }
+  return candles;
+}
+
+let directory;
+let saved;
+let market;
+let fetchOHLCV;
+
+test.beforeEach(async t => {
+  directory = await fs.mkdtemp(path.join(os.tmpdir(), 'candles-'));
+  saved = { directory: candleStore.directory, exchange: exchangeService.exchange, maxCandles: config.candleStore.maxCandles };
+
+  candleStore.directory = directory;
+  candleStore.series.clear();
+  exchangeService.attemptedGaps.clear();
+  exchangeService.historyStart.clear();
+  exchangeService.exchange = { parseTimeframe: () => HOUR / 1000 };
+  clock.setVirtualTime(NOW);
+
+  market = exchangeHistory(CURRENT_OPEN - 99 * HOUR);
+  fetchOHLCV = t.mock.method(exchangeService, 'fetchOHLCV', async (symbol, timeframe, since, limit) =>
+    market.filter(c => c.timestamp >= since).slice(0, limit)
+  );
+});
+
+test.afterEach(async () => {
+  candleStore.directory = saved.directory;
+  candleStore.series.clear();
+  exchangeService.exchange = saved.exchange;
+  config.candleStore.maxCandles = saved.maxCandles;
+  clock.useRealTime();
+  await fs.remove(directory);
+});
+
+const sinceOfCalls = () => fetchOHLCV.mock.calls.map(call => call.arguments[2]);
+
+test('a gap in the stored candles is backfilled from the exchange', async () => {
+  const stored = market.filter(c => c.timestamp < CURRENT_OPEN - 20 * HOUR || c.timestamp > CURRENT_OPEN - 15 * HOUR);
+  await candleStore.addCandles(SYMBOL, '1h', stored, HOUR);
+
+  const candles = await exchangeService.getStoredOHLCV(SYMBOL, '1h', 30);
+
+  assert.strictEqual(candles.length, 30);
+  assert.deepStrictEqual(candleStore.findGaps(candles, HOUR), []);
+  assert.ok(sinceOfCalls().includes(CURRENT_OPEN - 20 * HOUR));
+});
+
+test('the forming candle is replaced by its latest revision', async () => {
+  await exchangeService.getStoredOHLCV(SYMBOL, '1h', 30);
+
+  market[market.length - 1] = candle(CURRENT_OPEN, 105);
+  const revised = await exchangeService.getStoredOHLCV(SYMBOL, '1h', 30);
+
+  assert.strictEqual(revised.length, 30);
+  assert.strictEqual(revised[revised.length - 1].timestamp, CURRENT_OPEN);
+  assert.strictEqual(revised[revised.length - 1].close, 105);
+
+  // Still forming, so nothing about it has been written to disk
+  const lines = (await fs.readFile(candleStore.getFilePath(SYMBOL, '1h'), 'utf8')).split('\n').filter(Boolean);
+  assert.ok(lines.every(line => JSON.parse(line).timestamp < CURRENT_OPEN));
+});
+
+test('a market younger than the window is only backfilled once', async () => {
+  market = exchangeHistory(CURRENT_OPEN - 4 * HOUR);
+
+  const first = await exchangeService.getStoredOHLCV(SYMBOL, '1h', 30);
+  assert.strictEqual(first.length, 5);
+
+  fetchOHLCV.mock.resetCalls();
+  const second = await exchangeService.getStoredOHLCV(SYMBOL, '1h', 30);
+
+  assert.strictEqual(second.length, 5);
+  // Only the incremental sync from the last stored candle
+  assert.deepStrictEqual(sinceOfCalls(), [CURRENT_OPEN]);
+});
+
+test('compaction keeps the latest revision of each candle', async () => {
+  config.candleStore.maxCandles = 3;
+  const closedAt = CURRENT_OPEN - HOUR;
+
+  for (let revision = 1; revision <= 7; revision++) {
+    await candleStore.addCandles(SYMBOL, '1h', [candle(closedAt, 100 + revision)], HOUR);
+  }
+
+  const filePath = candleStore.getFilePath(SYMBOL, '1h');
+  const lines = (await fs.readFile(filePath, 'utf8')).split('\n').filter(Boolean);
+  assert.strictEqual(lines.length, 1);
+
+  candleStore.series.clear();
+  const reloaded = await candleStore.getCandles(SYMBOL, '1h');
+  assert.deepStrictEqual(reloaded, [candle(closedAt, 107)]);
+});
@@ -0,0 +1,102 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const os = require('os');
+const path = require('path');
+const fs = require('fs-extra');
+const ccxt = require('ccxt');
+const clock = require('../utils/clock');
+const cassette = require('../utils/cassette');
+const resilience = require('../services/resilience');
+const exchangeService = require('../services/exchangeService');
+const { BadSymbol, RateLimited, classifyError } = require('../utils/errors');
+
+const SYMBOL = 'BTC/USDT:USDT';
+const PREMIUM_URL = 'https://fapi.binance.com/fapi/v1/premiumIndex';
+
+let directory;
+let saved;
+
+// Switches the cassette to a mode as if the process had just started with it
+function useCassette(mode) {
+  cassette.mode = mode;
+  cassette.prepared = false;
+  cassette.queues.clear();
+  cassette.served = 0;
+  cassette.recorded = 0;
+}
+
+test.beforeEach(async () => {
+  directory = await fs.mkdtemp(path.join(os.tmpdir(), 'cassette-'));
+  saved = {
+    mode: cassette.mode,
+    filePath: cassette.filePath,
+    outputPath: cassette.outputPath,
+    candleDirectory: cassette.candleDirectory,
+    exchange: exchangeService.exchange
+  };
+
+  cassette.filePath = path.join(directory, 'session.jsonl');
+  cassette.outputPath = path.join(directory, 'telegram-output.txt');
+  cassette.candleDirectory = path.join(directory, 'session-candles');
+  resilience.breakers.clear();
+});
+
+test.afterEach(async () => {
+  useCassette(saved.mode);
+  cassette.filePath = saved.filePath;
+  cassette.outputPath = saved.outputPath;
+  cassette.candleDirectory = saved.candleDirectory;
+  exchangeService.exchange = saved.exchange;
+  resilience.breakers.clear();
+  clock.useRealTime();
+  await fs.remove(directory);
+});
+
+test('recorded ccxt and HTTP responses and errors replay with their time, name and status', async () => {
+  // Record against a stand-in exchange and HTTP client
+  useCassette('record');
+  exchangeService.exchange = {
+    fetchTicker: async () => ({ symbol: SYMBOL, last: 67012.4 }),
+    fetchOHLCV: async () => { throw new ccxt.BadSymbol('binance does not have market symbol FOO/USDT:USDT'); },
+    last_response_headers: {}
+  };
+  const rateLimited = Object.assign(new Error('Request failed'), { name: 'AxiosError', response: { status: 429 } });
+  const http = resilience.wrapHttp(cassette.wrapHttp({
+    get: async (url, { params }) => {
+      if (params.symbol === 'ETHUSDT') throw rateLimited;
+      return { data: { symbol: params.symbol, markPrice: '67012.50000000' } };
+    }
+  }));
+
+  const ticker = await exchangeService.call('fetchTicker', [SYMBOL]);
+  await assert.rejects(exchangeService.call('fetchOHLCV', ['FOO/USDT:USDT', '1h', undefined, 100]), BadSymbol);
+  const premium = await http.get(PREMIUM_URL, { params: { symbol: 'BTCUSDT' } });
+  await assert.rejects(http.get(PREMIUM_URL, { params: { symbol: 'ETHUSDT' } }), RateLimited);
+
+  const entries = (await fs.readFile(cassette.filePath, 'utf8')).split('\n').filter(Boolean).map(line => JSON.parse(line));
+  assert.strictEqual(entries.length, 4);
+
+  // Replay with no exchange behind it
+  useCassette('replay');
+  resilience.breakers.clear();
+  exchangeService.exchange = {};
+
+  assert.deepStrictEqual(await exchangeService.call('fetchTicker', [SYMBOL]), ticker);
+  assert.strictEqual(clock.now(), entries[0].at);
+
+  const ohlcvError = await exchangeService.call('fetchOHLCV', ['FOO/USDT:USDT', '1h', undefined, 100]).catch(error => error);
+  assert.ok(ohlcvError instanceof BadSymbol);
+  assert.strictEqual(ohlcvError.cause.name, 'BadSymbol');
+  assert.strictEqual(clock.now(), entries[1].at);
+
+  assert.deepStrictEqual((await http.get(PREMIUM_URL, { params: { symbol: 'BTCUSDT' } })).data, premium.data);
+  assert.strictEqual(clock.now(), entries[2].at);
+
+  const httpError = await http.get(PREMIUM_URL, { params: { symbol: 'ETHUSDT' } }).catch(error => error);
+  assert.ok(httpError instanceof RateLimited);
+  assert.strictEqual(httpError.status, 429);
+  assert.ok(classifyError(httpError.cause, 'premiumIndex') instanceof RateLimited);
+  assert.strictEqual(clock.now(), entries[3].at);
+
+  assert.deepStrictEqual(cassette.getStatistics(), { mode: 'replay', recorded: 0, served: 4, remaining: 0 });
+});
@@ -0,0 +1,44 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const ccxt = require('ccxt');
+const exchangeService = require('../services/exchangeService');
+const { RateLimited, BadSymbol, ExchangeDown, MarketDataError, classifyError } = require('../utils/errors');
+
+const httpError = (status, data) => Object.assign(new Error(`Request failed with status code ${status}`), {
+  response: { status, data }
+});
+
+test('status-like numbers in the message text do not classify an error', () => {
+  const error = classifyError(new Error('binance order 4290018 rejected at 418.29'), 'fetchTicker');
+
+  assert.strictEqual(error.constructor, MarketDataError);
+  assert.strictEqual(error.status, null);
+});
+
+test('rate limits are recognised from the HTTP status, ccxt class or exchange code', () => {
+  const bybit = Object.assign(new Error('Bybit error 10006: Too many visits!'), { exchangeCode: 10006 });
+
+  assert.ok(classifyError(httpError(429), 'premiumIndex') instanceof RateLimited);
+  assert.ok(classifyError(httpError(418), 'premiumIndex') instanceof RateLimited);
+  assert.ok(classifyError(new ccxt.DDoSProtection('binance'), 'fetchOHLCV') instanceof RateLimited);
+  assert.ok(classifyError(httpError(400, { code: -1003, msg: 'Too many requests' }), 'openInterest') instanceof RateLimited);
+  assert.ok(classifyError(bybit, 'tickers') instanceof RateLimited);
+});
+
+test('bad symbols and outages are recognised without reading the message', () => {
+  const okx = Object.assign(new Error('OKX error 51001: Instrument ID does not exist'), { exchangeCode: '51001' });
+  const timeout = Object.assign(new Error('timeout of 15000ms exceeded'), { code: 'ECONNABORTED' });
+
+  assert.ok(classifyError(okx, 'funding-rate') instanceof BadSymbol);
+  assert.ok(classifyError(httpError(400, { code: -1121, msg: 'Invalid symbol.' }), 'premiumIndex') instanceof BadSymbol);
+  assert.ok(classifyError(new ccxt.BadSymbol('binance does not have market symbol FOO'), 'fetchTicker') instanceof BadSymbol);
+  assert.ok(classifyError(timeout, 'premiumIndex') instanceof ExchangeDown);
+  assert.ok(classifyError(httpError(503), 'premiumIndex') instanceof ExchangeDown);
+});
+
+test('price lookups throw the classified error instead of returning null', async t => {
+  t.mock.method(exchangeService, 'call', async () => { throw new ccxt.ExchangeNotAvailable('binance unavailable'); });
+
+  await assert.rejects(exchangeService.getCurrentPrice('BTC/USDT:USDT'), ExchangeDown);
+  await assert.rejects(exchangeService.getTicker('BTC/USDT:USDT'), ExchangeDown);
+});
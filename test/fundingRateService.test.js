@@ -0,0 +1,46 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const config = require('../config/config');
+const clock = require('../utils/clock');
+const fundingRateService = require('../services/fundingRateService');
+const exchangeService = require('../services/exchangeService');
+
+const symbol = 'BTC/USDT:USDT';
+const HOUR = 3600000;
+const NOW = 480000 * HOUR;
+const saved = { fundingAnalysis: config.features.fundingAnalysis, blackoutMinutes: config.futures.fundingRate.blackoutMinutes };
+
+test.beforeEach(t => {
+  config.features.fundingAnalysis = false;
+  config.futures.fundingRate.blackoutMinutes = 15;
+  fundingRateService.cache.clear();
+  clock.setVirtualTime(NOW);
+
+  t.mock.method(exchangeService, 'getMarket', () => ({ id: 'BTCUSDT', symbol }));
+  t.mock.method(fundingRateService, 'getProvider', () => ({
+    fetchFundingRate: async () => ({ fundingRate: 0.0003, markPrice: 100, indexPrice: 99.95, nextFundingTime: NOW + 10 * 60000 }),
+    fetchFundingHistory: async () => [
+      { fundingTime: NOW - 16 * HOUR + 10 * 60000, fundingRate: 0.0003, markPrice: null },
+      { fundingTime: NOW - 8 * HOUR + 10 * 60000, fundingRate: 0.0003, markPrice: null }
+    ]
+  }));
+});
+
+test.afterEach(() => {
+  config.features.fundingAnalysis = saved.fundingAnalysis;
+  config.futures.fundingRate.blackoutMinutes = saved.blackoutMinutes;
+  fundingRateService.cache.clear();
+  clock.useRealTime();
+});
+
+test('the funding projection and blackout work with funding analysis turned off', async () => {
+  assert.strictEqual(await fundingRateService.getFundingRate(symbol), null);
+
+  const projection = await fundingRateService.getFundingProjection(symbol, 'LONG');
+
+  assert.strictEqual(projection.minutesToFunding, 10);
+  assert.strictEqual(projection.intervalHours, 8);
+  assert.strictEqual(projection.settlements, 3);
+  assert.ok(Math.abs(projection.projectedCost - 0.0009) < 1e-12);
+  assert.strictEqual(fundingRateService.isInFundingBlackout(projection), true);
+});
@@ -0,0 +1,43 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const futuresIndicators = require('../services/futuresIndicators');
+
+const candle = (i, close, range = 2) => ({
+  timestamp: i * 3600000,
+  open: close,
+  high: close + range / 2,
+  low: close - range / 2,
+  close,
+  volume: 100
+});
+
+const trend = (length, start, step) => Array.from({ length }, (_, i) => candle(i, start + i * step));
+
+test('Supertrend returns a lower band below price in an uptrend', () => {
+  const ohlcv = trend(40, 100, 1);
+  const supertrend = futuresIndicators.calculateSupertrend(ohlcv, 10, 3);
+
+  assert.ok(Number.isFinite(supertrend.value));
+  assert.strictEqual(supertrend.trend, 1);
+  assert.ok(supertrend.value < ohlcv[ohlcv.length - 1].close);
+});
+
+test('Supertrend uses the ATR ending at the current candle', () => {
+  const ohlcv = trend(40, 100, 1);
+  const last = ohlcv[ohlcv.length - 1];
+  const atr = futuresIndicators.calculateATR(ohlcv, 10);
+  const supertrend = futuresIndicators.calculateSupertrend(ohlcv, 10, 3);
+
+  assert.ok(Math.abs(supertrend.lowerBand - ((last.high + last.low) / 2 - 3 * atr)) < 1e-9);
+});
+
+test('Supertrend flips down after a sharp reversal', () => {
+  const ohlcv = trend(30, 100, 1);
+  for (let i = 0; i < 10; i++) {
+    ohlcv.push(candle(30 + i, 125 - i * 5));
+  }
+  const supertrend = futuresIndicators.calculateSupertrend(ohlcv, 10, 3);
+
+  assert.strictEqual(supertrend.trend, -1);
+  assert.ok(supertrend.value > ohlcv[ohlcv.length - 1].close);
+});
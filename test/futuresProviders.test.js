@@ -0,0 +1,201 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createFuturesProvider } = require('../services/futuresProviders');
+const { Unsupported } = require('../utils/errors');
+
+const market = { id: 'BTCUSDT', symbol: 'BTC/USDT:USDT' };
+
+test('exchanges without an adapter get a provider whose endpoints are unsupported', async () => {
+  const provider = createFuturesProvider('bitget');
+
+  assert.strictEqual(provider.available, false);
+  assert.strictEqual(provider.supportsStreaming, false);
+  await assert.rejects(provider.fetchFundingRate(market), Unsupported);
+  await assert.rejects(provider.fetchOpenInterest(market), Unsupported);
+});
+
+test('funding history without mark prices leaves them unknown', () => {
+  const bybit = createFuturesProvider('bybit').parseFundingHistory({
+    list: [
+      { symbol: 'BTCUSDT', fundingRate: '0.0002', fundingRateTimestamp: '1700028800000' },
+      { symbol: 'BTCUSDT', fundingRate: '0.0001', fundingRateTimestamp: '1700000000000' }
+    ]
+  });
+  const okx = createFuturesProvider('okx').parseFundingHistory([
+    { instId: 'BTC-USDT-SWAP', fundingRate: '0.0001', realizedRate: '0.0001', fundingTime: '1700000000000' }
+  ]);
+
+  assert.deepStrictEqual(bybit.map(rate => rate.fundingTime), [1700000000000, 1700028800000]);
+  assert.strictEqual(bybit[0].markPrice, null);
+  assert.strictEqual(okx[0].markPrice, null);
+});
+
+// Recorded exchange payloads, served by path and query so each adapter runs its real request code
+const loadFixture = (name) => require(`./fixtures/futuresProviders/${name}.json`);
+
+function fixtureProvider(name) {
+  const fixture = loadFixture(name);
+  const requests = [];
+  const http = {
+    get: async (url, { params }) => {
+      requests.push({ url, params });
+      const entry = fixture.responses.find(candidate =>
+        candidate.path === url &&
+        Object.keys(candidate.params).length === Object.keys(params).length &&
+        Object.entries(candidate.params).every(([key, value]) => params[key] === value)
+      );
+      if (!entry) throw new Error(`No recorded response for ${url} ${JSON.stringify(params)}`);
+      return { data: entry.response };
+    }
+  };
+  
+  return { provider: createFuturesProvider(name, { http }), fixture, requests };
+}
+
+test('binance adapter parses its recorded payloads', async () => {
+  const { provider, fixture } = fixtureProvider('binance');
+  const { market, stream } = fixture;
+
+  assert.deepStrictEqual(await provider.fetchFundingRate(market), {
+    fundingRate: 0.0001,
+    markPrice: 67012.5,
+    indexPrice: 67000.12345678,
+    nextFundingTime: 1717171200000,
+    estimatedSettlePrice: 67005.80231234
+  });
+  assert.deepStrictEqual(await provider.fetchOpenInterest(market), { openInterest: 80512.345, openInterestValue: 0 });
+  assert.deepStrictEqual(await provider.fetchOpenInterestHistory(market, '15m', 2), [
+    { timestamp: 1717159500000, openInterest: 80100.1, openInterestValue: 5360000000 },
+    { timestamp: 1717160400000, openInterest: 80512.345, openInterestValue: 5395000000 }
+  ]);
+  assert.deepStrictEqual(await provider.fetchLongShortRatio(market, '15m', 2), [
+    { timestamp: 1717159500000, ratio: 1.85 },
+    { timestamp: 1717160400000, ratio: 1.9 }
+  ]);
+  assert.deepStrictEqual(await provider.fetchTopTraderLongShortRatio(market, '15m', 1), [
+    { timestamp: 1717160400000, ratio: 1.2 }
+  ]);
+  assert.deepStrictEqual(await provider.fetchTakerVolume(market, '15m', 1), [
+    { timestamp: 1717160400000, buyVolume: 500, sellVolume: 400, ratio: 1.25 }
+  ]);
+  assert.deepStrictEqual(await provider.fetchPremiumHistory(market, '15m', 2), [
+    { timestamp: 1717159500000, premium: 0.00015 },
+    { timestamp: 1717160400000, premium: 0.00025 }
+  ]);
+  assert.strictEqual(await provider.fetchSpotPrice(market), 66990.01);
+  assert.deepStrictEqual(await provider.fetchLiquidations(market, 2), [
+    { side: 'LONG', price: 66790, quantity: 0.5, timestamp: 1717159800000 },
+    { side: 'SHORT', price: 67310.2, quantity: 0.2, timestamp: 1717160100000 }
+  ]);
+  assert.deepStrictEqual(await provider.fetchFundingHistory(market, 2), [
+    { fundingTime: 1717113600000, fundingRate: 0.0001, markPrice: 66800.1 },
+    { fundingTime: 1717142400000, fundingRate: 0.00012, markPrice: 66950.2 }
+  ]);
+
+  assert.deepStrictEqual(provider.parseMarkPriceMessage(stream.markPrice), [
+    { marketId: 'BTCUSDT', price: 67012.5, timestamp: 1717160001000 }
+  ]);
+  assert.deepStrictEqual(provider.parseLiquidationMessage(stream.liquidation), [
+    { marketId: 'BTCUSDT', side: 'SHORT', price: 67090.5, quantity: 0.014, timestamp: 1717160001900 }
+  ]);
+});
+
+test('bybit adapter parses its recorded payloads', async () => {
+  const { provider, fixture } = fixtureProvider('bybit');
+  const { market, stream } = fixture;
+
+  assert.deepStrictEqual(await provider.fetchFundingRate(market), {
+    fundingRate: 0.0001,
+    markPrice: 67012.4,
+    indexPrice: 67000.1,
+    nextFundingTime: 1717171200000,
+    estimatedSettlePrice: 0
+  });
+  assert.deepStrictEqual(await provider.fetchOpenInterest(market), { openInterest: 52012.345, openInterestValue: 3485580000 });
+  assert.deepStrictEqual(await provider.fetchOpenInterestHistory(market, '15m', 2), [
+    { timestamp: 1717159500000, openInterest: 51900, openInterestValue: 0 },
+    { timestamp: 1717160400000, openInterest: 52012.345, openInterestValue: 0 }
+  ]);
+  assert.deepStrictEqual(await provider.fetchLongShortRatio(market, '15m', 2), [
+    { timestamp: 1717159500000, ratio: 1 },
+    { timestamp: 1717160400000, ratio: 0.6 / 0.4 }
+  ]);
+  assert.deepStrictEqual(await provider.fetchPremiumHistory(market, '1d', 2), [
+    { timestamp: 1717027200000, premium: 0.00015 },
+    { timestamp: 1717113600000, premium: 0.00025 }
+  ]);
+  assert.strictEqual(await provider.fetchSpotPrice(market), 66995.5);
+  assert.deepStrictEqual(await provider.fetchFundingHistory(market, 2), [
+    { fundingTime: 1717113600000, fundingRate: 0.0001, markPrice: null },
+    { fundingTime: 1717142400000, fundingRate: 0.00012, markPrice: null }
+  ]);
+  await assert.rejects(provider.fetchLiquidations(market, 2), Unsupported);
+
+  assert.deepStrictEqual(provider.parseMarkPriceMessage(stream.markPrice), [
+    { marketId: 'BTCUSDT', price: 67012.4, timestamp: 1717160001000 }
+  ]);
+  assert.deepStrictEqual(provider.parseLiquidationMessage(stream.liquidation), [
+    { marketId: 'BTCUSDT', side: 'LONG', price: 66800, quantity: 0.003, timestamp: 1717160001900 }
+  ]);
+});
+
+test('bybit kline intervals use D, W and M without a count', () => {
+  const provider = createFuturesProvider('bybit');
+
+  assert.strictEqual(provider.toKlineInterval('15m'), '15');
+  assert.strictEqual(provider.toKlineInterval('4h'), '240');
+  assert.strictEqual(provider.toKlineInterval('1d'), 'D');
+  assert.strictEqual(provider.toKlineInterval('1w'), 'W');
+  assert.strictEqual(provider.toKlineInterval('1M'), 'M');
+});
+
+test('okx adapter parses its recorded payloads', async () => {
+  const { provider, fixture } = fixtureProvider('okx');
+  const { market, stream } = fixture;
+
+  assert.deepStrictEqual(await provider.fetchFundingRate(market), {
+    fundingRate: 0.0001,
+    markPrice: 67011.3,
+    indexPrice: 66999.8,
+    nextFundingTime: 1717171200000,
+    estimatedSettlePrice: 0
+  });
+  assert.deepStrictEqual(await provider.fetchOpenInterest(market), { openInterest: 25123.45, openInterestValue: 1683500000 });
+  assert.deepStrictEqual(await provider.fetchOpenInterestHistory(market, '15m', 2), [
+    { timestamp: 1717160100000, openInterest: 0, openInterestValue: 1681000000 },
+    { timestamp: 1717160400000, openInterest: 0, openInterestValue: 1683500000 }
+  ]);
+  assert.deepStrictEqual(await provider.fetchLongShortRatio(market, '15m', 2), [
+    { timestamp: 1717160100000, ratio: 1.3 },
+    { timestamp: 1717160400000, ratio: 1.32 }
+  ]);
+  assert.deepStrictEqual(await provider.fetchTopTraderLongShortRatio(market, '15m', 1), [
+    { timestamp: 1717160400000, ratio: 0.95 }
+  ]);
+  assert.deepStrictEqual(await provider.fetchTakerVolume(market, '15m', 2), [
+    { timestamp: 1717160100000, buyVolume: 300, sellVolume: 300, ratio: 1 },
+    { timestamp: 1717160400000, buyVolume: 500, sellVolume: 400, ratio: 1.25 }
+  ]);
+  assert.deepStrictEqual(await provider.fetchPremiumHistory(market, '15m', 2), [
+    { timestamp: 1717160340000, premium: 0.00015 },
+    { timestamp: 1717160400000, premium: 0.00025 }
+  ]);
+  assert.strictEqual(await provider.fetchSpotPrice(market), 66994.2);
+  assert.deepStrictEqual(await provider.fetchLiquidations(market, 2), [
+    { side: 'LONG', price: 66780.1, quantity: 0.5, timestamp: 1717159800000 },
+    { side: 'SHORT', price: 67310.4, quantity: 0.2, timestamp: 1717160100000 }
+  ]);
+  assert.deepStrictEqual(await provider.fetchFundingHistory(market, 2), [
+    { fundingTime: 1717113600000, fundingRate: 0.0001, markPrice: null },
+    { fundingTime: 1717142400000, fundingRate: 0.000118, markPrice: null }
+  ]);
+
+  assert.deepStrictEqual(provider.parseMarkPriceMessage(stream.markPrice), [
+    { marketId: 'BTC-USDT-SWAP', price: 67011.3, timestamp: 1717160001000 }
+  ]);
+  // Liquidations for markets the scanner does not track are dropped
+  const getMarket = (instId) => (instId === market.id ? market : null);
+  assert.deepStrictEqual(provider.parseLiquidationMessage(stream.liquidation, getMarket), [
+    { marketId: 'BTC-USDT-SWAP', side: 'SHORT', price: 67095.2, quantity: 0.03, timestamp: 1717160001900 }
+  ]);
+});
@@ -0,0 +1,103 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const config = require('../config/config');
+const technicalAnalysis = require('../services/technicalAnalysis');
+const indicatorEngine = require('../services/indicatorEngine');
+
+// Deterministic random walk so failures reproduce
+const createCandles = (length, seed = 1) => {
+  let state = seed;
+  const random = () => {
+    state = (state * 1103515245 + 12345) % 2147483648;
+    return state / 2147483648;
+  };
+
+  const candles = [];
+  let close = 100;
+  for (let i = 0; i < length; i++) {
+    const open = close;
+    close = open * (1 + (random() - 0.5) * 0.04);
+    candles.push({
+      timestamp: i * 3600000,
+      open,
+      high: Math.max(open, close) * (1 + random() * 0.01),
+      low: Math.min(open, close) * (1 - random() * 0.01),
+      close,
+      volume: 1000 + Math.floor(random() * 9000)
+    });
+  }
+  return candles;
+};
+
+const calculate = (ohlcv, streaming) => {
+  const enabled = config.streamingIndicators.enabled;
+  config.streamingIndicators.enabled = streaming;
+  try {
+    return technicalAnalysis.calculateCoreIndicators('BTC/USDT', '1h', ohlcv);
+  } finally {
+    config.streamingIndicators.enabled = enabled;
+  }
+};
+
+const assertMatchesBatch = ohlcv => {
+  assert.deepStrictEqual(calculate(ohlcv, true), calculate(ohlcv, false));
+};
+
+test.beforeEach(() => indicatorEngine.clear());
+
+test('matches the batch calculations on a cold start', () => {
+  assertMatchesBatch(createCandles(100));
+});
+
+test('matches the batch calculations over a window that starts after the first synced candle', () => {
+  const candles = createCandles(151);
+
+  calculate(candles.slice(0, 101), true);
+  assertMatchesBatch(candles.slice(50, 151));
+});
+
+test('matches the batch calculations as candles arrive and the forming candle changes', () => {
+  const candles = createCandles(300, 7);
+
+  for (let end = 100; end <= candles.length; end += 3) {
+    const window = candles.slice(end - 100, end);
+    const last = window[window.length - 1];
+    const forming = { ...last, close: (last.open + last.close) / 2, volume: last.volume / 2 };
+
+    assertMatchesBatch([...window.slice(0, -1), forming]);
+    assertMatchesBatch(window);
+  }
+});
+
+test('rebuilds the history when the candles do not continue it', () => {
+  const candles = createCandles(200, 3);
+
+  calculate(candles.slice(0, 100), true);
+  assertMatchesBatch(candles.slice(120, 200));
+  assert.strictEqual(indicatorEngine.getStatistics().candles, 80);
+});
+
+test('recursive batch indicators do not depend on how much history is passed', () => {
+  const candles = createCandles(250, 5);
+  const pick = ({ ema8, ema21, ema50, supertrend, parabolicSAR, obv }) => ({ ema8, ema21, ema50, supertrend, parabolicSAR, obv });
+
+  assert.deepStrictEqual(pick(calculate(candles.slice(150), false)), pick(calculate(candles, false)));
+});
+
+test('keeps every indicator warm so a new candle is computed once and nothing is replayed', t => {
+  const candles = createCandles(200, 9);
+  calculate(candles.slice(0, 100), true);
+
+  const set = indicatorEngine.sets.get(indicatorEngine.getKey('BTC/USDT', '1h'));
+  const calls = Object.values(set.indicators).map(indicator => t.mock.method(indicator, 'next'));
+
+  // Revises the last synced candle and appends the new one
+  const window = candles.slice(1, 101);
+  const streamed = calculate(window, true);
+  assert.ok(calls.every(next => next.mock.callCount() === 2));
+  assert.deepStrictEqual(streamed, calculate(window, false));
+
+  // A scan over the same candles only revises the forming one
+  calculate(window, true);
+  assert.ok(calls.every(next => next.mock.callCount() === 3));
+});
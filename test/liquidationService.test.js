@@ -0,0 +1,161 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const os = require('os');
+const path = require('path');
+const fs = require('fs-extra');
+const { WebSocketServer } = require('ws');
+const config = require('../config/config');
+const clock = require('../utils/clock');
+const exchangeService = require('../services/exchangeService');
+const fundingRateService = require('../services/fundingRateService');
+const liquidationService = require('../services/liquidationService');
+
+const SYMBOL = 'BTC/USDT:USDT';
+const MINUTE = 60000;
+const NOW = 28000000 * MINUTE;
+
+// Binance all-market force order stream; a SELL closes a long
+const forceOrder = (side, price, quantity, timestamp) => JSON.stringify({
+  e: 'forceOrder',
+  E: timestamp,
+  o: { s: 'BTCUSDT', S: side, o: 'LIMIT', q: String(quantity), p: String(price), ap: String(price), X: 'FILLED', z: String(quantity), T: timestamp }
+});
+
+const waitFor = async (predicate) => {
+  while (!predicate()) {
+    await new Promise(resolve => setTimeout(resolve, 5));
+  }
+};
+
+let server;
+let sockets;
+let subscriptions;
+let directory;
+let saved;
+
+test.beforeEach(async t => {
+  sockets = [];
+  subscriptions = [];
+  server = new WebSocketServer({ host: '127.0.0.1', port: 0 });
+  server.on('connection', socket => {
+    sockets.push(socket);
+    socket.on('message', raw => subscriptions.push(JSON.parse(raw.toString())));
+  });
+  await new Promise(resolve => server.on('listening', resolve));
+
+  directory = await fs.mkdtemp(path.join(os.tmpdir(), 'liquidations-'));
+  saved = {
+    exchange: config.exchange.name,
+    liquidationAnalysis: config.features.liquidationAnalysis,
+    liquidations: { ...config.futures.liquidations },
+    filePath: liquidationService.filePath
+  };
+
+  config.exchange.name = 'binance';
+  config.features.liquidationAnalysis = true;
+  Object.assign(config.futures.liquidations, {
+    streamEnabled: true,
+    streamUrl: `ws://127.0.0.1:${server.address().port}`,
+    lookbackMinutes: 60
+  });
+  liquidationService.filePath = path.join(directory, 'liquidations.json');
+  liquidationService.provider = null;
+  liquidationService.buckets.clear();
+  liquidationService.coverage = [];
+  fundingRateService.cache.clear();
+  clock.setVirtualTime(NOW);
+
+  t.mock.method(exchangeService, 'getMarket', () => ({ id: 'BTCUSDT', symbol: SYMBOL }));
+  t.mock.method(exchangeService, 'getMarketById', id => (id === 'BTCUSDT' ? { id, symbol: SYMBOL, swap: true, linear: true } : null));
+});
+
+test.afterEach(async () => {
+  await liquidationService.stop();
+  config.exchange.name = saved.exchange;
+  config.features.liquidationAnalysis = saved.liquidationAnalysis;
+  Object.assign(config.futures.liquidations, saved.liquidations);
+  liquidationService.filePath = saved.filePath;
+  liquidationService.provider = null;
+  liquidationService.buckets.clear();
+  liquidationService.coverage = [];
+  fundingRateService.cache.clear();
+  clock.useRealTime();
+
+  for (const socket of server.clients) socket.terminate();
+  await new Promise(resolve => server.close(resolve));
+  await fs.remove(directory);
+});
+
+test('streamed force orders are bucketed, summed over the window and flagged complete once covered', { timeout: 5000 }, async () => {
+  assert.strictEqual(await liquidationService.start(), true);
+  await waitFor(() => subscriptions.length === 1);
+  assert.deepStrictEqual(subscriptions[0].params, ['!forceOrder@arr']);
+
+  const T1 = NOW + 61 * MINUTE;
+  clock.setVirtualTime(T1);
+  const recorded = liquidationService.stats.recorded;
+  sockets[0].send(forceOrder('SELL', 60000, 0.5, T1 + 1000));
+  sockets[0].send(forceOrder('BUY', 60000, 0.1, T1 + 20000));
+  sockets[0].send(forceOrder('SELL', 50000, 1, T1 - 90 * MINUTE));
+  await waitFor(() => liquidationService.stats.recorded === recorded + 3);
+
+  assert.deepStrictEqual(liquidationService.buckets.get(SYMBOL).get(T1), { long: 30000, short: 6000, count: 2 });
+
+  const hour = liquidationService.getLiquidations(SYMBOL, 60);
+  assert.strictEqual(hour.longValue, 30000);
+  assert.strictEqual(hour.shortValue, 6000);
+  assert.strictEqual(hour.count, 2);
+  assert.strictEqual(hour.complete, true);
+
+  // The older order predates the connection, so the longer window has a gap before it
+  const twoHours = liquidationService.getLiquidations(SYMBOL, 120);
+  assert.strictEqual(twoHours.longValue, 80000);
+  assert.strictEqual(twoHours.complete, false);
+  assert.deepStrictEqual(twoHours.gaps, [{ from: T1 - 120 * MINUTE, to: NOW }]);
+});
+
+test('history survives a restart with the downtime kept as a gap that REST fills', { timeout: 5000 }, async t => {
+  await liquidationService.start();
+  await waitFor(() => subscriptions.length === 1);
+
+  const T1 = NOW + 61 * MINUTE;
+  clock.setVirtualTime(T1);
+  const recorded = liquidationService.stats.recorded;
+  sockets[0].send(forceOrder('SELL', 60000, 0.5, T1 + 1000));
+  sockets[0].send(forceOrder('BUY', 60000, 0.1, T1 + 20000));
+  await waitFor(() => liquidationService.stats.recorded === recorded + 2);
+
+  const stoppedAt = T1 + MINUTE;
+  clock.setVirtualTime(stoppedAt);
+  await liquidationService.stop();
+
+  // A fresh process five minutes later
+  liquidationService.buckets.clear();
+  liquidationService.coverage = [];
+  const restartedAt = stoppedAt + 5 * MINUTE;
+  clock.setVirtualTime(restartedAt);
+  await liquidationService.start();
+  await waitFor(() => subscriptions.length === 2 && liquidationService.getStatistics().isConnected);
+
+  const restored = liquidationService.getLiquidations(SYMBOL, 60);
+  assert.strictEqual(restored.longValue, 30000);
+  assert.strictEqual(restored.shortValue, 6000);
+  assert.strictEqual(restored.complete, false);
+  assert.deepStrictEqual(restored.gaps, [{ from: stoppedAt, to: restartedAt }]);
+
+  // Only the REST orders inside the gap are added; the first one was already streamed
+  t.mock.method(fundingRateService, 'getProvider', () => ({
+    supportsLiquidations: true,
+    fetchLiquidations: async () => [
+      { side: 'LONG', price: 60000, quantity: 0.5, timestamp: T1 + 1000 },
+      { side: 'SHORT', price: 60000, quantity: 0.5, timestamp: stoppedAt + MINUTE }
+    ]
+  }));
+
+  const filled = await fundingRateService.getLiquidationData(SYMBOL);
+  assert.strictEqual(filled.longValue, 30000);
+  assert.strictEqual(filled.shortValue, 36000);
+  assert.strictEqual(filled.count, 3);
+  assert.strictEqual(filled.complete, true);
+  assert.strictEqual(filled.source, 'stream+rest');
+});
@@ -0,0 +1,170 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { WebSocketServer } = require('ws');
+const config = require('../config/config');
+const clock = require('../utils/clock');
+const exchangeService = require('../services/exchangeService');
+const marketStreamService = require('../services/marketStreamService');
+const tradeMonitor = require('../services/tradeMonitor');
+
+const SYMBOL = 'BTC/USDT:USDT';
+
+// Local stand-in for the exchange stream that records what each connection sends
+function startServer() {
+  return new Promise(resolve => {
+    const server = new WebSocketServer({ host: '127.0.0.1', port: 0 });
+    const stand = { server, connections: [], received: [], waiters: [] };
+
+    stand.next = (predicate) => new Promise(resolveMessage => {
+      const found = stand.received.find(predicate);
+      if (found) {
+        stand.received.splice(stand.received.indexOf(found), 1);
+        return resolveMessage(found);
+      }
+      stand.waiters.push({ predicate, resolve: resolveMessage });
+    });
+
+    server.on('connection', socket => {
+      stand.connections.push(socket);
+      socket.on('message', raw => {
+        const message = { connection: stand.connections.indexOf(socket), body: JSON.parse(raw.toString()) };
+        const waiter = stand.waiters.find(w => w.predicate(message));
+        if (waiter) {
+          stand.waiters.splice(stand.waiters.indexOf(waiter), 1);
+          waiter.resolve(message);
+        } else {
+          stand.received.push(message);
+        }
+      });
+    });
+    server.on('listening', () => resolve(stand));
+  });
+}
+
+const isSubscribe = (connection) => (message) =>
+  message.connection === connection && message.body.op === 'subscribe';
+
+const tickerMessage = (price) => JSON.stringify({
+  topic: 'tickers.BTCUSDT',
+  type: 'delta',
+  data: { symbol: 'BTCUSDT', markPrice: String(price) },
+  ts: Date.now()
+});
+
+const createTrade = () => ({
+  id: 'BTCUSDT_LONG_trendConfluence_1',
+  symbol: SYMBOL,
+  strategy: 'trendConfluence',
+  direction: 'LONG',
+  entryPrice: 100,
+  currentPrice: 100,
+  takeProfits: { tp1: 104, tp2: 107, tp3: 110 },
+  stopLoss: 95,
+  initialStopLoss: 95,
+  trailing: { active: false, reference: null, lastCandle: null },
+  positionInfo: { positionSize: 1, leverage: 5, margin: 20 },
+  timestamp: new Date(),
+  status: 'ACTIVE',
+  tpHit: { tp1: false, tp2: false, tp3: false },
+  slHit: false,
+  entryFilled: true,
+  notifications: [],
+  lastChecked: null,
+  pnl: 0,
+  maxPnl: 0,
+  minPnl: 0
+});
+
+let stand;
+let saved;
+
+test.beforeEach(async t => {
+  stand = await startServer();
+  saved = { exchange: config.exchange.name, streaming: { ...config.streaming } };
+
+  config.exchange.name = 'bybit';
+  Object.assign(config.streaming, {
+    enabled: true,
+    url: `ws://127.0.0.1:${stand.server.address().port}`,
+    reconnectDelayMs: 20,
+    pingIntervalMs: 50,
+    staleAfterMs: 30000
+  });
+
+  marketStreamService.provider = null;
+  marketStreamService.subscriptions.clear();
+  marketStreamService.latestPrices.clear();
+  t.mock.method(exchangeService, 'getMarket', () => ({ id: 'BTCUSDT', symbol: SYMBOL }));
+});
+
+test.afterEach(async () => {
+  marketStreamService.stop();
+  clock.useRealTime();
+  config.exchange.name = saved.exchange;
+  Object.assign(config.streaming, saved.streaming);
+  marketStreamService.provider = null;
+
+  for (const socket of stand.server.clients) socket.terminate();
+  await new Promise(resolve => stand.server.close(resolve));
+});
+
+test('subscribes on connect, sends heartbeats and records streamed prices', async () => {
+  marketStreamService.subscribe(SYMBOL);
+  assert.strictEqual(marketStreamService.start(), true);
+
+  const subscribe = await stand.next(isSubscribe(0));
+  assert.deepStrictEqual(subscribe.body.args, ['tickers.BTCUSDT']);
+
+  const ping = await stand.next(message => message.body.op === 'ping');
+  assert.strictEqual(ping.connection, 0);
+
+  const tick = new Promise(resolve => marketStreamService.once('price', resolve));
+  stand.connections[0].send(tickerMessage(67012.4));
+
+  assert.strictEqual((await tick).price, 67012.4);
+  assert.strictEqual(marketStreamService.getLatestPrice(SYMBOL), 67012.4);
+});
+
+test('reconnects after the connection drops and resubscribes every market', async () => {
+  marketStreamService.subscribe(SYMBOL);
+  marketStreamService.start();
+  await stand.next(isSubscribe(0));
+
+  const disconnected = new Promise(resolve => marketStreamService.once('disconnected', resolve));
+  stand.connections[0].terminate();
+  await disconnected;
+  assert.strictEqual(marketStreamService.getLatestPrice(SYMBOL), null);
+
+  const resubscribe = await stand.next(isSubscribe(1));
+  assert.deepStrictEqual(resubscribe.body.args, ['tickers.BTCUSDT']);
+  assert.strictEqual(marketStreamService.isConnected, true);
+  assert.strictEqual(marketStreamService.getStatistics().reconnectAttempts, 0);
+});
+
+test('a stale streamed price falls back to the REST price', async t => {
+  const getCurrentPrice = t.mock.method(exchangeService, 'getCurrentPrice', async () => 101.5);
+  const trade = createTrade();
+  tradeMonitor.activeTrades.clear();
+  tradeMonitor.activeTrades.set(trade.id, trade);
+
+  marketStreamService.subscribe(SYMBOL);
+  marketStreamService.start();
+  await stand.next(isSubscribe(0));
+
+  const tick = new Promise(resolve => marketStreamService.once('price', resolve));
+  stand.connections[0].send(tickerMessage(102));
+  await tick;
+
+  await tradeMonitor.checkTradeStatus(trade);
+  assert.strictEqual(trade.currentPrice, 102);
+  assert.strictEqual(getCurrentPrice.mock.callCount(), 0);
+
+  clock.setVirtualTime(Date.now() + config.streaming.staleAfterMs + 1);
+  assert.strictEqual(marketStreamService.getLatestPrice(SYMBOL), null);
+
+  await tradeMonitor.checkTradeStatus(trade);
+  assert.strictEqual(trade.currentPrice, 101.5);
+  assert.strictEqual(getCurrentPrice.mock.callCount(), 1);
+
+  tradeMonitor.activeTrades.clear();
+});
@@ -0,0 +1,58 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const config = require('../config/config');
+const requestScheduler = require('../services/requestScheduler');
+
+const rateLimited = () => {
+  const error = new Error('binance {"code":-1003,"msg":"Too many requests"}');
+  error.name = 'RateLimitExceeded';
+  return error;
+};
+
+const { maxRequeues } = config.rateLimit;
+
+test.beforeEach(() => {
+  config.rateLimit.maxRequeues = 0;
+  requestScheduler.pausedUntil = 0;
+  requestScheduler.consecutiveRateLimits = 0;
+});
+
+test.afterEach(() => {
+  config.rateLimit.maxRequeues = maxRequeues;
+  requestScheduler.pausedUntil = 0;
+});
+
+test('honours Retry-After from the exchange response headers on ccxt errors', async () => {
+  const headers = { 'Retry-After': '7' };
+
+  await assert.rejects(requestScheduler.schedule('fetchTicker', async () => { throw rateLimited(); }, {
+    getHeaders: () => headers
+  }));
+
+  const pausedMs = requestScheduler.pausedUntil - Date.now();
+  assert.ok(pausedMs > 6000 && pausedMs <= 7000, `paused for ${pausedMs}ms`);
+});
+
+test('honours Retry-After on axios error responses', async () => {
+  const http = requestScheduler.wrapHttp({
+    get: async () => {
+      const error = new Error('Request failed with status code 429');
+      error.response = { status: 429, headers: { 'retry-after': '3' } };
+      throw error;
+    }
+  });
+
+  await assert.rejects(http.get('https://fapi.binance.com/fapi/v1/premiumIndex'));
+
+  const pausedMs = requestScheduler.pausedUntil - Date.now();
+  assert.ok(pausedMs > 2000 && pausedMs <= 3000, `paused for ${pausedMs}ms`);
+});
+
+test('falls back to exponential backoff without Retry-After', async () => {
+  await assert.rejects(requestScheduler.schedule('fetchTicker', async () => { throw rateLimited(); }, {
+    getHeaders: () => ({})
+  }));
+
+  const pausedMs = requestScheduler.pausedUntil - Date.now();
+  assert.ok(pausedMs > config.rateLimit.backoffMs - 1000 && pausedMs <= config.rateLimit.backoffMs, `paused for ${pausedMs}ms`);
+});
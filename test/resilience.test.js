@@ -0,0 +1,57 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const config = require('../config/config');
+const resilience = require('../services/resilience');
+const { ExchangeDown } = require('../utils/errors');
+
+const failing = () => Promise.reject(new ExchangeDown('fetchTicker: exchange unavailable'));
+
+const openCircuit = async (endpoint, symbol) => {
+  for (let i = 0; i < config.resilience.breakerThreshold; i++) {
+    await assert.rejects(resilience.execute(endpoint, failing, { idempotent: false, symbol }));
+  }
+};
+
+test.beforeEach(() => resilience.breakers.clear());
+
+test('an open circuit for one symbol leaves the endpoint open for others', async () => {
+  await openCircuit('fetchTicker', 'BTC/USDT:USDT');
+
+  await assert.rejects(
+    resilience.execute('fetchTicker', async () => 100, { symbol: 'BTC/USDT:USDT' }),
+    error => error.circuitOpen === true
+  );
+  assert.strictEqual(await resilience.execute('fetchTicker', async () => 200, { symbol: 'ETH/USDT:USDT' }), 200);
+});
+
+test('a half-open circuit lets a single probe through until it settles', async () => {
+  await openCircuit('fetchOHLCV', 'BTC/USDT:USDT');
+  resilience.getBreaker('fetchOHLCV:BTC/USDT:USDT').openedAt = Date.now() - config.resilience.breakerResetMs;
+
+  let settleProbe;
+  const probe = resilience.execute('fetchOHLCV', () => new Promise(resolve => { settleProbe = resolve; }), {
+    symbol: 'BTC/USDT:USDT'
+  });
+
+  await assert.rejects(
+    resilience.execute('fetchOHLCV', async () => [], { symbol: 'BTC/USDT:USDT' }),
+    error => error.circuitOpen === true
+  );
+
+  settleProbe([]);
+  await probe;
+
+  assert.strictEqual(resilience.getBreaker('fetchOHLCV:BTC/USDT:USDT').state, 'CLOSED');
+  assert.deepStrictEqual(await resilience.execute('fetchOHLCV', async () => [1], { symbol: 'BTC/USDT:USDT' }), [1]);
+});
+
+test('a failed probe opens the circuit again', async () => {
+  await openCircuit('fetchOHLCV', 'BTC/USDT:USDT');
+  const breaker = resilience.getBreaker('fetchOHLCV:BTC/USDT:USDT');
+  breaker.openedAt = Date.now() - config.resilience.breakerResetMs;
+
+  await assert.rejects(resilience.execute('fetchOHLCV', failing, { idempotent: false, symbol: 'BTC/USDT:USDT' }));
+
+  assert.strictEqual(breaker.state, 'OPEN');
+  assert.strictEqual(breaker.probing, false);
+});
@@ -0,0 +1,132 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const tradeMonitor = require('../services/tradeMonitor');
+const telegramService = require('../services/telegramService');
+const exchangeService = require('../services/exchangeService');
+const futuresIndicators = require('../services/futuresIndicators');
+const clock = require('../utils/clock');
+
+const createTrade = () => ({
+  id: 'BTCUSDT_LONG_trendConfluence_1',
+  symbol: 'BTC/USDT',
+  strategy: 'trendConfluence',
+  regime: 'TRENDING_UP',
+  direction: 'LONG',
+  entryPrice: 100,
+  currentPrice: 100,
+  takeProfits: { tp1: 104, tp2: 107, tp3: 110 },
+  stopLoss: 95,
+  initialStopLoss: 95,
+  trailing: { active: false, reference: null, lastCandle: null },
+  positionInfo: { positionSize: 1, leverage: 5, margin: 20 },
+  timestamp: new Date(),
+  status: 'ACTIVE',
+  tpHit: { tp1: true, tp2: true, tp3: false },
+  slHit: false,
+  entryFilled: true,
+  notifications: [],
+  lastChecked: null,
+  pnl: 0,
+  maxPnl: 0,
+  minPnl: 0
+});
+
+const HOUR = 3600000;
+const { exchange } = exchangeService;
+
+test.beforeEach(t => {
+  tradeMonitor.activeTrades.clear();
+  tradeMonitor.completedTrades = [];
+  // Telegram replies slowly enough for the next tick to arrive mid-evaluation
+  t.mock.method(telegramService, 'sendTradeUpdate', () => new Promise(resolve => setTimeout(resolve, 20)));
+  // Trades that start trailing read candles; none unless a test provides them
+  exchangeService.exchange = { parseTimeframe: () => HOUR / 1000 };
+  t.mock.method(exchangeService, 'getOHLCV', async () => []);
+});
+
+test.afterEach(() => {
+  exchangeService.exchange = exchange;
+  clock.useRealTime();
+});
+
+test('a tick arriving while TP3 is being handled does not also stop the trade out', async () => {
+  const trade = createTrade();
+  tradeMonitor.activeTrades.set(trade.id, trade);
+
+  await Promise.all([
+    tradeMonitor.handlePriceTick({ symbol: trade.symbol, price: 111 }),
+    tradeMonitor.handlePriceTick({ symbol: trade.symbol, price: 94 })
+  ]);
+
+  assert.strictEqual(tradeMonitor.completedTrades.length, 1);
+  assert.strictEqual(tradeMonitor.completedTrades[0].completionReason, 'TP3_HIT');
+  assert.strictEqual(telegramService.sendTradeUpdate.mock.callCount(), 1);
+});
+
+test('ticks arriving during an evaluation collapse into their range, extremes first', async t => {
+  const trade = createTrade();
+  trade.tpHit = { tp1: false, tp2: false, tp3: false };
+  tradeMonitor.activeTrades.set(trade.id, trade);
+  const applyPrice = t.mock.method(tradeMonitor, 'applyPrice');
+
+  await Promise.all([104.5, 103, 108, 101].map(price =>
+    tradeMonitor.handlePriceTick({ symbol: trade.symbol, price })
+  ));
+
+  assert.deepStrictEqual(applyPrice.mock.calls.map(call => call.arguments[1]), [104.5, 108, 101]);
+  assert.strictEqual(trade.tpHit.tp2, true);
+  assert.strictEqual(trade.currentPrice, 101);
+  assert.strictEqual(tradeMonitor.evaluations.size, 0);
+});
+
+test('a wick through the stop between two ticks stops the trade out before any target', async t => {
+  const trade = createTrade();
+  trade.tpHit = { tp1: false, tp2: false, tp3: false };
+  tradeMonitor.activeTrades.set(trade.id, trade);
+  const applyPrice = t.mock.method(tradeMonitor, 'applyPrice');
+
+  await Promise.all([104.5, 111, 94, 102].map(price =>
+    tradeMonitor.handlePriceTick({ symbol: trade.symbol, price })
+  ));
+
+  assert.deepStrictEqual(applyPrice.mock.calls.map(call => call.arguments[1]), [104.5, 94]);
+  assert.strictEqual(tradeMonitor.completedTrades.length, 1);
+  assert.strictEqual(tradeMonitor.completedTrades[0].completionReason, 'STOP_LOSS');
+  assert.strictEqual(trade.tpHit.tp2, false);
+  assert.strictEqual(tradeMonitor.evaluations.size, 0);
+});
+
+test('the stop trails the SAR of closed candles once per candle, from the first tick after the close', async t => {
+  const OPEN = 480000 * HOUR;
+  const candle = (timestamp, close, low = close - 0.5, high = close + 0.5) => ({ timestamp, open: close - 0.25, high, low, close, volume: 10 });
+  const closed = Array.from({ length: 30 }, (_, i) => candle(OPEN - (30 - i) * HOUR, 90 + i * 0.5));
+  // A forming candle that is wicking down would flip the SAR if it were counted
+  let ohlcv = [...closed, candle(OPEN, 97, 96, 105)];
+
+  clock.setVirtualTime(OPEN + 30 * 60000);
+  const getOHLCV = exchangeService.getOHLCV.mock;
+  getOHLCV.mockImplementation(async () => ohlcv);
+
+  const trade = createTrade();
+  trade.trailing.active = true;
+  tradeMonitor.activeTrades.set(trade.id, trade);
+
+  await tradeMonitor.handlePriceTick({ symbol: trade.symbol, price: 104 });
+
+  const expected = futuresIndicators.calculateParabolicSAR(closed, 0.02, 0.2);
+  assert.strictEqual(expected.trend, 1);
+  assert.strictEqual(trade.stopLoss, expected.value);
+  assert.strictEqual(trade.trailing.lastCandle, OPEN - HOUR);
+
+  await tradeMonitor.handlePriceTick({ symbol: trade.symbol, price: 104.2 });
+  assert.strictEqual(getOHLCV.callCount(), 1);
+
+  // The next close is picked up by the first tick after it
+  ohlcv = [...closed, candle(OPEN, 105), candle(OPEN + HOUR, 105.2)];
+  clock.setVirtualTime(OPEN + HOUR + 60000);
+  await tradeMonitor.handlePriceTick({ symbol: trade.symbol, price: 105.1 });
+
+  assert.strictEqual(getOHLCV.callCount(), 2);
+  assert.strictEqual(trade.trailing.lastCandle, OPEN);
+  assert.ok(trade.stopLoss > expected.value);
+});
@@ -0,0 +1,33 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const universeService = require('../services/universeService');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const market = (base) => ({
+  id: `${base}USDT`,
+  base,
+  quote: 'USDT',
+  type: 'swap',
+  active: true,
+  created: Date.now() - 90 * DAY_MS,
+  info: { status: 'TRADING' }
+});
+
+test('assets whose names end in UP or DOWN are not mistaken for leveraged tokens', () => {
+  const settings = universeService.getSettings('default');
+
+  assert.strictEqual(universeService.getMarketExclusion('SYRUP/USDT:USDT', market('SYRUP'), settings), null);
+  assert.strictEqual(universeService.getMarketExclusion('JUP/USDT:USDT', market('JUP'), settings), null);
+  assert.strictEqual(universeService.getMarketExclusion('UP/USDT:USDT', market('UP'), settings), null);
+});
+
+test('configured exclude patterns still drop matching markets', () => {
+  const settings = { ...universeService.getSettings('default'), excludePatterns: ['^(BTC|ETH)(UP|DOWN)$'] };
+
+  assert.strictEqual(
+    universeService.getMarketExclusion('BTCUP/USDT:USDT', market('BTCUP'), settings),
+    'matches exclude pattern ^(BTC|ETH)(UP|DOWN)$'
+  );
+  assert.strictEqual(universeService.getMarketExclusion('SYRUP/USDT:USDT', market('SYRUP'), settings), null);
+});
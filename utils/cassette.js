@@ -0,0 +1,175 @@
+const path = require('path');
+const fs = require('fs-extra');
+const config = require('../config/config');
+const clock = require('./clock');
+const logger = require('./logger');
+const { getStatusCode, getExchangeCode } = require('./errors');
+
+// Records exchange responses to disk and replays them in order for offline runs
+class Cassette {
+  constructor() {
+    this.mode = config.cassette.mode;
+    this.filePath = path.resolve(__dirname, '..', config.cassette.file);
+    this.outputPath = path.resolve(__dirname, '..', config.cassette.telegramOutput);
+    // Candle store used while recording or replaying; both start it empty so their OHLCV requests match
+    this.candleDirectory = path.join(path.dirname(this.filePath), `${path.basename(this.filePath, '.jsonl')}-candles`);
+    this.queues = new Map();
+    this.prepared = false;
+    this.served = 0;
+    this.recorded = 0;
+
+    if (!['live', 'record', 'replay'].includes(this.mode)) {
+      throw new Error(`Invalid cassette mode: ${this.mode}`);
+    }
+  }
+
+  isRecording() {
+    return this.mode === 'record';
+  }
+
+  isReplaying() {
+    return this.mode === 'replay';
+  }
+
+  getKey(channel, method, args) {
+    return `${channel}:${method}:${JSON.stringify(args)}`;
+  }
+
+  // Truncates the recording or loads the replay on first use
+  prepare() {
+    if (this.prepared || this.mode === 'live') return;
+
+    fs.ensureDirSync(path.dirname(this.outputPath));
+    fs.writeFileSync(this.outputPath, '');
+    fs.emptyDirSync(this.candleDirectory);
+
+    if (this.isRecording()) {
+      fs.ensureDirSync(path.dirname(this.filePath));
+      fs.writeFileSync(this.filePath, '');
+      logger.info(`📼 Recording exchange responses to ${this.filePath}`);
+    } else {
+      this.load();
+    }
+
+    this.prepared = true;
+  }
+
+  load() {
+    if (!fs.pathExistsSync(this.filePath)) {
+      throw new Error(`Cassette file not found: ${this.filePath}`);
+    }
+
+    const entries = fs.readFileSync(this.filePath, 'utf8')
+      .split('\n')
+      .filter(Boolean)
+      .map(line => JSON.parse(line));
+
+    for (const entry of entries) {
+      if (!this.queues.has(entry.key)) {
+        this.queues.set(entry.key, []);
+      }
+      this.queues.get(entry.key).push(entry);
+    }
+
+    if (entries.length > 0) {
+      clock.setVirtualTime(entries[0].at);
+    }
+
+    logger.info(`📼 Replaying ${entries.length} recorded responses from ${this.filePath}`);
+  }
+
+  async call(channel, method, args, fn) {
+    if (this.mode === 'live') {
+      return fn();
+    }
+
+    this.prepare();
+    const key = this.getKey(channel, method, args);
+
+    if (this.isReplaying()) {
+      return this.replay(key);
+    }
+
+    const at = Date.now();
+    try {
+      const response = await fn();
+      this.write({ key, at, response });
+      return response;
+    } catch (error) {
+      this.write({
+        key,
+        at,
+        error: {
+          name: error.name,
+          message: error.message,
+          code: error.code,
+          exchangeCode: getExchangeCode(error),
+          status: getStatusCode(error)
+        }
+      });
+      throw error;
+    }
+  }
+
+  replay(key) {
+    const queue = this.queues.get(key);
+    if (!queue || queue.length === 0) {
+      throw new Error(`No recorded response for ${key}`);
+    }
+
+    const entry = queue.shift();
+    clock.setVirtualTime(entry.at);
+    this.served++;
+
+    if (entry.error) {
+      const error = new Error(entry.error.message);
+      error.name = entry.error.name;
+      error.code = entry.error.code;
+      if (entry.error.exchangeCode !== null && entry.error.exchangeCode !== undefined) {
+        error.exchangeCode = entry.error.exchangeCode;
+      }
+      if (entry.error.status) {
+        error.response = { status: entry.error.status };
+      }
+      throw error;
+    }
+
+    return entry.response;
+  }
+
+  write(entry) {
+    fs.appendFileSync(this.filePath, JSON.stringify(entry) + '\n');
+    this.recorded++;
+  }
+
+  // axios-compatible client routed through the cassette; only the body is kept
+  wrapHttp(http) {
+    return {
+      get: async (url, options = {}) => {
+        const data = await this.call('http', 'GET', [url, options.params || {}], async () => {
+          const response = await http.get(url, options);
+          return response.data;
+        });
+        return { data };
+      }
+    };
+  }
+
+  writeOutput(text) {
+    this.prepare();
+    fs.appendFileSync(this.outputPath, `--- ${clock.date().toISOString()}\n${text}\n\n`);
+  }
+
+  getStatistics() {
+    const remaining = Array.from(this.queues.values()).reduce((sum, queue) => sum + queue.length, 0);
+    
+    return {
+      mode: this.mode,
+      recorded: this.recorded,
+      served: this.served,
+      remaining
+    };
+  }
+}
+
+module.exports = new Cassette();
@@ -0,0 +1,28 @@
+// Wall clock that can be pinned to recorded time during cassette replay
+class Clock {
+  constructor() {
+    this.virtualTime = null;
+  }
+
+  now() {
+    return this.virtualTime !== null ? this.virtualTime : Date.now();
+  }
+
+  date() {
+    return new Date(this.now());
+  }
+
+  setVirtualTime(timestamp) {
+    this.virtualTime = timestamp;
+  }
+
+  useRealTime() {
+    this.virtualTime = null;
+  }
+
+  isVirtual() {
+    return this.virtualTime !== null;
+  }
+}
+
+module.exports = new Clock();
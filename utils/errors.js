@@ -0,0 +1,103 @@
+// Typed market data errors so callers can tell an outage apart from "no data"
+class MarketDataError extends Error {
+  constructor(message, details = {}) {
+    super(message);
+    this.name = 'MarketDataError';
+    this.endpoint = details.endpoint || null;
+    this.status = details.status || null;
+    this.cause = details.cause;
+    this.retryable = false;
+  }
+}
+
+class RateLimited extends MarketDataError {
+  constructor(message, details) {
+    super(message, details);
+    this.name = 'RateLimited';
+  }
+}
+
+class ExchangeDown extends MarketDataError {
+  constructor(message, details = {}) {
+    super(message, details);
+    this.name = 'ExchangeDown';
+    this.circuitOpen = Boolean(details.circuitOpen);
+    this.retryable = !this.circuitOpen;
+  }
+}
+
+class BadSymbol extends MarketDataError {
+  constructor(message, details) {
+    super(message, details);
+    this.name = 'BadSymbol';
+  }
+}
+
+// The exchange's adapter does not offer the endpoint, so the data is missing on every call
+class Unsupported extends MarketDataError {
+  constructor(message, details) {
+    super(message, details);
+    this.name = 'Unsupported';
+  }
+}
+
+const RATE_LIMIT_NAMES = ['RateLimitExceeded', 'DDoSProtection'];
+const EXCHANGE_DOWN_NAMES = ['NetworkError', 'RequestTimeout', 'ExchangeNotAvailable', 'OnMaintenance'];
+const NETWORK_CODES = ['ECONNRESET', 'ECONNREFUSED', 'ECONNABORTED', 'ETIMEDOUT', 'ENOTFOUND', 'EAI_AGAIN', 'EPIPE'];
+// Exchange error codes from the response body: Binance, Bybit retCode, OKX code
+const RATE_LIMIT_CODES = ['-1003', '10006', '10018', '50011', '50061'];
+const BAD_SYMBOL_CODES = ['-1121', '10001', '51001'];
+
+// Only the HTTP status counts; status-like numbers in free text (prices, ids) are ignored
+function getStatusCode(error) {
+  return error.status || error.response?.status || null;
+}
+
+function getExchangeCode(error) {
+  const code = error.exchangeCode ?? error.response?.data?.code ?? error.response?.data?.retCode;
+  return code === undefined || code === null ? null : String(code);
+}
+
+function isRateLimitError(error) {
+  const status = getStatusCode(error);
+  return error instanceof RateLimited ||
+    RATE_LIMIT_NAMES.includes(error.name) ||
+    RATE_LIMIT_CODES.includes(getExchangeCode(error)) ||
+    status === 418 || status === 429;
+}
+
+function classifyError(error, endpoint) {
+  if (error instanceof MarketDataError) return error;
+  
+  const status = getStatusCode(error);
+  const details = { endpoint, status, cause: error };
+  const message = `${endpoint}: ${error.message}`;
+  
+  if (isRateLimitError(error)) {
+    return new RateLimited(message, details);
+  }
+  
+  if (error.name === 'BadSymbol' || BAD_SYMBOL_CODES.includes(getExchangeCode(error))) {
+    return new BadSymbol(message, details);
+  }
+  
+  if (EXCHANGE_DOWN_NAMES.includes(error.name) ||
+      NETWORK_CODES.includes(error.code) ||
+      (status && status >= 500)) {
+    return new ExchangeDown(message, details);
+  }
+  
+  return new MarketDataError(message, details);
+}
+
+module.exports = {
+  MarketDataError,
+  RateLimited,
+  ExchangeDown,
+  BadSymbol,
+  Unsupported,
+  getStatusCode,
+  getExchangeCode,
+  isRateLimitError,
+  classifyError
+};